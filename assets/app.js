@@ -8,12 +8,26 @@ window.AppState = {
     formData: null,
     priceData: null,
     pvProfile: null,
+    pvSource: 'synthetic',
+    pvSourceLabel: 'Synthetic model',
+    pvCapacityFactor: null,
+    portfolio: null,
+    forwardScenarios: null,
+    marketBenchmark: null,
+    dataQuality: null,
+    resolutionMinutes: 60,
     alignedData: null,
     kpis: null,
+    ppaComparison: null,
     batteryResults: null,
+    batterySizing: null,
+    finance: null,
+    monteCarlo: null,
     representativeWeeks: null,
     memoContent: null,
-    dataSource: 'live'
+    dataSource: 'live',
+    dataSourceLabel: 'Energy-Charts / SMARD',
+    priceFile: null
 };
 
 const App = {
@@ -25,6 +39,20 @@ const App = {
         window.addEventListener('runAnalysis', (e) => {
             this.runAnalysis(e.detail);
         });
+        window.addEventListener('runOptimizer', () => {
+            this.runOptimizer();
+        });
+        window.addEventListener('runSizingStudy', (e) => {
+            this.runSizingStudy(e.detail);
+        });
+        window.addEventListener('updateFinance', (e) => {
+            this.runFinance(e.detail);
+            UI.updateFinance(window.AppState.finance);
+        });
+        window.addEventListener('updateMonteCarlo', (e) => {
+            this.runMonteCarlo(e.detail);
+            UI.updateMonteCarlo(window.AppState.monteCarlo);
+        });
 
         console.log('CVA IPP Revenue & Capture Lab initialized');
     },
@@ -42,54 +70,192 @@ const App = {
             // Step 1: Fetch price data
             UI.updateLoadingProgress(10, 'Fetching day-ahead prices...');
             const priceData = await this.fetchPriceData(formData);
-            window.AppState.priceData = priceData.prices;
             window.AppState.dataSource = priceData.source;
-
-            // Step 2: Generate PV profile
-            UI.updateLoadingProgress(30, 'Generating PV production profile...');
-            const pvProfile = await this.getPVProfile(formData, priceData.startDate, priceData.endDate);
+            window.AppState.dataSourceLabel = priceData.label;
+            window.AppState.priceFile = priceData.fileName || null;
+
+            // Resample prices to the chosen interval length (native keeps the finest published MTU)
+            const resolutionMinutes = formData.resolution === 'native'
+                ? DataSources.detectResolution(priceData.prices)
+                : parseInt(formData.resolution);
+            const prices = DataSources.resampleSeries(priceData.prices, resolutionMinutes);
+            window.AppState.priceData = prices;
+            window.AppState.resolutionMinutes = resolutionMinutes;
+
+            // Step 2: Generate production profile (one per hybrid component, summed behind the grid connection)
+            const technology = CONFIG.TECHNOLOGIES[formData.technology] || CONFIG.TECHNOLOGIES.solar;
+            UI.updateLoadingProgress(30, `Generating ${formData.components.length > 1 ? 'portfolio' : technology.short} production profile...`);
+            const components = await this.getComponentProfiles(formData, priceData.startDate, priceData.endDate, resolutionMinutes);
+            const isHybrid = components.length > 1;
+            const combined = isHybrid
+                ? DataSources.combineProfiles(components.map(c => c.profile), formData.gridConnectionMW, resolutionMinutes)
+                : { profile: components[0].profile, clippedMWh: 0 };
+            const pvProfile = combined.profile;
             window.AppState.pvProfile = pvProfile;
 
-            // Step 3: Align data
+            // Step 3: Fill gaps and align data
             UI.updateLoadingProgress(45, 'Aligning price and production data...');
-            const alignedData = DataSources.alignData(priceData.prices, pvProfile);
+            const timezone = (CONFIG.MARKETS[formData.market] || CONFIG.MARKETS['DE-LU']).timezone;
+            const grid = DataQuality.buildGrid(priceData.startDate, priceData.endDate, resolutionMinutes);
+            const fill = {
+                policy: formData.gapFill,
+                prices: DataQuality.fillGaps(prices, grid, formData.gapFill, 'price'),
+                production: DataQuality.fillGaps(pvProfile, grid, formData.gapFill, 'output')
+            };
+            const alignedData = DataSources.alignData(fill.prices.series, fill.production.series, resolutionMinutes, timezone);
             window.AppState.alignedData = alignedData;
 
             if (alignedData.length === 0) {
                 throw new Error('No aligned data available. Please check the date range.');
             }
 
-            // Step 4: Calculate KPIs
+            // Step 3b: National solar generation for the market capture benchmark
+            UI.updateLoadingProgress(50, 'Fetching market solar generation...');
+            window.AppState.marketBenchmark = await this.getMarketSolar(formData, priceData, alignedData, resolutionMinutes);
+
+            window.AppState.dataQuality = DataQuality.buildReport({
+                rawPrices: priceData.prices,
+                prices,
+                pvProfile,
+                aligned: alignedData,
+                fill,
+                importReports: [
+                    priceData.source === 'upload' ? formData.priceUpload?.report : null,
+                    window.AppState.pvSource === 'metered' ? formData.productionUpload?.report : null
+                ].filter(Boolean),
+                startDate: priceData.startDate,
+                endDate: priceData.endDate,
+                resolutionMinutes,
+                timezone
+            });
+            if (window.AppState.dataQuality.coveragePct < CONFIG.QUALITY.LOW_COVERAGE_PCT) {
+                UI.showToast(`Only ${window.AppState.dataQuality.coveragePct}% of intervals are usable - see Data Quality`, 'warning');
+            }
+
+            if (window.AppState.pvSource === 'metered' && alignedData.length < pvProfile.length * 0.9) {
+                UI.showToast(`Only ${alignedData.length} of ${pvProfile.length} metered intervals have matching prices`, 'warning');
+            }
+
+            // Step 4: Calculate KPIs (after negative-price curtailment, if any)
             UI.updateLoadingProgress(55, 'Computing capture metrics...');
-            const kpis = Compute.calculateKPIs(alignedData, formData.capacityMW, {
+            const curtailmentThreshold = Compute.getCurtailmentThreshold(formData.curtailment);
+            const curtail = data => curtailmentThreshold === null ? data : Compute.applyCurtailment(data, curtailmentThreshold);
+            const dispatchData = curtail(alignedData);
+            window.AppState.alignedData = dispatchData;
+
+            const kpiOptions = {
                 floorPrice: formData.useFloor ? formData.floorPrice : null,
-                ppaPrice: formData.routeToMarket === 'ppa' ? formData.ppaPrice : null
+                ppa: formData.routeToMarket === 'ppa' ? formData.ppa : null,
+                eeg: formData.routeToMarket === 'eeg'
+                    ? { applicableValue: formData.eegValue, cod: formData.cod }
+                    : null,
+                cfd: formData.routeToMarket === 'cfd' ? formData.cfd : null,
+                curtailment: curtailmentThreshold === null ? null : { policy: formData.curtailment.policy, threshold: curtailmentThreshold }
+            };
+            const totalCapacityMW = components.reduce((sum, c) => sum + c.capacityMW, 0);
+            const kpis = Compute.calculateKPIs(dispatchData, totalCapacityMW, {
+                ...kpiOptions,
+                technology: isHybrid ? 'hybrid' : formData.technology
             });
             window.AppState.kpis = kpis;
+            // PPA settlement for the merchant-vs-PPA comparison under any route to market
+            window.AppState.ppaComparison = kpis.ppa
+                || Compute.calculatePPA(dispatchData, { ...formData.ppa, floorPrice: kpiOptions.floorPrice });
+            if (kpis.marketPremium && formData.market !== 'DE-LU') {
+                UI.showToast(`The EEG market premium is a German scheme - ${formData.market} results are illustrative`, 'warning');
+            }
+
+            // Each hybrid component as a standalone analysis against the same prices, gap-filled like the total
+            window.AppState.portfolio = isHybrid
+                ? Compute.calculatePortfolio(
+                    components.map(c => {
+                        const filled = DataQuality.fillGaps(c.profile, grid, formData.gapFill, 'output').series;
+                        const data = curtail(DataSources.alignData(fill.prices.series, filled, resolutionMinutes, timezone));
+                        return { ...c, data, kpis: Compute.calculateKPIs(data, c.capacityMW, { ...kpiOptions, technology: c.technology }) };
+                    }),
+                    dispatchData,
+                    kpis,
+                    { gridConnectionMW: formData.gridConnectionMW, clippedMWh: combined.clippedMWh }
+                )
+                : null;
 
             // Step 5: Battery simulation (if enabled)
             let batteryResults = null;
+            const batteryConfig = this.getBatteryConfig(formData);
             if (formData.enableBattery) {
                 UI.updateLoadingProgress(65, 'Running battery simulation...');
-                batteryResults = Compute.simulateBattery(alignedData, {
-                    powerMW: formData.batteryPower,
-                    energyMWh: formData.batteryEnergy,
-                    efficiency: formData.efficiency,
-                    oneCyclePerDay: formData.oneCyclePerDay
-                });
+                // Let the overlay repaint before each synchronous simulation
+                await new Promise(resolve => setTimeout(resolve, 0));
+                batteryResults = Compute.simulateBattery(dispatchData, batteryConfig);
+                UI.updateLoadingProgress(67, 'Comparing battery modes...');
+                await new Promise(resolve => setTimeout(resolve, 0));
+                batteryResults.modes = Compute.compareBatteryModes(dispatchData, batteryConfig, batteryResults);
+                UI.updateLoadingProgress(68, 'Simulating battery degradation...');
+                await new Promise(resolve => setTimeout(resolve, 0));
+                batteryResults.lifetime = Compute.simulateBatteryLifetime(
+                    dispatchData, batteryConfig, formData.batteryLifetime, batteryResults
+                );
+                if (formData.ancillaryServices.length > 0) {
+                    UI.updateLoadingProgress(69, 'Stacking reserve markets...');
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    batteryResults.ancillary = Compute.stackAncillaryServices(
+                        dispatchData, batteryConfig, this.getAncillaryServices(formData.ancillaryServices, dispatchData)
+                    );
+                }
                 window.AppState.batteryResults = batteryResults;
             }
 
+            // Step 5b: Forward scenarios - historical shapes on forward price levels
+            window.AppState.forwardScenarios = null;
+            if (formData.forwardProducts.length > 0) {
+                UI.updateLoadingProgress(70, 'Building price-forward curves...');
+                await new Promise(resolve => setTimeout(resolve, 0));
+                // Shapes come from uncurtailed history; curtailment applies to the forward prices
+                const scenarios = ForwardCurve.buildScenarios(alignedData, formData.forwardProducts, { timezone, resolutionMinutes });
+                window.AppState.forwardScenarios = scenarios.map(scenario => {
+                    const data = curtail(scenario.data);
+                    return {
+                        year: scenario.year,
+                        products: scenario.products,
+                        substitutedMonths: scenario.substitutedMonths,
+                        kpis: Compute.calculateKPIs(data, totalCapacityMW, { ...kpiOptions, technology: kpis.technology }),
+                        battery: formData.enableBattery ? Compute.simulateBattery(data, batteryConfig) : null
+                    };
+                });
+
+                const substituted = scenarios.filter(s => s.substitutedMonths.length > 0);
+                if (substituted.length > 0) {
+                    UI.showToast('Some forward months use shapes from neighbouring months - analyse at least 12 months of history', 'warning');
+                }
+            }
+
+            // Step 5c: Project finance over the asset life
+            this.runFinance(UI.getFinanceInputs());
+
+            // Step 5d: Annual revenue distribution from bootstrapped synthetic years
+            UI.updateLoadingProgress(72, 'Simulating synthetic years...');
+            this.runMonteCarlo(UI.getMonteCarloOptions());
+
             // Step 6: Find representative weeks
             UI.updateLoadingProgress(75, 'Identifying representative periods...');
-            const representativeWeeks = Compute.findRepresentativeWeeks(alignedData);
+            const representativeWeeks = Compute.findRepresentativeWeeks(dispatchData);
             window.AppState.representativeWeeks = representativeWeeks;
+            window.AppState.batterySizing = null;
 
             // Step 7: Show results and render charts
             UI.updateLoadingProgress(85, 'Rendering visualizations...');
             UI.showResults();
             UI.updateParamSummary(formData);
             UI.updateKPIs(kpis, batteryResults);
+            UI.updateCurtailment(kpis.curtailment, batteryResults);
+            UI.updatePPA(window.AppState.ppaComparison, formData.routeToMarket);
+            UI.updateBatteryLifetime(batteryResults?.lifetime ?? null, parseInt(formData.cod) || null);
+            UI.updateBatterySizing(null);
+            UI.updateFinance(window.AppState.finance);
+            UI.updateMonteCarlo(window.AppState.monteCarlo);
+            UI.updatePortfolio(window.AppState.portfolio);
+            UI.updateForwardScenarios(window.AppState.forwardScenarios);
+            UI.updateDataQuality(window.AppState.dataQuality);
 
             // Render charts
             await this.renderCharts(kpis, batteryResults, representativeWeeks);
@@ -102,8 +268,7 @@ const App = {
             setTimeout(() => UI.hideLoading(), 500);
 
             // Show success toast
-            const source = priceData.source === 'demo' ? 'sample data (demo mode)' : 'live Energy-Charts data';
-            UI.showToast(`Analysis complete using ${source}`, 'success');
+            UI.showToast(`Analysis complete using ${priceData.label}`, 'success');
 
         } catch (error) {
             console.error('Analysis failed:', error);
@@ -112,18 +277,182 @@ const App = {
         }
     },
 
+    /**
+     * Battery settings of the analysis form
+     */
+    getBatteryConfig(formData) {
+        return {
+            powerMW: formData.batteryPower,
+            energyMWh: formData.batteryEnergy,
+            efficiency: formData.efficiency,
+            oneCyclePerDay: formData.oneCyclePerDay,
+            mode: formData.batteryMode,
+            annualCycleCap: formData.batteryCycleCap
+        };
+    },
+
+    /**
+     * Project cash flows from the last analysis (see Finance.evaluate)
+     * Empty CAPEX and degradation inputs take the per-technology defaults, capacity-weighted for hybrids.
+     * @param {Object} inputs - From UI.getFinanceInputs
+     */
+    runFinance(inputs) {
+        const { formData, kpis, batteryResults, alignedData } = window.AppState;
+        if (!formData || !kpis || !alignedData?.length) return;
+
+        const { CAPEX_PER_MW, DEGRADATION_PCT } = CONFIG.FINANCE;
+        const components = formData.components;
+        const totalMW = components.reduce((sum, c) => sum + c.capacityMW, 0);
+        const plantCapex = components.reduce((sum, c) => sum + c.capacityMW * (inputs.capexPerMW ?? CAPEX_PER_MW[c.technology]), 0) * 1000;
+        const degradationPct = inputs.degradationPct ?? (totalMW > 0
+            ? components.reduce((sum, c) => sum + c.capacityMW * DEGRADATION_PCT[c.technology], 0) / totalMW
+            : 0);
+
+        const periodYears = alignedData.reduce((sum, d) => sum + Compute.intervalHours(d), 0) / 8760;
+        const hasBattery = formData.enableBattery && batteryResults?.lifetime;
+        const stackGain = batteryResults?.ancillary ? batteryResults.ancillary.stackGain / periodYears : 0;
+
+        window.AppState.finance = Finance.evaluate({
+            productionMWh: kpis.totalProduction / periodYears,
+            plantRevenue: Finance.getPlantRevenue(kpis, formData.routeToMarket) / periodYears,
+            plantCapex,
+            batteryCapex: hasBattery ? batteryResults.config.energyMWh * inputs.batteryCapexPerMWh * 1000 : 0,
+            batteryRevenue: hasBattery ? batteryResults.lifetime.years.map(y => y.uplift + stackGain) : [],
+            augmentations: hasBattery ? batteryResults.lifetime.augmentations : [],
+            batteryCapexPerMWh: inputs.batteryCapexPerMWh * 1000
+        }, { ...inputs.assumptions, degradationPct });
+    },
+
+    /**
+     * Annual merchant revenue distribution on the data of the last analysis (see MonteCarlo.simulate)
+     * @param {Object} options - From UI.getMonteCarloOptions
+     */
+    runMonteCarlo(options) {
+        const { formData, alignedData } = window.AppState;
+        if (!formData || !alignedData?.length) return;
+
+        window.AppState.monteCarlo = MonteCarlo.simulate(alignedData, {
+            ...options,
+            floorPrice: formData.useFloor ? formData.floorPrice : null,
+            seed: formData.seed
+        });
+    },
+
+    /**
+     * Hold imported reserve price series on the analysis intervals (flat prices fill the rest)
+     * @param {Array} services - From UI.getAncillaryServices
+     * @param {Array} data - Aligned data
+     * @returns {Array} Services with capacityPrices / energyPrices per interval (see Compute.stackAncillaryServices)
+     */
+    getAncillaryServices(services, data) {
+        return services.map(({ capacitySeries, energySeries, ...service }) => {
+            const hold = (series, label) => {
+                if (!series) return null;
+                const { values, matched } = DataSources.holdSeries(series, data);
+                if (matched < data.length) {
+                    UI.showToast(`${service.name} ${label} prices cover ${Math.round(matched / data.length * 100)}% of the period - flat price used elsewhere`, 'warning');
+                }
+                return values;
+            };
+            return {
+                ...service,
+                capacityPrices: hold(capacitySeries, 'capacity'),
+                energyPrices: hold(energySeries, 'activation')
+            };
+        });
+    },
+
+    /**
+     * Perfect-foresight dispatch of the last analysis on demand (see Compute.optimizeBattery)
+     * It can take minutes on long 15-minute periods, so it is not part of every analysis.
+     */
+    async runOptimizer() {
+        const { formData, alignedData, batteryResults, kpis } = window.AppState;
+        if (!batteryResults || !alignedData?.length) {
+            UI.showToast('Run an analysis with a battery first', 'warning');
+            return;
+        }
+
+        UI.showLoading('Optimising battery dispatch...');
+        UI.updateLoadingProgress(10, 'Optimising dispatch with perfect foresight...');
+        // Let the loading overlay paint before the synchronous optimisation
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        try {
+            batteryResults.optimal = Compute.optimizeBattery(alignedData, this.getBatteryConfig(formData));
+            UI.updateBatteryOptimal(batteryResults);
+            Charts.renderBatteryChart(batteryResults, kpis);
+
+            UI.updateLoadingProgress(100, 'Optimisation complete!');
+            setTimeout(() => UI.hideLoading(), 300);
+        } catch (error) {
+            console.error('Battery optimisation failed:', error);
+            UI.hideLoading();
+            UI.showToast(`Battery optimisation failed: ${error.message}`, 'error');
+        }
+    },
+
+    /**
+     * Sweep battery power and duration on the data of the last analysis (no refetch)
+     * @param {Object} options - {capexPerMW, capexPerMWh} in kEUR
+     */
+    async runSizingStudy(options) {
+        const { formData, alignedData, portfolio } = window.AppState;
+        if (!formData || !alignedData?.length) {
+            UI.showToast('Run an analysis first', 'warning');
+            return;
+        }
+
+        UI.showLoading('Sizing battery...');
+        UI.updateLoadingProgress(10, 'Sweeping battery power and duration...');
+        // Let the loading overlay paint before the synchronous sweep
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        try {
+            const { POWER_SHARES, DURATIONS } = CONFIG.BATTERY.SIZING;
+            const capacityMW = portfolio ? portfolio.totalCapacityMW : formData.capacityMW;
+            const powersMW = [...new Set(POWER_SHARES.map(share => Math.max(1, Math.round(capacityMW * share * 10) / 10)))];
+
+            const sizing = Compute.sweepBatterySizes(alignedData, this.getBatteryConfig(formData), {
+                powersMW,
+                durationsH: DURATIONS,
+                capexPerMW: options.capexPerMW * 1000,
+                capexPerMWh: options.capexPerMWh * 1000,
+                years: formData.batteryLifetime.years
+            });
+            window.AppState.batterySizing = sizing;
+            UI.updateBatterySizing(sizing);
+
+            UI.updateLoadingProgress(100, 'Sizing complete!');
+            setTimeout(() => UI.hideLoading(), 300);
+            UI.showToast(`Best size: ${sizing.best.powerMW} MW / ${sizing.best.energyMWh} MWh`, 'success');
+        } catch (error) {
+            console.error('Sizing study failed:', error);
+            UI.hideLoading();
+            UI.showToast(`Sizing study failed: ${error.message}`, 'error');
+        }
+    },
+
     /**
      * Fetch price data from API or use sample data
      */
     async fetchPriceData(formData) {
         const { market, period, dateStart, dateEnd, demoMode } = formData;
 
+        if (formData.priceSource === 'upload') {
+            return this.getUploadedPriceData(formData);
+        }
+
         // Determine date range
         let startDate, endDate;
+        const metered = formData.productionSource === 'upload' ? formData.productionUpload : null;
 
         if (period === 'custom' && dateStart && dateEnd) {
-            startDate = new Date(dateStart);
-            endDate = new Date(dateEnd);
+            ({ startDate, endDate } = this.getCustomPeriod(dateStart, dateEnd));
+        } else if (metered) {
+            // Metered data defines the analysis window
+            startDate = new Date(metered.profile[0].timestamp * 1000);
+            endDate = new Date(metered.profile[metered.profile.length - 1].timestamp * 1000);
         } else {
             endDate = new Date();
             startDate = new Date();
@@ -133,14 +462,17 @@ const App = {
 
         // Try to fetch from API
         try {
-            const prices = await DataSources.fetchPrices(market, startDate, endDate);
+            const prices = await DataSources.fetchPrices(market, startDate, endDate, (i, n) => {
+                UI.updateLoadingProgress(10 + Math.round(15 * i / n), `Fetching day-ahead prices (month ${i} of ${n})...`);
+            });
 
             if (prices && prices.length > 0) {
                 return {
                     prices,
                     startDate,
                     endDate,
-                    source: 'live'
+                    source: 'live',
+                    label: market === 'DE-LU' ? 'Energy-Charts / SMARD' : 'Energy-Charts'
                 };
             }
             throw new Error('Empty response from API');
@@ -149,12 +481,14 @@ const App = {
 
             if (demoMode) {
                 console.log('Using sample data (demo mode)');
-                const sampleData = DataSources.getSampleData(formData.capacityMW);
+                // The sample year is fixed, so production and data quality follow its period
+                const sampleData = DataSources.getSampleData(formData.capacityMW, formData.seed);
                 return {
                     prices: sampleData.prices,
-                    startDate,
-                    endDate,
-                    source: 'demo'
+                    startDate: sampleData.startDate,
+                    endDate: sampleData.endDate,
+                    source: 'demo',
+                    label: 'sample data (demo mode)'
                 };
             }
 
@@ -163,14 +497,226 @@ const App = {
     },
 
     /**
-     * Get PV profile (synthetic or PVGIS)
+     * Attach national solar generation to the aligned data (see DataSources.attachMarketSolar)
+     * Falls back to the stored fixture offline and in demo mode; without either the benchmark is skipped.
+     * @returns {Object} {source: 'live' | 'fixture' | 'none', label} - for 'none', label gives the reason
+     */
+    async getMarketSolar(formData, priceData, alignedData, resolutionMinutes) {
+        const { market } = formData;
+        let generation = null;
+        let source = 'live';
+
+        if (priceData.source !== 'demo') {
+            try {
+                generation = await DataSources.fetchMarketSolar(market, priceData.startDate, priceData.endDate);
+            } catch (error) {
+                console.warn('Market solar fetch failed:', error);
+            }
+        }
+
+        if (!generation || generation.length === 0) {
+            generation = DataSources.getMarketSolarFixture(market, priceData.startDate, priceData.endDate);
+            source = 'fixture';
+            if (!generation) {
+                const reason = `${priceData.source === 'demo' ? 'demo mode' : 'Energy-Charts unreachable'}, and the offline profile covers Germany only`;
+                UI.showToast(`Market solar benchmark skipped for ${market} - ${reason}`, 'warning');
+                return { source: 'none', label: reason };
+            }
+            if (priceData.source !== 'demo') {
+                UI.showToast('Market solar generation unavailable - benchmark uses the modelled typical German profile', 'warning');
+            }
+        }
+
+        const matched = DataSources.attachMarketSolar(alignedData, DataSources.resampleSeries(generation, resolutionMinutes, 'output'));
+        if (matched === 0) return { source: 'none', label: 'national solar data does not cover the analysed period' };
+
+        return {
+            source,
+            label: source === 'live' ? 'Energy-Charts public power (national solar)' : 'Offline fixture (modelled typical German solar, not measured)'
+        };
+    },
+
+    /**
+     * Custom period from the wizard dates (UTC days); the end date is included in full
+     * @returns {Object} {startDate, endDate} - endDate is the start of the next day minus one second
+     */
+    getCustomPeriod(dateStart, dateEnd) {
+        return {
+            startDate: new Date(dateStart),
+            endDate: new Date(new Date(dateEnd).getTime() + 86400000 - 1000)
+        };
+    },
+
+    /**
+     * Use the price series uploaded in the wizard
+     * The file's own range is used unless a custom period narrows it.
      */
-    async getPVProfile(formData, startDate, endDate) {
-        const { capacityMW, market } = formData;
+    getUploadedPriceData(formData) {
+        const upload = formData.priceUpload;
+        if (!upload || upload.prices.length === 0) {
+            throw new Error('No price file uploaded. Select a CSV/JSON file in step 1.');
+        }
+
+        let prices = upload.prices;
+        if (formData.period === 'custom' && formData.dateStart && formData.dateEnd) {
+            const { startDate, endDate } = this.getCustomPeriod(formData.dateStart, formData.dateEnd);
+            const startUnix = Math.floor(startDate.getTime() / 1000);
+            const endUnix = Math.floor(endDate.getTime() / 1000);
+            prices = prices.filter(p => p.timestamp >= startUnix && p.timestamp <= endUnix);
+        }
+
+        if (prices.length === 0) {
+            throw new Error(`${upload.fileName} has no prices in the selected period`);
+        }
 
-        // For now, always use synthetic profile
-        // PVGIS integration would go here as a beta feature
-        return DataSources.generateSyntheticPVProfile(startDate, endDate, capacityMW, market);
+        return {
+            prices,
+            startDate: new Date(prices[0].timestamp * 1000),
+            endDate: new Date(prices[prices.length - 1].timestamp * 1000),
+            source: 'upload',
+            label: `uploaded file ${upload.fileName}`,
+            fileName: upload.fileName
+        };
+    },
+
+    /**
+     * Production profiles of all portfolio components (formData.components, primary asset first)
+     * Only the primary asset can use a metered upload; further components are modelled.
+     * @returns {Promise<Array>} [{technology, capacityMW, label, source, capacityFactor, profile}]
+     */
+    async getComponentProfiles(formData, startDate, endDate, resolutionMinutes = 60) {
+        const results = [];
+        const capacityFactors = new Map();
+
+        for (const [index, component] of formData.components.entries()) {
+            const profile = await this.getProductionProfile({
+                ...formData,
+                technology: component.technology,
+                capacityMW: component.capacityMW,
+                productionSource: index === 0 ? formData.productionSource : 'synthetic',
+                wind: { ...formData.wind, site: CONFIG.TECHNOLOGIES[component.technology]?.site || formData.wind.site }
+            }, startDate, endDate, resolutionMinutes, capacityFactors);
+
+            results.push({
+                technology: component.technology,
+                capacityMW: component.capacityMW,
+                label: window.AppState.pvSourceLabel,
+                source: window.AppState.pvSource,
+                capacityFactor: window.AppState.pvCapacityFactor,
+                profile
+            });
+        }
+
+        // Portfolio labels describe every component; source flags follow the primary asset
+        if (results.length > 1) {
+            window.AppState.pvSource = results[0].source;
+            window.AppState.pvSourceLabel = results
+                .map(c => `${CONFIG.TECHNOLOGIES[c.technology].name} ${c.capacityMW} MW: ${c.label}`)
+                .join(' + ');
+            window.AppState.pvCapacityFactor = null;
+        }
+
+        return results;
+    },
+
+    /**
+     * Get production profile (metered, synthetic or PVGIS for solar; metered or synthetic for wind)
+     */
+    async getProductionProfile(formData, startDate, endDate, resolutionMinutes = 60, capacityFactors = new Map()) {
+        const { capacityMW, market, technology } = formData;
+        const windSite = CONFIG.TECHNOLOGIES[technology]?.site;
+        window.AppState.pvCapacityFactor = null;
+
+        if (formData.productionSource === 'upload') {
+            const metered = formData.productionUpload;
+            if (!metered) {
+                throw new Error('No metered production file uploaded. Select a file in step 1.');
+            }
+
+            window.AppState.pvSource = 'metered';
+            window.AppState.pvSourceLabel = `Metered (${metered.fileName})`;
+            return DataSources.resampleSeries(metered.profile, resolutionMinutes, 'output');
+        }
+
+        if (windSite) {
+            window.AppState.pvSource = 'synthetic';
+            window.AppState.pvSourceLabel = `Synthetic wind model (${this.describeTurbine(formData.wind)})`;
+            this.checkSyntheticCapacityFactor(market, formData.wind, formData.seed, technology, capacityFactors);
+
+            return DataSources.generateSyntheticProfile(technology, startDate, endDate, capacityMW, market, resolutionMinutes, formData.wind, formData.seed);
+        }
+
+        if (formData.pvModel === 'pvgis') {
+            try {
+                const { start, end } = CONFIG.PV.PVGIS_YEARS;
+                // Empty fields (NaN) take the defaults, as in the synthetic model
+                const site = DataSources.resolveSite(CONFIG.MARKETS[market], formData.site);
+                const pvgis = await DataSources.fetchPVGIS(site, start, end);
+                const hourly = DataSources.mapPVGISToPeriod(pvgis, startDate, endDate, capacityMW, formData.site.dcAcRatio);
+
+                window.AppState.pvSource = 'pvgis';
+                window.AppState.pvSourceLabel = `PVGIS ${start}-${end} (${formData.site.lat.toFixed(2)}, ${formData.site.lon.toFixed(2)})`;
+                return resolutionMinutes === 60 ? hourly : DataSources.resampleSeries(hourly, resolutionMinutes, 'output');
+            } catch (error) {
+                console.warn('PVGIS unavailable, using synthetic profile:', error);
+                UI.showToast('PVGIS unavailable - using synthetic PV profile', 'warning');
+            }
+        }
+
+        window.AppState.pvSource = 'synthetic';
+        window.AppState.pvSourceLabel = `Synthetic model (${this.describeMounting(formData.site)})`;
+        this.checkSyntheticCapacityFactor(market, formData.site, formData.seed, technology, capacityFactors);
+
+        return DataSources.generateSyntheticProfile(technology, startDate, endDate, capacityMW, market, resolutionMinutes, formData.site, formData.seed);
+    },
+
+    /**
+     * Short mounting description for labels (e.g., "fixed 30° tilt, 0° azimuth, DC/AC 1.20")
+     */
+    describeMounting(site = {}) {
+        const dcAc = `DC/AC ${(site.dcAcRatio ?? CONFIG.PV.DEFAULT_DC_AC_RATIO).toFixed(2)}`;
+        if (site.mounting === 'tracker') return `single-axis tracker, ${dcAc}`;
+        const tilt = site.tilt ?? CONFIG.PV.DEFAULT_TILT;
+        const azimuth = site.azimuth ?? CONFIG.PV.DEFAULT_AZIMUTH;
+        return `fixed ${tilt}° tilt, ${azimuth}° azimuth, ${dcAc}`;
+    },
+
+    /**
+     * Short turbine description for labels (e.g., "onshore, 130 m hub, Standard (300 W/m2)")
+     */
+    describeTurbine(wind = {}) {
+        const site = wind.site === 'offshore' ? 'offshore' : 'onshore';
+        const turbine = CONFIG.WIND.TURBINES[wind.turbine] || CONFIG.WIND.TURBINES[CONFIG.WIND[site].DEFAULT_TURBINE];
+        const hubHeight = wind.hubHeight ?? CONFIG.WIND[site].DEFAULT_HUB_HEIGHT;
+        return `${site}, ${hubHeight} m hub, ${turbine.name}`;
+    },
+
+    /**
+     * Compare the synthetic model's annual capacity factor with the market reference
+     * Stores the result in AppState and warns when it falls outside the tolerance. Components sharing
+     * technology and site reuse the estimate in `estimates`, without a second warning.
+     */
+    checkSyntheticCapacityFactor(market, site, seed, technology = 'solar', estimates = new Map()) {
+        const key = JSON.stringify([market, technology, site, seed]);
+        if (estimates.has(key)) {
+            window.AppState.pvCapacityFactor = estimates.get(key);
+            return;
+        }
+
+        const cf = DataSources.estimateSyntheticCapacityFactor(market, site, seed, technology);
+        const deviation = cf.model / cf.reference - 1;
+        window.AppState.pvCapacityFactor = { ...cf, deviation };
+        estimates.set(key, window.AppState.pvCapacityFactor);
+
+        const isWind = Boolean(CONFIG.TECHNOLOGIES[technology]?.site);
+        const tolerance = isWind ? CONFIG.WIND.CAPACITY_FACTOR_TOLERANCE : CONFIG.PV.CAPACITY_FACTOR_TOLERANCE;
+        if (Math.abs(deviation) > tolerance) {
+            UI.showToast(
+                `Synthetic ${CONFIG.TECHNOLOGIES[technology]?.short || 'PV'} capacity factor ${(cf.model * 100).toFixed(1)}% deviates from the typical ` +
+                `${(cf.reference * 100).toFixed(1)}% for this market - check ${isWind ? 'turbine' : 'site'} inputs`,
+                'warning'
+            );
+        }
     },
 
     /**
@@ -199,6 +745,11 @@ const App = {
             Charts.renderBatteryChart(batteryResults, kpis);
         }
 
+        // Merchant vs PPA (only while the comparison is shown, see UI.updatePPA)
+        if (document.getElementById('toggle-ppa-compare')?.checked) {
+            Charts.renderPPAChart(window.AppState.ppaComparison);
+        }
+
         // Create sparklines for KPI cards
         if (kpis.monthlyCaptureRates.length > 0) {
             const captureRates = kpis.monthlyCaptureRates.map(m => m.rate);
@@ -213,20 +764,33 @@ const App = {
      * Generate AI memo (with fallback)
      */
     async generateMemo() {
-        const { formData, kpis, batteryResults, dataSource } = window.AppState;
+        const { formData, kpis, batteryResults, dataSource, priceFile, pvSource, pvSourceLabel, pvCapacityFactor, portfolio, forwardScenarios, marketBenchmark, dataQuality, resolutionMinutes } = window.AppState;
 
         const analysisData = {
             market: formData.market,
+            technology: kpis.technology,
             period: formData.period === 'custom'
                 ? `${formData.dateStart} to ${formData.dateEnd}`
                 : `Last ${formData.period} months`,
-            capacityMW: formData.capacityMW,
+            capacityMW: portfolio ? portfolio.totalCapacityMW : formData.capacityMW,
+            resolutionMinutes,
             kpis,
             batteryResults,
-            routeToMarket: formData.routeToMarket === 'merchant' ? 'Merchant (spot indexed)' : `PPA (${formData.ppaPrice} EUR/MWh)`,
+            batterySizing: window.AppState.batterySizing,
+            finance: window.AppState.finance,
+            monteCarlo: window.AppState.monteCarlo,
+            routeToMarket: formData.routeToMarket === 'merchant' ? 'Merchant (spot indexed)' : UI.describeRouteToMarket(formData),
             hasBattery: formData.enableBattery && batteryResults !== null,
             dataSource,
-            pvSource: 'synthetic'
+            priceFile,
+            pvSource,
+            pvSourceLabel,
+            pvCapacityFactor,
+            portfolio,
+            forwardScenarios,
+            marketBenchmark,
+            dataQuality,
+            seed: formData.seed
         };
 
         // Try to call backend API
@@ -5,6 +5,15 @@
 
 const Charts = {
     instances: {},
+    WEEKDAYS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    /**
+     * Short production label of the analysed technology (e.g., "PV", "Wind")
+     */
+    productionLabel() {
+        const technology = window.AppState?.kpis?.technology || window.AppState?.formData?.technology;
+        return (CONFIG.TECHNOLOGIES[technology] || CONFIG.TECHNOLOGIES.solar).short;
+    },
 
     // Common chart options
     commonOptions: {
@@ -60,7 +69,7 @@ const Charts = {
     },
 
     /**
-     * Initialize/update the price vs PV output overlay chart
+     * Initialize/update the price vs production overlay chart
      */
     renderOverlayChart(weekData, containerId = 'chart-overlay') {
         const ctx = document.getElementById(containerId);
@@ -71,14 +80,10 @@ const Charts = {
             this.instances[containerId].destroy();
         }
 
-        // Prepare data
+        // Prepare data (labels in market time, see Compute.localTime)
         const labels = weekData.map(d => {
-            const date = new Date(d.timestamp * 1000);
-            return date.toLocaleString('en-GB', {
-                weekday: 'short',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
+            const { weekday, hour, minute } = Compute.localTime(d);
+            return `${this.WEEKDAYS[weekday]} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
         });
 
         const prices = weekData.map(d => d.price);
@@ -86,6 +91,7 @@ const Charts = {
 
         // Find max output for scaling
         const maxOutput = Math.max(...outputs);
+        const outputLabel = `${this.productionLabel()} Output (MW)`;
 
         this.instances[containerId] = new Chart(ctx, {
             type: 'line',
@@ -93,7 +99,7 @@ const Charts = {
                 labels,
                 datasets: [
                     {
-                        label: 'PV Output (MW)',
+                        label: outputLabel,
                         data: outputs,
                         backgroundColor: 'rgba(20, 184, 166, 0.3)',
                         borderColor: CONFIG.COLORS.primary,
@@ -176,7 +182,7 @@ const Charts = {
                         position: 'right',
                         title: {
                             display: true,
-                            text: 'PV Output (MW)',
+                            text: outputLabel,
                             color: '#64748b',
                             font: { size: 11 }
                         },
@@ -219,17 +225,36 @@ const Charts = {
             return CONFIG.COLORS.primary;
         });
 
+        const datasets = [{
+            label: 'Capture Rate (%)',
+            data: rates,
+            backgroundColor: barColors,
+            borderRadius: 4,
+            borderSkipped: false,
+            order: 2
+        }];
+
+        // Market solar capture rate as a line over the bars (see Compute.calculateMarketBenchmark)
+        if (monthlyCaptureRates.some(m => m.marketRate !== null)) {
+            datasets.push({
+                type: 'line',
+                label: 'Market Solar (%)',
+                data: monthlyCaptureRates.map(m => m.marketRate),
+                borderColor: CONFIG.COLORS.accent,
+                backgroundColor: CONFIG.COLORS.accent,
+                borderDash: [4, 4],
+                borderWidth: 2,
+                pointRadius: 3,
+                spanGaps: false,
+                order: 1
+            });
+        }
+
         this.instances[containerId] = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels,
-                datasets: [{
-                    label: 'Capture Rate (%)',
-                    data: rates,
-                    backgroundColor: barColors,
-                    borderRadius: 4,
-                    borderSkipped: false
-                }]
+                datasets
             },
             options: {
                 ...this.commonOptions,
@@ -239,7 +264,14 @@ const Charts = {
                         ...this.commonOptions.plugins.tooltip,
                         callbacks: {
                             label: function(context) {
-                                return `Capture Rate: ${context.raw.toFixed(1)}%`;
+                                const month = monthlyCaptureRates[context.dataIndex];
+                                if (context.dataset.type === 'line') {
+                                    return `Market Solar: ${context.raw.toFixed(1)}% (${month.marketCapture.toFixed(1)} EUR/MWh)`;
+                                }
+                                const premium = month.premium !== null
+                                    ? ` | ${month.premium >= 0 ? '+' : ''}${month.premium.toFixed(1)} EUR/MWh vs market solar`
+                                    : '';
+                                return `Capture Rate: ${context.raw.toFixed(1)}%${premium}`;
                             }
                         }
                     }
@@ -292,7 +324,7 @@ const Charts = {
                         borderRadius: 2
                     },
                     {
-                        label: 'PV Hours',
+                        label: `${this.productionLabel()} Hours`,
                         data: priceDistribution.map(b => b.pvPct),
                         backgroundColor: 'rgba(20, 184, 166, 0.7)',
                         borderColor: CONFIG.COLORS.primary,
@@ -360,6 +392,7 @@ const Charts = {
         if (!container) return;
 
         const { heatmap, counts, maxCount } = heatmapData;
+        const productionLabel = this.productionLabel();
 
         // Clear container
         container.innerHTML = '';
@@ -387,7 +420,7 @@ const Charts = {
                     cell.style.backgroundColor = `rgba(${239}, ${Math.round(68 + 90 * (1 - intensity))}, ${68}, ${0.3 + intensity * 0.7})`;
                 }
 
-                cell.title = `${months[m]} ${String(h).padStart(2, '0')}:00 - ${count} negative hours (${total} total PV hours)`;
+                cell.title = `${months[m]} ${String(h).padStart(2, '0')}:00 - ${count} negative hours (${total} total ${productionLabel} hours)`;
 
                 container.appendChild(cell);
             }
@@ -404,6 +437,47 @@ const Charts = {
         if (skeleton) skeleton.style.display = 'none';
     },
 
+    /**
+     * Render the battery sizing heatmap (power rows x duration columns)
+     * Teal for positive values, red for negative; the best configuration (net value) is outlined.
+     * @param {Object} sizing - From Compute.sweepBatterySizes
+     * @param {string} metric - Cell field, see CONFIG.BATTERY.SIZING.METRICS
+     */
+    renderSizingHeatmap(sizing, metric = 'netValue', containerId = 'battery-sizing-grid') {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const values = sizing.cells.flat().map(c => c[metric]);
+        const maxAbs = Math.max(...values.map(Math.abs), 1);
+        const unit = { upliftPerMW: 'kEUR/MW/yr', upliftPerMWh: 'kEUR/MWh/yr' }[metric] || 'kEUR/yr';
+
+        const cell = c => {
+            const value = c[metric];
+            const intensity = Math.abs(value) / maxAbs;
+            const color = value >= 0 ? '20, 184, 166' : '239, 68, 68';
+            const isBest = c === sizing.best;
+            return `<td class="sizing-cell${isBest ? ' best' : ''}" style="background-color: rgba(${color}, ${0.08 + intensity * 0.6})"
+                title="${c.powerMW} MW / ${c.energyMWh} MWh: uplift ${(c.uplift / 1000).toFixed(0)} kEUR/yr, CAPEX ${(c.capex / 1e6).toFixed(1)} MEUR, net ${(c.netValue / 1000).toFixed(0)} kEUR/yr, ${c.cyclesPerYear} cycles/yr">${(value / 1000).toFixed(metric === 'upliftPerMW' || metric === 'upliftPerMWh' ? 1 : 0)}</td>`;
+        };
+
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>${CONFIG.BATTERY.SIZING.METRICS[metric]} (${unit})</th>
+                        ${sizing.durationsH.map(h => `<th>${h} h</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sizing.cells.map((row, i) => `
+                    <tr>
+                        <td>${sizing.powersMW[i]} MW</td>
+                        ${row.map(cell).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    },
+
     /**
      * Render battery impact chart
      */
@@ -416,7 +490,7 @@ const Charts = {
         }
 
         // Prepare comparison data
-        const labels = ['Revenue (kEUR)', 'Capture Price', 'Neg. Exposure'];
+        const labels = [kpis.cfd ? 'Merchant Revenue (kEUR)' : 'Revenue (kEUR)', 'Capture Price', 'Neg. Exposure'];
 
         const beforeData = [
             kpis.merchantRevenue / 1000,
@@ -430,28 +504,58 @@ const Charts = {
             Math.max(0, kpis.negativePercentage - batteryResults.negativeReduction)
         ];
 
+        // Perfect-foresight dispatch, the upper bound of a chronological heuristic (see Compute.optimizeBattery)
+        const { optimal } = batteryResults;
+        const optimalData = optimal ? [
+            (kpis.merchantRevenue + optimal.totalUplift) / 1000,
+            optimal.effectiveCapturePrice,
+            Math.max(0, kpis.negativePercentage - optimal.negativeReduction)
+        ] : null;
+
+        // CfD and fixed price at the strike: difference payments settle on production,
+        // so battery arbitrage adds at spot on top of either contract
+        if (kpis.cfd) {
+            const { comparison } = kpis.cfd;
+            labels.splice(1, 0, 'CfD Revenue (kEUR)', `Fixed Price @ Strike (${kpis.cfd.strikePrice}) Revenue (kEUR)`);
+            beforeData.splice(1, 0, comparison.cfd / 1000, comparison.fixedAtStrike / 1000);
+            afterData.splice(1, 0, (comparison.cfd + batteryResults.totalUplift) / 1000, (comparison.fixedAtStrike + batteryResults.totalUplift) / 1000);
+            optimalData?.splice(1, 0, (comparison.cfd + optimal.totalUplift) / 1000, (comparison.fixedAtStrike + optimal.totalUplift) / 1000);
+        }
+
+        const datasets = [
+            {
+                label: 'Without Battery',
+                data: beforeData,
+                backgroundColor: 'rgba(100, 116, 139, 0.5)',
+                borderColor: CONFIG.COLORS.neutral,
+                borderWidth: 1,
+                borderRadius: 4
+            },
+            {
+                label: 'With Battery',
+                data: afterData,
+                backgroundColor: 'rgba(34, 197, 94, 0.6)',
+                borderColor: CONFIG.COLORS.positive,
+                borderWidth: 1,
+                borderRadius: 4
+            }
+        ];
+        if (optimalData) {
+            datasets.push({
+                label: 'Optimal Dispatch',
+                data: optimalData,
+                backgroundColor: 'rgba(34, 211, 238, 0.35)',
+                borderColor: CONFIG.COLORS.accent,
+                borderWidth: 1,
+                borderRadius: 4
+            });
+        }
+
         this.instances[containerId] = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels,
-                datasets: [
-                    {
-                        label: 'Without Battery',
-                        data: beforeData,
-                        backgroundColor: 'rgba(100, 116, 139, 0.5)',
-                        borderColor: CONFIG.COLORS.neutral,
-                        borderWidth: 1,
-                        borderRadius: 4
-                    },
-                    {
-                        label: 'With Battery',
-                        data: afterData,
-                        backgroundColor: 'rgba(34, 197, 94, 0.6)',
-                        borderColor: CONFIG.COLORS.positive,
-                        borderWidth: 1,
-                        borderRadius: 4
-                    }
-                ]
+                datasets
             },
             options: {
                 ...this.commonOptions,
@@ -504,6 +608,273 @@ const Charts = {
         this.removeSkeleton(containerId);
     },
 
+    /**
+     * Render monthly merchant vs PPA revenue, with the PPA's spot settlement as a line
+     * @param {Object} ppa - From Compute.calculatePPA
+     */
+    renderPPAChart(ppa, containerId = 'chart-ppa') {
+        const ctx = document.getElementById(containerId);
+        if (!ctx || !ppa) return;
+
+        if (this.instances[containerId]) {
+            this.instances[containerId].destroy();
+        }
+
+        const labels = ppa.months.map(m => {
+            const [year, month] = m.month.split('-');
+            return new Date(year, month - 1).toLocaleString('en-GB', { month: 'short', year: '2-digit' });
+        });
+
+        this.instances[containerId] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [
+                    {
+                        label: 'Merchant',
+                        data: ppa.months.map(m => m.merchant / 1000),
+                        backgroundColor: 'rgba(100, 116, 139, 0.5)',
+                        borderColor: CONFIG.COLORS.neutral,
+                        borderWidth: 1,
+                        borderRadius: 4,
+                        order: 2
+                    },
+                    {
+                        label: 'PPA',
+                        data: ppa.months.map(m => m.revenue / 1000),
+                        backgroundColor: 'rgba(20, 184, 166, 0.6)',
+                        borderColor: CONFIG.COLORS.primary,
+                        borderWidth: 1,
+                        borderRadius: 4,
+                        order: 2
+                    },
+                    {
+                        type: 'line',
+                        label: 'PPA Spot Settlement',
+                        data: ppa.months.map(m => m.spotSettlement / 1000),
+                        borderColor: CONFIG.COLORS.warning,
+                        backgroundColor: CONFIG.COLORS.warning,
+                        borderDash: [4, 4],
+                        borderWidth: 2,
+                        pointRadius: 3,
+                        order: 1
+                    }
+                ]
+            },
+            options: {
+                ...this.commonOptions,
+                plugins: {
+                    ...this.commonOptions.plugins,
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        align: 'end',
+                        labels: {
+                            color: '#94a3b8',
+                            usePointStyle: true,
+                            pointStyle: 'rect',
+                            padding: 15,
+                            font: { size: 11 }
+                        }
+                    },
+                    tooltip: {
+                        ...this.commonOptions.plugins.tooltip,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${context.raw.toFixed(1)} kEUR`;
+                            },
+                            afterBody: function(items) {
+                                const month = ppa.months[items[0].dataIndex];
+                                return `Contracted: ${month.contractMWh.toLocaleString()} of ${month.production.toLocaleString()} MWh produced`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    ...this.commonOptions.scales,
+                    y: {
+                        ...this.commonOptions.scales.y,
+                        ticks: {
+                            ...this.commonOptions.scales.y.ticks,
+                            callback: value => `${value} k`
+                        }
+                    }
+                }
+            }
+        });
+
+        this.removeSkeleton(containerId);
+    },
+
+    /**
+     * Render histogram of simulated annual revenue (see MonteCarlo.simulate)
+     */
+    renderRevenueHistogram(monteCarlo, containerId = 'chart-mc-histogram') {
+        const ctx = document.getElementById(containerId);
+        if (!ctx || !monteCarlo) return;
+
+        if (this.instances[containerId]) {
+            this.instances[containerId].destroy();
+        }
+
+        const { histogram, p10, p50, p90 } = monteCarlo;
+        const binColor = bin => {
+            const mid = (bin.from + bin.to) / 2;
+            if (mid < p10) return 'rgba(239, 68, 68, 0.6)';
+            if (mid > p90) return 'rgba(34, 197, 94, 0.6)';
+            return bin.from <= p50 && p50 < bin.to ? CONFIG.COLORS.primary : 'rgba(20, 184, 166, 0.5)';
+        };
+
+        this.instances[containerId] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: histogram.map(b => (b.from / 1000).toFixed(0)),
+                datasets: [{
+                    label: 'Synthetic years',
+                    data: histogram.map(b => b.count),
+                    backgroundColor: histogram.map(binColor),
+                    borderWidth: 0,
+                    borderRadius: 2,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                ...this.commonOptions,
+                plugins: {
+                    ...this.commonOptions.plugins,
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        ...this.commonOptions.plugins.tooltip,
+                        callbacks: {
+                            title: function(items) {
+                                const bin = histogram[items[0].dataIndex];
+                                return `${(bin.from / 1000).toFixed(0)} - ${(bin.to / 1000).toFixed(0)} kEUR`;
+                            },
+                            label: function(context) {
+                                return `${context.raw} of ${monteCarlo.simulations} years`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    ...this.commonOptions.scales,
+                    x: {
+                        ...this.commonOptions.scales.x,
+                        title: {
+                            display: true,
+                            text: 'Annual Revenue (kEUR)',
+                            color: '#64748b',
+                            font: { size: 10 }
+                        },
+                        ticks: {
+                            ...this.commonOptions.scales.x.ticks,
+                            maxRotation: 45
+                        }
+                    },
+                    y: {
+                        ...this.commonOptions.scales.y,
+                        title: {
+                            display: true,
+                            text: 'Synthetic Years',
+                            color: '#64748b',
+                            font: { size: 10 }
+                        }
+                    }
+                }
+            }
+        });
+
+        this.removeSkeleton(containerId);
+    },
+
+    /**
+     * Render fan chart of cumulative revenue through the year (P10-P90 and P25-P75 bands, P50 line)
+     */
+    renderRevenueFan(monteCarlo, containerId = 'chart-mc-fan') {
+        const ctx = document.getElementById(containerId);
+        if (!ctx || !monteCarlo) return;
+
+        if (this.instances[containerId]) {
+            this.instances[containerId].destroy();
+        }
+
+        const { fan } = monteCarlo;
+        const labels = fan.map(m => new Date(2000, m.month).toLocaleString('en-GB', { month: 'short' }));
+        const band = (label, key, fill, color) => ({
+            label,
+            data: fan.map(m => m[key] / 1000),
+            borderColor: 'transparent',
+            backgroundColor: color,
+            fill,
+            pointRadius: 0,
+            tension: 0.3
+        });
+
+        this.instances[containerId] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [
+                    band('P10', 'p10', false, 'transparent'),
+                    band('P90', 'p90', '-1', 'rgba(20, 184, 166, 0.15)'),
+                    band('P25', 'p25', false, 'transparent'),
+                    band('P75', 'p75', '-1', 'rgba(20, 184, 166, 0.3)'),
+                    {
+                        label: 'P50',
+                        data: fan.map(m => m.p50 / 1000),
+                        borderColor: CONFIG.COLORS.primary,
+                        backgroundColor: CONFIG.COLORS.primary,
+                        borderWidth: 2,
+                        fill: false,
+                        pointRadius: 0,
+                        tension: 0.3
+                    }
+                ]
+            },
+            options: {
+                ...this.commonOptions,
+                plugins: {
+                    ...this.commonOptions.plugins,
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        ...this.commonOptions.plugins.tooltip,
+                        mode: 'index',
+                        intersect: false,
+                        itemSort: (a, b) => b.raw - a.raw,
+                        callbacks: {
+                            label: function(context) {
+                                return `${context.dataset.label}: ${context.raw.toFixed(0)} kEUR`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    ...this.commonOptions.scales,
+                    y: {
+                        ...this.commonOptions.scales.y,
+                        title: {
+                            display: true,
+                            text: 'Cumulative Revenue (kEUR)',
+                            color: '#64748b',
+                            font: { size: 10 }
+                        },
+                        ticks: {
+                            ...this.commonOptions.scales.y.ticks,
+                            callback: value => `${value} k`
+                        }
+                    }
+                }
+            }
+        });
+
+        this.removeSkeleton(containerId);
+    },
+
     /**
      * Create mini sparkline for KPI cards
      */
@@ -5,16 +5,24 @@
 
 const Compute = {
     /**
-     * Calculate all KPIs from aligned price/PV data
-     * @param {Array} data - Aligned data array [{timestamp, price, output, date}]
+     * Calculate all KPIs from aligned price/production data
+     * @param {Array} data - Aligned data array [{timestamp, price, output, durationH, date, local}]
      * @param {number} capacityMW - Installed capacity in MW
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options (floorPrice, technology, curtailment, ppa, eeg, cfd)
+     *   curtailment: {policy, threshold} when data went through applyCurtailment
+     *   ppa: {structure, price, volumeMW, indexShare, negativeClause} (see calculatePPA)
+     *   eeg: {applicableValue, cod} for the EEG market premium (see calculateMarketPremium)
+     *   cfd: {strikePrice, reference, negativePrice} for a two-sided CfD (see calculateCfD)
      * @returns {Object} Computed KPIs
      */
     calculateKPIs(data, capacityMW, options = {}) {
         const {
             floorPrice = null,
-            ppaPrice = null
+            technology = 'solar',
+            curtailment = null,
+            ppa = null,
+            eeg = null,
+            cfd = null
         } = options;
 
         // Basic validation
@@ -25,20 +33,24 @@ const Compute = {
         // Baseload average price
         const baseloadAvg = this.calculateMean(data.map(d => d.price));
 
-        // Total production (MWh)
-        const totalProduction = data.reduce((sum, d) => sum + d.output, 0); // Already in MW, hourly = MWh
+        // Total production (MWh) - output is MW averaged over each interval
+        const totalProduction = data.reduce((sum, d) => sum + this.intervalEnergy(d), 0);
 
-        // PV-weighted capture price
-        const weightedSum = data.reduce((sum, d) => sum + (d.price * d.output), 0);
+        // Production-weighted capture price
+        const weightedSum = data.reduce((sum, d) => sum + (d.price * this.intervalEnergy(d)), 0);
         const capturePrice = totalProduction > 0 ? weightedSum / totalProduction : 0;
 
         // Capture rate
         const captureRate = baseloadAvg > 0 ? (capturePrice / baseloadAvg) * 100 : 0;
 
+        // Capacity factor over the analysed intervals
+        const totalHours = data.reduce((sum, d) => sum + this.intervalHours(d), 0);
+        const capacityFactor = capacityMW > 0 && totalHours > 0 ? (totalProduction / (capacityMW * totalHours)) * 100 : 0;
+
         // Negative price exposure
         const negativeHours = data.filter(d => d.price < 0 && d.output > 0);
-        const negativeHoursCount = negativeHours.length;
-        const negativeMWh = negativeHours.reduce((sum, d) => sum + d.output, 0);
+        const negativeHoursCount = negativeHours.reduce((sum, d) => sum + this.intervalHours(d), 0);
+        const negativeMWh = negativeHours.reduce((sum, d) => sum + this.intervalEnergy(d), 0);
         const negativePercentage = totalProduction > 0 ? (negativeMWh / totalProduction) * 100 : 0;
 
         // Revenue calculations
@@ -47,14 +59,23 @@ const Compute = {
             if (floorPrice !== null) {
                 effectivePrice = Math.max(effectivePrice, floorPrice);
             }
-            return sum + (effectivePrice * d.output);
+            return sum + (effectivePrice * this.intervalEnergy(d));
         }, 0);
 
-        // PPA revenue (if applicable)
-        let ppaRevenue = null;
-        if (ppaPrice !== null) {
-            ppaRevenue = totalProduction * ppaPrice;
-        }
+        // PPA settlement: contracted volume at the contract price, imbalances at spot
+        const ppaResult = ppa
+            ? this.calculatePPA(data, { ...ppa, floorPrice })
+            : null;
+
+        // Two-sided CfD settlement and comparison with merchant / fixed price at the strike
+        const cfdResult = cfd
+            ? this.calculateCfD(data, { ...cfd, technology, floorPrice })
+            : null;
+
+        // EEG sliding market premium on top of spot sales
+        const marketPremium = eeg
+            ? this.calculateMarketPremium(data, { ...eeg, technology, floorPrice })
+            : null;
 
         // Monthly revenue distribution for risk metrics
         const monthlyRevenues = this.calculateMonthlyRevenues(data);
@@ -69,24 +90,486 @@ const Compute = {
         // Negative hours heatmap data
         const negativeHeatmap = this.calculateNegativeHeatmap(data);
 
+        // Market solar benchmark (rows with national generation, see DataSources.attachMarketSolar)
+        const marketBenchmark = this.calculateMarketBenchmark(data);
+
+        // Curtailed energy and what producing into those prices would have cost
+        const curtailmentSummary = curtailment
+            ? { ...curtailment, ...this.calculateCurtailment(data, { floorPrice, weightedSum, totalProduction }) }
+            : null;
+
         return {
+            technology,
             baseloadAvg: Math.round(baseloadAvg * 100) / 100,
             capturePrice: Math.round(capturePrice * 100) / 100,
             captureRate: Math.round(captureRate * 10) / 10,
-            negativeHoursCount,
+            negativeHoursCount: Math.round(negativeHoursCount * 100) / 100,
             negativeMWh: Math.round(negativeMWh),
             negativePercentage: Math.round(negativePercentage * 10) / 10,
             totalProduction: Math.round(totalProduction),
+            capacityFactor: Math.round(capacityFactor * 10) / 10,
             merchantRevenue: Math.round(merchantRevenue),
-            ppaRevenue: ppaRevenue !== null ? Math.round(ppaRevenue) : null,
+            ppaRevenue: ppaResult ? ppaResult.revenue : null,
+            ppa: ppaResult,
+            marketPremium,
+            cfd: cfdResult,
             riskMetrics,
             monthlyCaptureRates,
             priceDistribution,
             negativeHeatmap,
+            marketBenchmark,
+            curtailment: curtailmentSummary,
             dataPoints: data.length
         };
     },
 
+    /**
+     * Price below which output is curtailed
+     * @param {Object} curtailment - {policy, threshold, supportPayment}; policy is a key of CONFIG.CURTAILMENT.POLICIES
+     * @returns {number|null} Threshold in EUR/MWh, or null when the plant produces into every price
+     */
+    getCurtailmentThreshold(curtailment) {
+        switch (curtailment?.policy) {
+            case 'zero':
+                return 0;
+            case 'threshold':
+                return curtailment.threshold;
+            case 'subsidy':
+                // Curtailing also forfeits the support payment, so it only pays below -support
+                return -curtailment.supportPayment;
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Switch output off in intervals priced below the threshold
+     * Curtailed rows keep the production they could have delivered as curtailedMW,
+     * which the battery simulation can absorb.
+     * @param {Array} data - Aligned data
+     * @param {number} threshold - EUR/MWh (see getCurtailmentThreshold)
+     * @returns {Array} Copy of the data; curtailed rows have output 0
+     */
+    applyCurtailment(data, threshold) {
+        return data.map(d => (d.price < threshold && d.output > 0)
+            ? { ...d, output: 0, curtailedMW: d.output }
+            : d);
+    },
+
+    /**
+     * Curtailment summary for calculateKPIs
+     * @param {Array} data - Curtailed data (see applyCurtailment)
+     * @param {Object} totals - {floorPrice, weightedSum, totalProduction} of the delivered output
+     * @returns {Object} {curtailedHours, lostMWh, revenueSaved (EUR, vs producing at those prices),
+     *   uncurtailedCapturePrice}
+     */
+    calculateCurtailment(data, totals) {
+        const { floorPrice, weightedSum, totalProduction } = totals;
+        let curtailedHours = 0;
+        let lostMWh = 0;
+        let lostRevenue = 0;
+        let lostWeighted = 0;
+
+        data.forEach(d => {
+            if (!(d.curtailedMW > 0)) return;
+            const energy = d.curtailedMW * this.intervalHours(d);
+            curtailedHours += this.intervalHours(d);
+            lostMWh += energy;
+            lostRevenue += (floorPrice !== null ? Math.max(d.price, floorPrice) : d.price) * energy;
+            lostWeighted += d.price * energy;
+        });
+
+        const uncurtailedProduction = totalProduction + lostMWh;
+        const uncurtailedCapturePrice = uncurtailedProduction > 0 ? (weightedSum + lostWeighted) / uncurtailedProduction : 0;
+
+        return {
+            curtailedHours: Math.round(curtailedHours * 100) / 100,
+            lostMWh: Math.round(lostMWh),
+            revenueSaved: Math.round(-lostRevenue),
+            uncurtailedCapturePrice: Math.round(uncurtailedCapturePrice * 100) / 100
+        };
+    },
+
+    /**
+     * §51 EEG negative-price rule for a commissioning date
+     * @param {string|null} cod - Commissioning date 'YYYY-MM-DD' (CONFIG.EEG.DEFAULT_COD if empty)
+     * @returns {Object|null} Rule from CONFIG.EEG.NEGATIVE_PRICE_RULES; null before 2016 (no rule)
+     */
+    getNegativePriceRule(cod) {
+        const date = cod || CONFIG.EEG.DEFAULT_COD;
+        const rules = CONFIG.EEG.NEGATIVE_PRICE_RULES.filter(r => date >= r.from);
+        return rules.length > 0 ? rules[rules.length - 1] : null;
+    },
+
+    /**
+     * Negative hours that suspend the premium under a rule in a settlement year
+     */
+    getNegativePriceHours(rule, year) {
+        const steps = (rule.byYear || []).filter(step => year >= step.fromYear);
+        return steps.length > 0 ? steps[steps.length - 1].hours : rule.hours;
+    },
+
+    /**
+     * Timestamps in runs of consecutive negative prices lasting at least minHours
+     * @param {Array} data - Aligned data (sorted by timestamp)
+     * @param {number|Function} minHours - Minimum run length, or a function of the run's first row;
+     *   0 marks every negative interval
+     * @returns {Set} Timestamps inside qualifying runs
+     */
+    findNegativePriceRuns(data, minHours) {
+        const marked = new Set();
+        const thresholdOf = typeof minHours === 'function' ? minHours : () => minHours;
+        let run = [];
+        let runHours = 0;
+
+        const closeRun = () => {
+            if (run.length > 0 && runHours >= thresholdOf(run[0])) run.forEach(d => marked.add(d.timestamp));
+            run = [];
+            runHours = 0;
+        };
+
+        data.forEach((d, i) => {
+            const previous = data[i - 1];
+            // A gap in the data ends the run
+            if (previous && d.timestamp - previous.timestamp > this.intervalHours(previous) * 3600) closeRun();
+            if (d.price < 0) {
+                run.push(d);
+                runHours += this.intervalHours(d);
+            } else {
+                closeRun();
+            }
+        });
+        closeRun();
+
+        return marked;
+    },
+
+    /**
+     * Technology market values per period: production-weighted average price
+     * Solar is weighted by national solar generation when available (see DataSources.attachMarketSolar),
+     * otherwise, and for other technologies, by the asset's own production.
+     * @param {Array} data - Aligned data
+     * @param {string} technology - Key of CONFIG.TECHNOLOGIES
+     * @param {string} period - 'monthKey' or 'year' (field of the market-local time)
+     * @returns {Object} {values: Map period -> EUR/MWh, source: 'market' | 'asset'}
+     */
+    calculateMarketValues(data, technology, period) {
+        const useMarketSolar = technology === 'solar' && data.some(d => d.marketSolar !== undefined);
+        const sums = new Map();
+
+        data.forEach(d => {
+            const key = String(this.localTime(d)[period]);
+            if (!sums.has(key)) sums.set(key, { weightedSum: 0, weight: 0 });
+            const sum = sums.get(key);
+            const weight = useMarketSolar ? (d.marketSolar ?? 0) * this.intervalHours(d) : this.intervalEnergy(d);
+            sum.weightedSum += d.price * weight;
+            sum.weight += weight;
+        });
+
+        const values = new Map();
+        for (const [key, sum] of sums) {
+            values.set(key, sum.weight > 0 ? sum.weightedSum / sum.weight : 0);
+        }
+        return { values, source: useMarketSolar ? 'market' : 'asset' };
+    },
+
+    /**
+     * Two-sided Contract for Difference
+     * The generator sells at spot and receives (strike - reference) per MWh produced; a negative
+     * difference is paid back (clawback). Difference payments settle on the plant's production.
+     * @param {Array} data - Aligned data
+     * @param {Object} options - {strikePrice, reference: 'hourly' | 'monthly' | 'annual',
+     *   negativePrice: 'settle' | 'suspend' (see CONFIG.CFD), technology, floorPrice}
+     * @returns {Object} {strikePrice, reference, negativePrice, referenceSource, months: [{month, payout,
+     *   clawback, net}], payout, clawback, spotRevenue, netRevenue, suspendedMWh,
+     *   comparison: {merchant, cfd, fixedAtStrike}} - fixedAtStrike sells all production at the strike price
+     */
+    calculateCfD(data, options) {
+        const {
+            strikePrice,
+            reference = 'hourly',
+            negativePrice = 'settle',
+            technology = 'solar',
+            floorPrice = null
+        } = options;
+
+        const period = reference === 'annual' ? 'year' : 'monthKey';
+        const marketValues = reference === 'hourly' ? null : this.calculateMarketValues(data, technology, period);
+
+        const monthlyMap = new Map();
+        let spotRevenue = 0;
+        let totalProduction = 0;
+        let suspendedMWh = 0;
+
+        data.forEach(d => {
+            const local = this.localTime(d);
+            const energy = this.intervalEnergy(d);
+            spotRevenue += (floorPrice !== null ? Math.max(d.price, floorPrice) : d.price) * energy;
+            totalProduction += energy;
+
+            if (!monthlyMap.has(local.monthKey)) monthlyMap.set(local.monthKey, { payout: 0, clawback: 0 });
+            if (energy <= 0) return;
+            if (negativePrice === 'suspend' && d.price < 0) {
+                suspendedMWh += energy;
+                return;
+            }
+
+            const referencePrice = marketValues ? marketValues.values.get(String(local[period])) : d.price;
+            const difference = (strikePrice - referencePrice) * energy;
+            const month = monthlyMap.get(local.monthKey);
+            if (difference >= 0) month.payout += difference;
+            else month.clawback -= difference;
+        });
+
+        const months = Array.from(monthlyMap.entries())
+            .map(([month, m]) => ({
+                month,
+                payout: Math.round(m.payout),
+                clawback: Math.round(m.clawback),
+                net: Math.round(m.payout - m.clawback)
+            }))
+            .sort((a, b) => a.month.localeCompare(b.month));
+
+        const payout = months.reduce((sum, m) => sum + m.payout, 0);
+        const clawback = months.reduce((sum, m) => sum + m.clawback, 0);
+        const netRevenue = spotRevenue + payout - clawback;
+
+        return {
+            strikePrice,
+            reference,
+            negativePrice,
+            referenceSource: marketValues ? marketValues.source : 'spot',
+            months,
+            payout,
+            clawback,
+            spotRevenue: Math.round(spotRevenue),
+            netRevenue: Math.round(netRevenue),
+            suspendedMWh: Math.round(suspendedMWh),
+            comparison: {
+                merchant: Math.round(spotRevenue),
+                cfd: Math.round(netRevenue),
+                fixedAtStrike: Math.round(totalProduction * strikePrice)
+            }
+        };
+    },
+
+    /**
+     * PPA settlement by structure (see CONFIG.PPA.STRUCTURES)
+     * The buyer pays the contract price on the contracted volume. Production above it is sold at
+     * spot and any shortfall is bought at spot; pay-as-produced contracts the production itself.
+     * Baseload delivers a flat block (default: average output), shaped a flat block per month
+     * following the monthly production (scaled to volumeMW when set).
+     * The spot settlement splits into a volume effect (net excess/shortfall at the month's baseload
+     * price) and a profile effect (timing of the imbalances within the month); both are reported
+     * as costs to the seller.
+     * @param {Array} data - Aligned data
+     * @param {Object} options - {structure, price (EUR/MWh), volumeMW (null = average output),
+     *   indexShare (0-1, share of the contract price replaced by spot), negativeClause
+     *   (see CONFIG.PPA.NEGATIVE_CLAUSES), floorPrice (merchant comparison only)}
+     * @returns {Object} {structure, price, volumeMW, indexShare, negativeClause, months: [{month,
+     *   production, contractMWh, contractPayment, spotSettlement, revenue, merchant}], hours: [{hour,
+     *   contractPayment, spotSettlement}], contractMWh, contractPayment, spotSettlement, revenue,
+     *   merchantRevenue, realisedPrice, shortfallMWh, excessMWh, profileCost, profileCostPerMWh,
+     *   volumeCost, excludedHours}
+     */
+    calculatePPA(data, options) {
+        const {
+            structure = CONFIG.PPA.DEFAULT_STRUCTURE,
+            price,
+            volumeMW = null,
+            indexShare = 0,
+            negativeClause = 'none',
+            floorPrice = null
+        } = options;
+
+        // Month totals for block volumes and baseload prices
+        const monthTotals = new Map();
+        let totalHours = 0;
+        let totalProduction = 0;
+        data.forEach(d => {
+            const key = this.localTime(d).monthKey;
+            if (!monthTotals.has(key)) monthTotals.set(key, { hours: 0, production: 0, priceHours: 0 });
+            const month = monthTotals.get(key);
+            const hours = this.intervalHours(d);
+            month.hours += hours;
+            month.production += this.intervalEnergy(d);
+            month.priceHours += d.price * hours;
+            totalHours += hours;
+            totalProduction += this.intervalEnergy(d);
+        });
+
+        const averageMW = totalHours > 0 ? totalProduction / totalHours : 0;
+        const blockMW = volumeMW ?? averageMW;
+        const scale = averageMW > 0 ? blockMW / averageMW : 0;
+        const contractMW = month => {
+            if (structure === 'baseload') return blockMW;
+            return month.hours > 0 ? (month.production / month.hours) * scale : 0;
+        };
+
+        const monthlyMap = new Map();
+        const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, contractPayment: 0, spotSettlement: 0 }));
+        let shortfallMWh = 0;
+        let excessMWh = 0;
+        let volumeEffect = 0;
+        let profileEffect = 0;
+        let excludedHours = 0;
+
+        data.forEach(d => {
+            const local = this.localTime(d);
+            const totals = monthTotals.get(local.monthKey);
+            const energy = this.intervalEnergy(d);
+            const hours = this.intervalHours(d);
+
+            let contracted = structure === 'pay-as-produced' ? energy : contractMW(totals) * hours;
+            if (negativeClause === 'exclude' && d.price < 0) {
+                if (contracted > 0) excludedHours += hours;
+                contracted = 0;
+            }
+
+            const contractPrice = price * (1 - indexShare) + d.price * indexShare;
+            const contractPayment = contracted * contractPrice;
+            const imbalance = energy - contracted;
+            const spotSettlement = imbalance * d.price;
+            const baseloadPrice = totals.priceHours / totals.hours;
+
+            if (imbalance > 0) excessMWh += imbalance;
+            else shortfallMWh -= imbalance;
+            volumeEffect += imbalance * baseloadPrice;
+            profileEffect += imbalance * (d.price - baseloadPrice);
+
+            if (!monthlyMap.has(local.monthKey)) {
+                monthlyMap.set(local.monthKey, { production: 0, contractMWh: 0, contractPayment: 0, spotSettlement: 0, merchant: 0 });
+            }
+            const month = monthlyMap.get(local.monthKey);
+            month.production += energy;
+            month.contractMWh += contracted;
+            month.contractPayment += contractPayment;
+            month.spotSettlement += spotSettlement;
+            month.merchant += (floorPrice !== null ? Math.max(d.price, floorPrice) : d.price) * energy;
+
+            hourly[local.hour].contractPayment += contractPayment;
+            hourly[local.hour].spotSettlement += spotSettlement;
+        });
+
+        const months = Array.from(monthlyMap.entries())
+            .map(([month, m]) => ({
+                month,
+                production: Math.round(m.production),
+                contractMWh: Math.round(m.contractMWh),
+                contractPayment: Math.round(m.contractPayment),
+                spotSettlement: Math.round(m.spotSettlement),
+                revenue: Math.round(m.contractPayment + m.spotSettlement),
+                merchant: Math.round(m.merchant)
+            }))
+            .sort((a, b) => a.month.localeCompare(b.month));
+
+        const sum = key => Array.from(monthlyMap.values()).reduce((total, m) => total + m[key], 0);
+        const contractPayment = sum('contractPayment');
+        const spotSettlement = sum('spotSettlement');
+        const revenue = contractPayment + spotSettlement;
+
+        return {
+            structure,
+            price,
+            volumeMW: structure === 'pay-as-produced' ? null : Math.round(blockMW * 100) / 100,
+            indexShare,
+            negativeClause,
+            months,
+            hours: hourly.map(h => ({
+                hour: h.hour,
+                contractPayment: Math.round(h.contractPayment),
+                spotSettlement: Math.round(h.spotSettlement)
+            })),
+            contractMWh: Math.round(sum('contractMWh')),
+            contractPayment: Math.round(contractPayment),
+            spotSettlement: Math.round(spotSettlement),
+            revenue: Math.round(revenue),
+            merchantRevenue: Math.round(sum('merchant')),
+            realisedPrice: totalProduction > 0 ? Math.round(revenue / totalProduction * 100) / 100 : 0,
+            shortfallMWh: Math.round(shortfallMWh),
+            excessMWh: Math.round(excessMWh),
+            profileCost: Math.round(-profileEffect),
+            profileCostPerMWh: totalProduction > 0 ? Math.round(-profileEffect / totalProduction * 100) / 100 : 0,
+            volumeCost: Math.round(-volumeEffect),
+            excludedHours: Math.round(excludedHours * 100) / 100
+        };
+    },
+
+    /**
+     * EEG sliding market premium (Marktprämie)
+     * Monthly premium = max(0, applicable value - market value). The solar market value (Marktwert Solar)
+     * is weighted by national solar generation when available (see DataSources.attachMarketSolar),
+     * otherwise, and for wind, by the asset's own production. No premium is paid in negative-price
+     * runs covered by §51 EEG, with the run length of the rule for the commissioning date in the
+     * settlement year the run starts in.
+     * @param {Array} data - Aligned data
+     * @param {Object} options - {applicableValue (EUR/MWh), cod ('YYYY-MM-DD'), technology, floorPrice}
+     * @returns {Object} {applicableValue, rule, marketValueSource, months: [{month, marketValue, premium,
+     *   premiumMWh, suspendedMWh, premiumRevenue}], premiumRevenue, suspendedHours, suspendedMWh,
+     *   premiumLost, spotRevenue, totalRevenue}
+     */
+    calculateMarketPremium(data, options) {
+        const { applicableValue, cod = null, technology = 'solar', floorPrice = null } = options;
+        const rule = this.getNegativePriceRule(cod);
+        const suspended = rule
+            ? this.findNegativePriceRuns(data, d => this.getNegativePriceHours(rule, this.localTime(d).year))
+            : new Set();
+        const marketValues = this.calculateMarketValues(data, technology, 'monthKey');
+
+        const monthlyMap = new Map();
+        let suspendedHours = 0;
+        let spotRevenue = 0;
+
+        data.forEach(d => {
+            const key = this.localTime(d).monthKey;
+            if (!monthlyMap.has(key)) {
+                monthlyMap.set(key, { premiumMWh: 0, suspendedMWh: 0 });
+            }
+            const month = monthlyMap.get(key);
+            const energy = this.intervalEnergy(d);
+
+            if (suspended.has(d.timestamp)) {
+                month.suspendedMWh += energy;
+                suspendedHours += this.intervalHours(d);
+            } else {
+                month.premiumMWh += energy;
+            }
+            spotRevenue += (floorPrice !== null ? Math.max(d.price, floorPrice) : d.price) * energy;
+        });
+
+        let premiumRevenue = 0;
+        let premiumLost = 0;
+        const months = Array.from(monthlyMap.entries())
+            .map(([month, m]) => {
+                const marketValue = marketValues.values.get(month);
+                const premium = Math.max(0, applicableValue - marketValue);
+                premiumRevenue += premium * m.premiumMWh;
+                premiumLost += premium * m.suspendedMWh;
+                return {
+                    month,
+                    marketValue: Math.round(marketValue * 100) / 100,
+                    premium: Math.round(premium * 100) / 100,
+                    premiumMWh: Math.round(m.premiumMWh),
+                    suspendedMWh: Math.round(m.suspendedMWh),
+                    premiumRevenue: Math.round(premium * m.premiumMWh)
+                };
+            })
+            .sort((a, b) => a.month.localeCompare(b.month));
+
+        return {
+            applicableValue,
+            rule,
+            marketValueSource: marketValues.source,
+            months,
+            premiumRevenue: Math.round(premiumRevenue),
+            suspendedHours: Math.round(suspendedHours * 100) / 100,
+            suspendedMWh: Math.round(months.reduce((sum, m) => sum + m.suspendedMWh, 0)),
+            premiumLost: Math.round(premiumLost),
+            spotRevenue: Math.round(spotRevenue),
+            totalRevenue: Math.round(spotRevenue + premiumRevenue)
+        };
+    },
+
     /**
      * Calculate monthly revenues
      */
@@ -94,13 +577,14 @@ const Compute = {
         const monthlyMap = new Map();
 
         data.forEach(d => {
-            const key = `${d.date.getFullYear()}-${String(d.date.getMonth() + 1).padStart(2, '0')}`;
+            const key = this.localTime(d).monthKey;
             if (!monthlyMap.has(key)) {
                 monthlyMap.set(key, { revenue: 0, production: 0 });
             }
             const month = monthlyMap.get(key);
-            month.revenue += d.price * d.output;
-            month.production += d.output;
+            const energy = this.intervalEnergy(d);
+            month.revenue += d.price * energy;
+            month.production += energy;
         });
 
         return Array.from(monthlyMap.entries())
@@ -133,25 +617,29 @@ const Compute = {
 
     /**
      * Calculate monthly capture rates
+     * Months with national solar generation also carry the market benchmark (see calculateMarketBenchmark).
      */
     calculateMonthlyCaptureRates(data) {
         const monthlyMap = new Map();
 
         data.forEach(d => {
-            const key = `${d.date.getFullYear()}-${String(d.date.getMonth() + 1).padStart(2, '0')}`;
+            const key = this.localTime(d).monthKey;
             if (!monthlyMap.has(key)) {
                 monthlyMap.set(key, {
                     priceSum: 0,
                     weightedPriceSum: 0,
                     outputSum: 0,
-                    count: 0
+                    count: 0,
+                    rows: []
                 });
             }
             const month = monthlyMap.get(key);
+            const energy = this.intervalEnergy(d);
             month.priceSum += d.price;
-            month.weightedPriceSum += d.price * d.output;
-            month.outputSum += d.output;
+            month.weightedPriceSum += d.price * energy;
+            month.outputSum += energy;
             month.count++;
+            month.rows.push(d);
         });
 
         return Array.from(monthlyMap.entries())
@@ -159,16 +647,64 @@ const Compute = {
                 const baseload = data.priceSum / data.count;
                 const capture = data.outputSum > 0 ? data.weightedPriceSum / data.outputSum : 0;
                 const rate = baseload > 0 ? (capture / baseload) * 100 : 0;
+                const benchmark = this.calculateMarketBenchmark(data.rows);
                 return {
                     month,
                     baseload: Math.round(baseload * 100) / 100,
                     capture: Math.round(capture * 100) / 100,
-                    rate: Math.round(rate * 10) / 10
+                    rate: Math.round(rate * 10) / 10,
+                    marketCapture: benchmark ? benchmark.marketCapture : null,
+                    marketRate: benchmark ? benchmark.marketRate : null,
+                    premium: benchmark ? benchmark.premium : null
                 };
             })
             .sort((a, b) => a.month.localeCompare(b.month));
     },
 
+    /**
+     * Market solar benchmark: capture price of national solar generation vs the asset
+     * Only intervals with a marketSolar value count, for the asset as well, so both
+     * capture prices cover the same hours.
+     * @param {Array} data - Aligned data with optional marketSolar (MW)
+     * @returns {Object|null} {marketCapture, marketRate, assetCapture, assetRate, premium (EUR/MWh),
+     *   ratePoints (asset minus market rate, percentage points), coveragePct}; null without generation data
+     */
+    calculateMarketBenchmark(data) {
+        let priceSum = 0, count = 0;
+        let marketWeighted = 0, marketEnergy = 0;
+        let assetWeighted = 0, assetEnergy = 0;
+
+        data.forEach(d => {
+            if (d.marketSolar === undefined) return;
+            const hours = this.intervalHours(d);
+            const energy = this.intervalEnergy(d);
+            priceSum += d.price;
+            count++;
+            marketWeighted += d.price * d.marketSolar * hours;
+            marketEnergy += d.marketSolar * hours;
+            assetWeighted += d.price * energy;
+            assetEnergy += energy;
+        });
+
+        if (count === 0 || marketEnergy <= 0) return null;
+
+        const baseload = priceSum / count;
+        const marketCapture = marketWeighted / marketEnergy;
+        const assetCapture = assetEnergy > 0 ? assetWeighted / assetEnergy : 0;
+        const marketRate = baseload > 0 ? (marketCapture / baseload) * 100 : 0;
+        const assetRate = baseload > 0 ? (assetCapture / baseload) * 100 : 0;
+
+        return {
+            marketCapture: Math.round(marketCapture * 100) / 100,
+            marketRate: Math.round(marketRate * 10) / 10,
+            assetCapture: Math.round(assetCapture * 100) / 100,
+            assetRate: Math.round(assetRate * 10) / 10,
+            premium: Math.round((assetCapture - marketCapture) * 100) / 100,
+            ratePoints: Math.round((assetRate - marketRate) * 10) / 10,
+            coveragePct: Math.round((count / data.length) * 1000) / 10
+        };
+    },
+
     /**
      * Calculate price distribution (for histogram)
      */
@@ -216,7 +752,9 @@ const Compute = {
     },
 
     /**
-     * Calculate negative price heatmap (month x hour)
+     * Calculate negative price heatmap (month x hour), counted in hours
+     * Buckets use market wall-clock time: the 23-hour DST day has no 02:00 row,
+     * the 25-hour day counts 02:00 twice.
      */
     calculateNegativeHeatmap(data) {
         // Create 12x24 matrix (months x hours)
@@ -225,11 +763,11 @@ const Compute = {
 
         data.forEach(d => {
             if (d.output > 0) { // Only during production
-                const month = d.date.getMonth();
-                const hour = d.date.getHours();
-                counts[month][hour]++;
+                const { month, hour } = this.localTime(d);
+                const hours = this.intervalHours(d);
+                counts[month][hour] += hours;
                 if (d.price < 0) {
-                    heatmap[month][hour]++;
+                    heatmap[month][hour] += hours;
                 }
             }
         });
@@ -246,135 +784,823 @@ const Compute = {
     },
 
     /**
-     * Simulate battery dispatch
+     * Simulate battery dispatch (greedy per day; see optimizeBattery for the perfect-foresight bound)
+     * Curtailed energy (curtailedMW, see applyCurtailment) can be stored at no revenue cost.
+     * The mode (see CONFIG.BATTERY.MODES) sets the charge sources: the plant only, the plant topped
+     * up from the grid, or the grid only (standalone). With an annual cycle cap, the days with the
+     * highest uplift per cycle are kept (days are independent as SOC resets daily) and the rest idle.
      * @param {Array} data - Aligned data array
-     * @param {Object} batteryConfig - Battery configuration
+     * @param {Object} batteryConfig - Battery configuration {powerMW, energyMWh, efficiency,
+     *   oneCyclePerDay, mode, annualCycleCap (full equivalent cycles per year, null = none)}
      * @returns {Object} Battery simulation results
      */
     simulateBattery(data, batteryConfig) {
         const {
             powerMW,
             energyMWh,
-            efficiency,
-            oneCyclePerDay = true
+            oneCyclePerDay = true,
+            mode = CONFIG.BATTERY.DEFAULT_MODE,
+            annualCycleCap = null
         } = batteryConfig;
 
+        const plantOnly = mode === 'plant';
+
+        // Group data by day
+        const days = this.groupByDay(data);
+        const dayTotals = [];
+
+        for (const dayData of days) {
+            const durationH = this.intervalHours(dayData[0]);
+            // Grid charging fills the battery in its cheapest intervals, so one fill per day
+            const maxIntervals = oneCyclePerDay || !plantOnly ? Math.ceil(energyMWh / powerMW / durationH) : dayData.length;
+            let totals;
+
+            if (plantOnly) {
+                // Sort intervals by price to find best charge/discharge opportunities
+                const sortedHours = [...dayData].sort((a, b) => a.price - b.price);
+
+                // Identify charging intervals (lowest prices during production, curtailed energy included)
+                const chargeHours = sortedHours
+                    .filter(d => d.output > 0 || d.curtailedMW > 0)
+                    .slice(0, maxIntervals);
+
+                // Identify discharge intervals (highest prices)
+                const dischargeHours = sortedHours
+                    .filter(d => d.output === 0 || !chargeHours.includes(d)) // Discharge when not charging
+                    .reverse()
+                    .slice(0, maxIntervals);
+
+                totals = this.dispatchBatteryDay(chargeHours, dischargeHours, batteryConfig);
+            } else {
+                // Grid charging could otherwise discharge before it has charged: the day is split in
+                // time, the cheapest intervals before the split charge and the dearest after it
+                // discharge. The best split is kept, or the battery idles. Both lists are built in
+                // one pass each way, keeping only maxIntervals entries (ties stay in price-sort order).
+                const keep = (list, d, ahead) => {
+                    let i = list.length;
+                    while (i > 0 && ahead(d, list[i - 1])) i--;
+                    if (i >= maxIntervals) return list;
+                    const next = [...list.slice(0, i), d, ...list.slice(i)];
+                    return next.length > maxIntervals ? next.slice(0, maxIntervals) : next;
+                };
+                const cheapestBefore = [[]];
+                for (let i = 0; i < dayData.length; i++) {
+                    cheapestBefore.push(keep(cheapestBefore[i], dayData[i], (d, other) => d.price < other.price));
+                }
+                const dearestFrom = new Array(dayData.length + 1);
+                dearestFrom[dayData.length] = [];
+                for (let i = dayData.length - 1; i >= 0; i--) {
+                    dearestFrom[i] = keep(dearestFrom[i + 1], dayData[i], (d, other) => d.price > other.price);
+                }
+
+                totals = this.createBatteryTotals();
+                for (let split = 1; split < dayData.length; split++) {
+                    const candidate = this.dispatchBatteryDay(cheapestBefore[split], dearestFrom[split], batteryConfig);
+                    if (candidate.uplift > totals.uplift) totals = candidate;
+                }
+            }
+
+            dayTotals.push({ date: dayData[0].date, totals });
+        }
+
+        // Annual cycle cap: keep the most valuable days per cycle
+        const usableMWh = (CONFIG.BATTERY.MAX_SOC - CONFIG.BATTERY.MIN_SOC) * energyMWh;
+        const active = new Set(dayTotals);
+        if (annualCycleCap !== null && usableMWh > 0) {
+            const years = data.reduce((sum, d) => sum + this.intervalHours(d), 0) / 8760;
+            let budget = annualCycleCap * years * usableMWh;
+            active.clear();
+            [...dayTotals]
+                .filter(day => day.totals.dischargedMWh > 0)
+                .sort((a, b) => b.totals.uplift / b.totals.dischargedMWh - a.totals.uplift / a.totals.dischargedMWh)
+                .forEach(day => {
+                    if (day.totals.uplift <= 0 || day.totals.dischargedMWh > budget) return;
+                    budget -= day.totals.dischargedMWh;
+                    active.add(day);
+                });
+        }
+
+        const totals = this.createBatteryTotals();
+        const dailyResults = dayTotals.map(day => {
+            if (!active.has(day)) return { date: day.date, uplift: 0, shifted: 0, cycles: 0 };
+            Object.keys(totals).forEach(key => { totals[key] += day.totals[key]; });
+            return {
+                date: day.date,
+                uplift: day.totals.uplift,
+                shifted: day.totals.shifted,
+                cycles: usableMWh > 0 ? day.totals.dischargedMWh / usableMWh : 0
+            };
+        });
+
+        return {
+            ...this.summarizeBattery(data, totals, batteryConfig),
+            dailyResults,
+            config: batteryConfig
+        };
+    },
+
+    /**
+     * Book one day of the daily heuristic: charge in the given intervals, then discharge
+     * (SOC starts at MIN_SOC, see simulateBattery)
+     * @param {Array} chargeHours - Charge intervals, in charging order
+     * @param {Array} dischargeHours - Discharge intervals, in discharging order
+     * @param {Object} batteryConfig - As simulateBattery
+     * @returns {Object} Totals (see createBatteryTotals)
+     */
+    dispatchBatteryDay(chargeHours, dischargeHours, batteryConfig) {
+        const { powerMW, energyMWh, efficiency, mode = CONFIG.BATTERY.DEFAULT_MODE } = batteryConfig;
         const sqrtEfficiency = Math.sqrt(efficiency);
         const minSOC = CONFIG.BATTERY.MIN_SOC * energyMWh;
         const maxSOC = CONFIG.BATTERY.MAX_SOC * energyMWh;
+        const totals = this.createBatteryTotals();
+        let soc = minSOC;
+
+        // Simulate charging (curtailed energy first, then plant output, then the grid)
+        for (const hour of chargeHours) {
+            const durationH = this.intervalHours(hour);
+            const availableCapacity = maxSOC - soc;
+            const chargeable = mode === 'plant'
+                ? Math.min(hour.output + (hour.curtailedMW || 0), powerMW) * durationH
+                : powerMW * durationH;
+            const intake = Math.min(chargeable, availableCapacity);
+
+            if (intake > 0) {
+                this.addBatteryCharge(totals, hour, intake, mode);
+                soc += intake * sqrtEfficiency;
+            }
+        }
 
-        // Group data by day
-        const days = this.groupByDay(data);
+        // Simulate discharging
+        for (const hour of dischargeHours) {
+            const availableEnergy = soc - minSOC;
+            const actualDischarge = Math.min(powerMW * this.intervalHours(hour), availableEnergy);
+
+            if (actualDischarge > 0) {
+                // Revenue gained from discharging at higher price
+                this.addBatteryDischarge(totals, hour, actualDischarge, sqrtEfficiency);
+                soc -= actualDischarge;
+            }
+        }
+
+        return totals;
+    },
+
+    /**
+     * Battery lifetime: the analysed period is replayed for every operating year on a fading battery
+     * State of health (SOH) falls by a calendar fade per year plus a cycle fade per full equivalent
+     * cycle. When SOH is below the augmentation trigger at the start of a year, energy is added back
+     * to nameplate (the added modules are treated as restoring the whole pack).
+     * Prices and production repeat the analysed period, annualised; only the capacity changes.
+     * @param {Array} data - Aligned data array
+     * @param {Object} batteryConfig - As simulateBattery; energyMWh is the nameplate energy
+     * @param {Object} lifetime - {years, calendarFadePct (per year), cycleFadePct (per 1000 cycles),
+     *   augmentationSOH (%, null = no augmentation)}
+     * @param {Object} [base] - simulateBattery result at nameplate, reused for full-health years
+     * @returns {Object} {years: [{year, soh, energyMWh, cycles, cyclesPerDay, uplift, augmentedMWh}],
+     *   augmentations: [{year, addedMWh}], totalUplift, averageUplift, endSOH} - uplift per operating year
+     */
+    simulateBatteryLifetime(data, batteryConfig, lifetime, base = null) {
+        const { years, calendarFadePct, cycleFadePct, augmentationSOH = null } = lifetime;
+        const periodYears = data.reduce((sum, d) => sum + this.intervalHours(d), 0) / 8760;
+        const nameplateMWh = batteryConfig.energyMWh;
+
+        const operatingYears = [];
+        const augmentations = [];
+        let soh = 1;
+
+        for (let year = 1; year <= years; year++) {
+            let augmentedMWh = 0;
+            if (augmentationSOH !== null && soh < augmentationSOH / 100) {
+                augmentedMWh = Math.round((1 - soh) * nameplateMWh * 10) / 10;
+                augmentations.push({ year, addedMWh: augmentedMWh });
+                soh = 1;
+            }
+
+            const energyMWh = nameplateMWh * soh;
+            const result = soh === 1 && base
+                ? base
+                : this.simulateBattery(data, { ...batteryConfig, energyMWh });
+            const cycles = periodYears > 0 ? result.cycles / periodYears : 0;
+
+            operatingYears.push({
+                year,
+                soh: Math.round(soh * 1000) / 10,
+                energyMWh: Math.round(energyMWh * 10) / 10,
+                cycles: Math.round(cycles),
+                cyclesPerDay: result.cyclesPerDay,
+                uplift: periodYears > 0 ? Math.round(result.totalUplift / periodYears) : 0,
+                augmentedMWh
+            });
+
+            soh = Math.max(0, soh - calendarFadePct / 100 - (cycleFadePct / 100) * cycles / 1000);
+        }
 
-        let totalUplift = 0;
-        let totalShiftedMWh = 0;
-        let totalNegativeAvoided = 0;
-        let originalNegativeRevenue = 0;
-        let newNegativeRevenue = 0;
+        const totalUplift = operatingYears.reduce((sum, y) => sum + y.uplift, 0);
+        return {
+            years: operatingYears,
+            augmentations,
+            totalUplift,
+            averageUplift: years > 0 ? Math.round(totalUplift / years) : 0,
+            endSOH: Math.round(soh * 1000) / 10
+        };
+    },
 
+    /**
+     * Daily heuristic in every battery mode on the same prices (co-located vs standalone)
+     * @param {Object} [base] - simulateBattery result for batteryConfig.mode, reused rather than rerun
+     * @returns {Array} [{mode, ...simulateBattery results without dailyResults}]
+     */
+    compareBatteryModes(data, batteryConfig, base = null) {
+        const selected = batteryConfig.mode ?? CONFIG.BATTERY.DEFAULT_MODE;
+        return Object.keys(CONFIG.BATTERY.MODES).map(mode => {
+            const { dailyResults, config, ...result } = mode === selected && base
+                ? base
+                : this.simulateBattery(data, { ...batteryConfig, mode });
+            return { mode, ...result };
+        });
+    },
+
+    /**
+     * Battery sizing study: daily heuristic for every power/duration pair on the same data
+     * Uplift is annualised; CAPEX is spread straight-line over the operating life, so net value is
+     * the annual uplift left after paying back the battery (no discounting, no degradation).
+     * @param {Array} data - Aligned data array
+     * @param {Object} batteryConfig - As simulateBattery; powerMW and energyMWh are replaced
+     * @param {Object} sizing - {powersMW, durationsH, capexPerMW, capexPerMWh (EUR), years}
+     * @returns {Object} {powersMW, durationsH, cells: [power][duration] -> {powerMW, durationH, energyMWh,
+     *   uplift, upliftPerMW, upliftPerMWh, capex, netValue, cyclesPerYear}, best} - EUR per year
+     */
+    sweepBatterySizes(data, batteryConfig, sizing) {
+        const { powersMW, durationsH, capexPerMW, capexPerMWh, years } = sizing;
+        const periodYears = data.reduce((sum, d) => sum + this.intervalHours(d), 0) / 8760;
+
+        let best = null;
+        const cells = powersMW.map(powerMW => durationsH.map(durationH => {
+            const energyMWh = powerMW * durationH;
+            const result = this.simulateBattery(data, { ...batteryConfig, powerMW, energyMWh });
+            const uplift = periodYears > 0 ? result.totalUplift / periodYears : 0;
+            const capex = powerMW * capexPerMW + energyMWh * capexPerMWh;
+
+            const cell = {
+                powerMW,
+                durationH,
+                energyMWh,
+                uplift: Math.round(uplift),
+                upliftPerMW: Math.round(uplift / powerMW),
+                upliftPerMWh: Math.round(uplift / energyMWh),
+                capex: Math.round(capex),
+                netValue: Math.round(uplift - capex / years),
+                cyclesPerYear: result.cyclesPerYear
+            };
+            if (!best || cell.netValue > best.netValue) best = cell;
+            return cell;
+        }));
+
+        return { powersMW, durationsH, capexPerMW, capexPerMWh, years, cells, best };
+    },
+
+    /**
+     * Reserve revenue stacked on arbitrage (FCR, aFRR, mFRR)
+     * Each day the battery offers a share of its power (CONFIG.BATTERY.ANCILLARY.RESERVE_SHARES) to the
+     * service that pays most, or none: reserved power earns the capacity price plus the activation
+     * margin on the expected activated energy. The rest of the power arbitrages on a SOC window narrowed
+     * by the headroom the reserve needs in both directions (reserved MW x headroomHours, each side).
+     * The day's choice is the best total. Activation is taken as energy-neutral (positive and negative
+     * calls balance over the day); the annual cycle cap is not applied.
+     * @param {Array} data - Aligned data array
+     * @param {Object} batteryConfig - As simulateBattery
+     * @param {Array} services - [{key, name, capacityPrice (EUR/MW/h), energyPrice (EUR/MWh margin),
+     *   activationPct, headroomHours, capacityPrices, energyPrices}] - the price arrays (per data row,
+     *   null where missing, see DataSources.holdSeries) override the flat prices
+     * @returns {Object} {services: [{key, name, capacityRevenue, energyRevenue, revenue, days, avgReservedMW}],
+     *   arbitrageUplift, arbitrageOnlyUplift, reserveRevenue, totalRevenue, stackGain, dailyResults}
+     */
+    stackAncillaryServices(data, batteryConfig, services) {
+        const { powerMW, energyMWh } = batteryConfig;
+        const usableShare = CONFIG.BATTERY.MAX_SOC - CONFIG.BATTERY.MIN_SOC;
+        const usableMWh = usableShare * energyMWh;
+        const dayConfig = { ...batteryConfig, annualCycleCap: null };
+        const rowIndex = new Map(data.map((d, i) => [d, i]));
+
+        const stack = new Map(services.map(service => [service.key, {
+            key: service.key,
+            name: service.name,
+            capacityRevenue: 0,
+            energyRevenue: 0,
+            days: 0,
+            reservedMW: 0
+        }]));
+        let arbitrageUplift = 0;
+        let arbitrageOnlyUplift = 0;
         const dailyResults = [];
 
-        for (const dayData of days) {
-            // Sort hours by price to find best charge/discharge opportunities
-            const sortedHours = [...dayData].sort((a, b) => a.price - b.price);
-
-            // Identify charging hours (lowest prices during PV production)
-            const chargeHours = sortedHours
-                .filter(d => d.output > 0) // Only charge from PV
-                .slice(0, oneCyclePerDay ? Math.ceil(energyMWh / powerMW) : 24);
-
-            // Identify discharge hours (highest prices)
-            const dischargeHours = sortedHours
-                .filter(d => d.output === 0 || !chargeHours.includes(d)) // Discharge when not charging
-                .reverse()
-                .slice(0, oneCyclePerDay ? Math.ceil(energyMWh / powerMW) : 24);
-
-            let soc = minSOC;
-            let dayUplift = 0;
-            let dayShifted = 0;
-            let dayNegAvoided = 0;
-
-            // Simulate charging (from PV)
-            for (const hour of chargeHours) {
-                const availableCapacity = maxSOC - soc;
-                const chargeableFromPV = Math.min(hour.output, powerMW);
-                const actualCharge = Math.min(chargeableFromPV, availableCapacity) * sqrtEfficiency;
-
-                if (actualCharge > 0) {
-                    // Revenue foregone from not selling to grid
-                    const chargeRevenueLost = (actualCharge / sqrtEfficiency) * hour.price;
-                    dayUplift -= chargeRevenueLost;
-                    soc += actualCharge;
-                    dayShifted += actualCharge / sqrtEfficiency;
-
-                    // Track negative price avoidance
-                    if (hour.price < 0) {
-                        dayNegAvoided += actualCharge / sqrtEfficiency;
+        for (const dayData of this.groupByDay(data)) {
+            const arbitrage = (power, energy) => (power > 0 && energy > 0
+                ? this.simulateBattery(dayData, { ...dayConfig, powerMW: power, energyMWh: energy }).totalUplift
+                : 0);
+            const baseline = arbitrage(powerMW, energyMWh);
+            let best = { service: null, reservedMW: 0, capacityRevenue: 0, energyRevenue: 0, arbitrage: baseline, total: baseline };
+
+            services.forEach(service => {
+                // Revenue per reserved MW over the day
+                let capacityPerMW = 0;
+                let energyPerMW = 0;
+                dayData.forEach(d => {
+                    const i = rowIndex.get(d);
+                    const hours = this.intervalHours(d);
+                    capacityPerMW += (service.capacityPrices?.[i] ?? service.capacityPrice) * hours;
+                    energyPerMW += (service.energyPrices?.[i] ?? service.energyPrice) * (service.activationPct / 100) * hours;
+                });
+
+                CONFIG.BATTERY.ANCILLARY.RESERVE_SHARES.forEach(share => {
+                    const reservedMW = powerMW * share;
+                    const headroomMWh = 2 * reservedMW * service.headroomHours;
+                    if (headroomMWh >= usableMWh) return;
+
+                    const remaining = arbitrage(powerMW - reservedMW, energyMWh - headroomMWh / usableShare);
+                    const capacityRevenue = reservedMW * capacityPerMW;
+                    const energyRevenue = reservedMW * energyPerMW;
+                    const total = capacityRevenue + energyRevenue + remaining;
+                    if (total > best.total) {
+                        best = { service, reservedMW, capacityRevenue, energyRevenue, arbitrage: remaining, total };
+                    }
+                });
+            });
+
+            arbitrageOnlyUplift += baseline;
+            arbitrageUplift += best.arbitrage;
+            if (best.service) {
+                const entry = stack.get(best.service.key);
+                entry.capacityRevenue += best.capacityRevenue;
+                entry.energyRevenue += best.energyRevenue;
+                entry.days++;
+                entry.reservedMW += best.reservedMW;
+            }
+            dailyResults.push({
+                date: dayData[0].date,
+                service: best.service?.key ?? null,
+                reservedMW: best.reservedMW,
+                reserveRevenue: best.capacityRevenue + best.energyRevenue,
+                arbitrageUplift: best.arbitrage
+            });
+        }
+
+        const serviceResults = Array.from(stack.values()).map(entry => ({
+            key: entry.key,
+            name: entry.name,
+            capacityRevenue: Math.round(entry.capacityRevenue),
+            energyRevenue: Math.round(entry.energyRevenue),
+            revenue: Math.round(entry.capacityRevenue + entry.energyRevenue),
+            days: entry.days,
+            avgReservedMW: entry.days > 0 ? Math.round(entry.reservedMW / entry.days * 10) / 10 : 0
+        }));
+        const reserveRevenue = serviceResults.reduce((sum, s) => sum + s.revenue, 0);
+
+        return {
+            services: serviceResults,
+            arbitrageUplift: Math.round(arbitrageUplift),
+            arbitrageOnlyUplift: Math.round(arbitrageOnlyUplift),
+            reserveRevenue,
+            totalRevenue: Math.round(arbitrageUplift) + reserveRevenue,
+            stackGain: Math.round(arbitrageUplift) + reserveRevenue - Math.round(arbitrageOnlyUplift),
+            dailyResults
+        };
+    },
+
+    /**
+     * Running totals of a battery dispatch (EUR, MWh), see addBatteryCharge / addBatteryDischarge
+     */
+    createBatteryTotals() {
+        return {
+            uplift: 0,
+            shifted: 0,
+            absorbed: 0,
+            negativeAvoided: 0,
+            fromPlant: 0,
+            fromGrid: 0,
+            plantCost: 0,
+            gridCost: 0,
+            dischargeRevenue: 0,
+            dischargedMWh: 0
+        };
+    },
+
+    /**
+     * Book a charge: curtailed energy first (no revenue cost), then plant output (sales foregone),
+     * then the grid (bought at spot). At negative prices a battery with grid access imports instead,
+     * as it is paid to do so. Standalone batteries only charge from the grid.
+     * @param {Object} totals - From createBatteryTotals
+     * @param {Object} d - Aligned row
+     * @param {number} intake - Energy taken in (MWh, before charging losses)
+     * @param {string} mode - Key of CONFIG.BATTERY.MODES
+     */
+    addBatteryCharge(totals, d, intake, mode) {
+        const durationH = this.intervalHours(d);
+        const gridOnly = mode === 'standalone' || (mode !== 'plant' && d.price < 0);
+        const fromCurtailed = gridOnly ? 0 : Math.min(intake, (d.curtailedMW || 0) * durationH);
+        const fromPlant = gridOnly ? 0 : Math.min(intake - fromCurtailed, d.output * durationH);
+        const fromGrid = intake - fromCurtailed - fromPlant;
+
+        totals.uplift -= (fromPlant + fromGrid) * d.price;
+        totals.shifted += intake;
+        totals.absorbed += fromCurtailed;
+        totals.fromPlant += fromPlant;
+        totals.fromGrid += fromGrid;
+        totals.plantCost += fromPlant * d.price;
+        totals.gridCost += fromGrid * d.price;
+
+        // Track negative price avoidance (plant output no longer sold into negative prices)
+        if (d.price < 0) totals.negativeAvoided += fromPlant;
+    },
+
+    /**
+     * Book a discharge
+     * @param {number} socMWh - Energy taken from the battery (MWh, before discharging losses)
+     */
+    addBatteryDischarge(totals, d, socMWh, sqrtEfficiency) {
+        const revenue = socMWh * sqrtEfficiency * d.price;
+        totals.uplift += revenue;
+        totals.dischargeRevenue += revenue;
+        totals.dischargedMWh += socMWh;
+    },
+
+    /**
+     * Perfect-foresight battery dispatch (upper bound for simulateBattery, up to the SOC grid)
+     * One backward dynamic programme over the whole period on a discretised SOC grid: the battery
+     * starts empty, SOC carries across days and energy left at the end has no value. Charge sources
+     * follow the mode as in simulateBattery (curtailed energy first, at no revenue cost). With
+     * oneCyclePerDay, the energy discharged so far in the market day is part of the state, so the
+     * daily limit holds exactly. Any daily heuristic schedule that charges before it discharges is
+     * feasible here, so the optimum is at least its uplift (bar rounding to the SOC grid).
+     * An annual cycle cap is a budget on the energy discharged over the period. It is priced in as a
+     * penalty per discharged MWh (Lagrangian relaxation). The penalty is bisected on a coarse SOC grid
+     * (cheap, stopping once the discharge is within CAP_TOLERANCE of the budget), then refined with a
+     * few full-grid solves around it; part of the budget can stay unused, so with a binding cap the
+     * result may fall short of the capped optimum.
+     * @param {Array} data - Aligned data array
+     * @param {Object} batteryConfig - {powerMW, energyMWh, efficiency, oneCyclePerDay, mode,
+     *   annualCycleCap (full equivalent cycles per year, null = none)}
+     * @returns {Object} Same fields as simulateBattery
+     */
+    optimizeBattery(data, batteryConfig) {
+        const { energyMWh, oneCyclePerDay = true, mode = CONFIG.BATTERY.DEFAULT_MODE, annualCycleCap = null } = batteryConfig;
+        const { SOC_STEPS, COARSE_SOC_STEPS, BISECTION_STEPS, FINE_BISECTION_STEPS, CAP_TOLERANCE } = CONFIG.BATTERY.OPTIMIZER;
+        const sqrtEfficiency = Math.sqrt(batteryConfig.efficiency);
+        const usableMWh = (CONFIG.BATTERY.MAX_SOC - CONFIG.BATTERY.MIN_SOC) * energyMWh;
+        const stepMWh = usableMWh / SOC_STEPS;
+
+        const days = this.groupByDay(data);
+        const rows = days.flat();
+        const dayStarts = new Uint8Array(rows.length);
+        let offset = 0;
+        days.forEach(day => {
+            dayStarts[offset] = 1;
+            offset += day.length;
+        });
+
+        // Dispatch on a grid of `steps` SOC levels at a penalty per discharged MWh
+        const solve = (steps, penaltyPerMWh) => {
+            const solution = this.solveBatteryPeriod(rows, dayStarts, {
+                ...batteryConfig,
+                mode,
+                sqrtEfficiency,
+                stepMWh: usableMWh / steps,
+                steps,
+                dailySteps: oneCyclePerDay ? steps : null,
+                penalty: penaltyPerMWh * usableMWh / steps
+            });
+            return { ...solution, dischargedMWh: solution.dischargeSteps * usableMWh / steps, penalty: penaltyPerMWh };
+        };
+
+        const uncapped = solve(SOC_STEPS, 0);
+        let moves = uncapped.moves;
+
+        if (annualCycleCap !== null && usableMWh > 0) {
+            const years = data.reduce((sum, d) => sum + this.intervalHours(d), 0) / 8760;
+            const budgetMWh = annualCycleCap * years * usableMWh;
+
+            // Bisection with early stop from a first guess; keeps the cheapest penalty found within the budget
+            const search = (steps, low, high, iterations, guess = (low + high) / 2) => {
+                let best = null;
+                for (let i = 0; i < iterations; i++) {
+                    const solution = solve(steps, i === 0 ? guess : (low + high) / 2);
+                    if (solution.dischargedMWh > budgetMWh) {
+                        low = solution.penalty;
+                    } else {
+                        high = solution.penalty;
+                        best = solution;
+                        if (solution.dischargedMWh >= budgetMWh * (1 - CAP_TOLERANCE)) break;
                     }
                 }
+                return { low, high, best };
+            };
+
+            if (uncapped.dischargedMWh > budgetMWh) {
+                // Above the best margin of a MWh (sold at the highest price, bought at the lowest) no discharge pays
+                const maxPrice = rows.reduce((max, d) => Math.max(max, d.price), 0);
+                const minPrice = rows.reduce((min, d) => Math.min(min, d.price), 0);
+                const maxPenalty = sqrtEfficiency * maxPrice - minPrice / sqrtEfficiency + 1;
+
+                // The coarse grid tracks the full one within a few percent: its penalty is tried first, then
+                // its bracket widened by 3% is refined (and, failing that, everything above it)
+                const coarse = search(COARSE_SOC_STEPS, 0, maxPenalty, BISECTION_STEPS);
+                let fine = search(SOC_STEPS, coarse.low * 0.97, Math.min(coarse.high * 1.03, maxPenalty), FINE_BISECTION_STEPS, coarse.high);
+                if (!fine.best) fine = search(SOC_STEPS, fine.high, maxPenalty, BISECTION_STEPS);
+                moves = fine.best ? fine.best.moves : new Int8Array(rows.length); // Idling keeps any budget
+            }
+        }
+
+        const totals = this.createBatteryTotals();
+        const dailyResults = [];
+        offset = 0;
+        days.forEach(day => {
+            const dayStart = totals.uplift;
+            const dayStartShifted = totals.shifted;
+            const dayStartDischarged = totals.dischargedMWh;
+            day.forEach((d, t) => {
+                const move = moves[offset + t];
+                if (move > 0) this.addBatteryCharge(totals, d, move * stepMWh / sqrtEfficiency, mode);
+                else if (move < 0) this.addBatteryDischarge(totals, d, -move * stepMWh, sqrtEfficiency);
+            });
+            offset += day.length;
+
+            dailyResults.push({
+                date: day[0].date,
+                uplift: totals.uplift - dayStart,
+                shifted: totals.shifted - dayStartShifted,
+                cycles: usableMWh > 0 ? (totals.dischargedMWh - dayStartDischarged) / usableMWh : 0
+            });
+        });
+
+        return {
+            ...this.summarizeBattery(data, totals, batteryConfig),
+            dailyResults,
+            config: batteryConfig
+        };
+    },
+
+    /**
+     * Backward dynamic programme over the whole period (see optimizeBattery)
+     * The state is the SOC grid level and, with a daily cycle limit, the grid steps discharged so far in
+     * the market day. Each move's cash flow is linear in the steps moved (charging from curtailed energy
+     * is free up to the curtailed amount), so the best move per state is a sliding-window maximum:
+     * charging along each SOC column, discharging along the diagonals where level plus discharged
+     * steps stays constant.
+     * @param {Array} rows - Chronological aligned rows
+     * @param {Uint8Array} dayStarts - 1 where a row opens a market day
+     * @param {Object} params - {powerMW, mode, sqrtEfficiency, stepMWh, steps, dailySteps (null = no limit),
+     *   penalty (EUR per discharged step, for the annual cycle cap)}
+     * @returns {Object} {moves, dischargeSteps} - moves are SOC level changes per row
+     */
+    solveBatteryPeriod(rows, dayStarts, params) {
+        const { powerMW, mode, sqrtEfficiency, stepMWh, steps, dailySteps, penalty = 0 } = params;
+        const levels = steps + 1;
+        const spent = dailySteps === null ? 1 : dailySteps + 1; // Discharged-today states
+        const size = levels * spent;
+        const decisions = new Int8Array(rows.length * size);
+        let next = new Float64Array(size); // Stored energy has no value after the last row
+        let current = new Float64Array(size);
+        const base = new Float64Array(size);
+        const line = new Float64Array(levels);
+        const lineMax = new Float64Array(levels);
+        const lineArg = new Int32Array(levels);
+        const deque = new Int32Array(levels);
+
+        // A line of states (an SOC column or a discharge diagonal) is start + i * stride, one SOC level
+        // per i. Candidate value of state i is max over j in [i + lo, i + hi] of line[j] (the state
+        // moved to, net of the move's slope), plus slope * i + constant.
+        const relax = (n, start, stride, lo, hi, slope, constant, t) => {
+            this.slidingMax(line, n, lo, hi, lineMax, lineArg, deque);
+            for (let i = 0; i < n; i++) {
+                if (lineArg[i] < 0) continue;
+                const state = start + i * stride;
+                const value = lineMax[i] + slope * i + constant;
+                if (value > current[state]) {
+                    current[state] = value;
+                    decisions[t * size + state] = lineArg[i] - i;
+                }
+            }
+        };
+
+        for (let t = rows.length - 1; t >= 0; t--) {
+            const d = rows[t];
+            const durationH = this.intervalHours(d);
+            const curtailedMWh = mode === 'standalone' || (mode !== 'plant' && d.price < 0) ? 0 : (d.curtailedMW || 0) * durationH;
+            const chargeMWh = mode === 'plant'
+                ? Math.min(d.output + (d.curtailedMW || 0), powerMW) * durationH
+                : powerMW * durationH;
+            const maxUp = Math.floor(chargeMWh * sqrtEfficiency / stepMWh + 1e-9);
+            const maxDown = Math.floor(powerMW * durationH / stepMWh + 1e-9);
+            const freeUp = Math.min(maxUp, Math.floor(curtailedMWh * sqrtEfficiency / stepMWh + 1e-9));
+            const chargeCost = stepMWh / sqrtEfficiency * d.price; // Per step bought or not sold
+            const dischargeValue = stepMWh * sqrtEfficiency * d.price - penalty; // Per step sold, net of the cap penalty
+
+            // A market day opening on the next row resets the discharged-today count
+            const reset = t + 1 < rows.length && dayStarts[t + 1] === 1;
+            for (let s = 0; s < levels; s++) {
+                for (let k = 0; k < spent; k++) base[s * spent + k] = next[s * spent + (reset ? 0 : k)];
             }
 
-            // Simulate discharging
-            for (const hour of dischargeHours) {
-                const availableEnergy = soc - minSOC;
-                const actualDischarge = Math.min(powerMW, availableEnergy);
+            // Idle first, so ties keep the battery idle
+            current.set(base);
 
-                if (actualDischarge > 0) {
-                    // Revenue gained from discharging at higher price
-                    const dischargeRevenue = actualDischarge * sqrtEfficiency * hour.price;
-                    dayUplift += dischargeRevenue;
-                    soc -= actualDischarge;
+            // Charging keeps the discharged-today count
+            for (let k = 0; k < spent; k++) {
+                if (freeUp > 0) {
+                    for (let s = 0; s < levels; s++) line[s] = base[s * spent + k];
+                    relax(levels, k, spent, 1, freeUp, 0, 0, t);
+                }
+                if (maxUp > freeUp) {
+                    for (let s = 0; s < levels; s++) line[s] = base[s * spent + k] - chargeCost * s;
+                    relax(levels, k, spent, freeUp + 1, maxUp, chargeCost, curtailedMWh * d.price, t);
                 }
             }
 
-            // Track negative exposure
-            for (const hour of dayData) {
-                if (hour.price < 0 && hour.output > 0) {
-                    originalNegativeRevenue += hour.price * hour.output;
+            // Discharging moves along a diagonal: level down, discharged-today count up by the same steps
+            if (maxDown > 0 && dailySteps === null) {
+                for (let s = 0; s < levels; s++) line[s] = base[s] - dischargeValue * s;
+                relax(levels, 0, 1, -maxDown, -1, dischargeValue, 0, t);
+            } else if (maxDown > 0) {
+                for (let diagonal = 1; diagonal <= steps + dailySteps; diagonal++) {
+                    const first = Math.max(0, diagonal - dailySteps); // Lowest level on the diagonal
+                    const n = Math.min(steps, diagonal) - first + 1;
+                    const start = first * spent + diagonal - first;
+                    for (let i = 0; i < n; i++) line[i] = base[start + i * (spent - 1)] - dischargeValue * i;
+                    relax(n, start, spent - 1, -maxDown, -1, dischargeValue, 0, t);
                 }
             }
 
-            totalUplift += dayUplift;
-            totalShiftedMWh += dayShifted;
-            totalNegativeAvoided += dayNegAvoided;
+            [next, current] = [current, next];
+        }
 
-            dailyResults.push({
-                date: dayData[0].date,
-                uplift: dayUplift,
-                shifted: dayShifted
-            });
+        const moves = new Int8Array(rows.length);
+        let level = 0;
+        let today = 0;
+        let dischargeSteps = 0;
+        for (let t = 0; t < rows.length; t++) {
+            if (dayStarts[t] === 1) today = 0;
+            const move = decisions[t * size + level * spent + (dailySteps === null ? 0 : today)];
+            moves[t] = move;
+            if (move < 0) {
+                dischargeSteps -= move;
+                today -= move;
+            }
+            level += move;
         }
+        return { moves, dischargeSteps };
+    },
 
-        // Calculate effective capture price with battery
-        const originalRevenue = data.reduce((sum, d) => sum + d.price * d.output, 0);
-        const newRevenue = originalRevenue + totalUplift;
-        const totalProduction = data.reduce((sum, d) => sum + d.output, 0);
+    /**
+     * Sliding-window maximum (monotone deque)
+     * For each i < n, the maximum of values over [i + lo, i + hi] clipped to [0, n - 1].
+     * @param {Float64Array} values - Input (first n entries)
+     * @param {Float64Array} maxima - Output maxima
+     * @param {Int32Array} positions - Output argmax, -1 for an empty window
+     * @param {Int32Array} deque - Scratch of length >= n
+     */
+    slidingMax(values, n, lo, hi, maxima, positions, deque) {
+        let head = 0;
+        let tail = 0;
+        let added = 0;
+        for (let i = 0; i < n; i++) {
+            const to = Math.min(n - 1, i + hi);
+            for (; added <= to; added++) {
+                while (tail > head && values[deque[tail - 1]] <= values[added]) tail--;
+                deque[tail++] = added;
+            }
+            while (tail > head && deque[head] < i + lo) head++;
+            if (tail > head && i + lo <= to) {
+                maxima[i] = values[deque[head]];
+                positions[i] = deque[head];
+            } else {
+                positions[i] = -1;
+            }
+        }
+    },
+
+    /**
+     * Revenue, capture, charge-source and cycle totals of a battery dispatch
+     * Discharge revenue is split between shifting (plant energy, incl. curtailed) and arbitrage
+     * (grid energy) in proportion to the energy each source charged.
+     * @param {Array} data - Aligned data array
+     * @param {Object} totals - From createBatteryTotals
+     * @param {Object} batteryConfig - {energyMWh}
+     */
+    summarizeBattery(data, totals, batteryConfig) {
+        const originalRevenue = data.reduce((sum, d) => sum + d.price * this.intervalEnergy(d), 0);
+        const newRevenue = originalRevenue + totals.uplift;
+        // Absorbed curtailed energy counts as production that now reaches the market
+        const totalProduction = data.reduce((sum, d) => sum + this.intervalEnergy(d), 0) + totals.absorbed;
         const effectiveCapturePrice = totalProduction > 0 ? newRevenue / totalProduction : 0;
 
         // Negative exposure reduction (with safe division)
-        const totalNegativeOutput = data.filter(d => d.price < 0 && d.output > 0).reduce((s, d) => s + d.output, 0);
-        const negativeReduction = (totalNegativeAvoided > 0 && totalNegativeOutput > 0) ?
-            (totalNegativeAvoided / totalNegativeOutput) * 100 : 0;
+        const totalNegativeOutput = data.filter(d => d.price < 0 && d.output > 0).reduce((s, d) => s + this.intervalEnergy(d), 0);
+        const negativeReduction = (totals.negativeAvoided > 0 && totalNegativeOutput > 0) ?
+            (totals.negativeAvoided / totalNegativeOutput) * 100 : 0;
+
+        const plantShare = totals.shifted > 0 ? (totals.absorbed + totals.fromPlant) / totals.shifted : 0;
+        const usableMWh = (CONFIG.BATTERY.MAX_SOC - CONFIG.BATTERY.MIN_SOC) * batteryConfig.energyMWh;
+        const cycles = usableMWh > 0 ? totals.dischargedMWh / usableMWh : 0;
+        const totalHours = data.reduce((sum, d) => sum + this.intervalHours(d), 0);
+        const years = totalHours / 8760;
 
         return {
-            totalUplift: Math.round(totalUplift),
-            totalShiftedMWh: Math.round(totalShiftedMWh),
+            totalUplift: Math.round(totals.uplift),
+            totalShiftedMWh: Math.round(totals.shifted),
+            absorbedCurtailedMWh: Math.round(totals.absorbed),
             effectiveCapturePrice: Math.round(effectiveCapturePrice * 100) / 100,
             negativeReduction: Math.round(negativeReduction * 10) / 10,
-            upliftPercentage: originalRevenue > 0 ? Math.round((totalUplift / originalRevenue) * 1000) / 10 : 0,
-            dailyResults,
-            config: batteryConfig
+            upliftPercentage: originalRevenue > 0 ? Math.round((totals.uplift / originalRevenue) * 1000) / 10 : 0,
+            chargeSources: {
+                curtailed: Math.round(totals.absorbed),
+                plant: Math.round(totals.fromPlant),
+                grid: Math.round(totals.fromGrid)
+            },
+            shiftingRevenue: Math.round(totals.dischargeRevenue * plantShare - totals.plantCost),
+            arbitrageRevenue: Math.round(totals.dischargeRevenue * (1 - plantShare) - totals.gridCost),
+            cycles: Math.round(cycles * 10) / 10,
+            cyclesPerDay: totalHours > 0 ? Math.round(cycles / (totalHours / 24) * 100) / 100 : 0,
+            cyclesPerYear: years > 0 ? Math.round(cycles / years) : 0
         };
     },
 
     /**
-     * Group data by day
+     * Complementarity of hybrid portfolio components
+     * @param {Array} components - [{technology, capacityMW, label, data, kpis}] - data aligned per component
+     * @param {Array} combinedData - Aligned data of the combined (grid-limited) output
+     * @param {Object} combinedKpis - calculateKPIs result of the combined output
+     * @param {Object} options - {gridConnectionMW, clippedMWh}
+     * @returns {Object} Per-component KPIs and portfolio metrics
+     */
+    calculatePortfolio(components, combinedData, combinedKpis, options = {}) {
+        const { gridConnectionMW = null, clippedMWh = 0 } = options;
+        const totalCapacityMW = components.reduce((sum, c) => sum + c.capacityMW, 0);
+
+        // Component outputs on the combined timestamps
+        const outputs = components.map(c => {
+            const map = new Map(c.data.map(d => [d.timestamp, d.output]));
+            return combinedData.map(d => map.get(d.timestamp) ?? 0);
+        });
+
+        const correlations = [];
+        for (let i = 0; i < components.length; i++) {
+            for (let j = i + 1; j < components.length; j++) {
+                correlations.push({
+                    a: i,
+                    b: j,
+                    value: Math.round(this.calculateCorrelation(outputs[i], outputs[j]) * 100) / 100
+                });
+            }
+        }
+
+        const producingPct = series => series.length > 0
+            ? Math.round((series.filter(v => v > 0).length / series.length) * 1000) / 10
+            : 0;
+
+        // Exposure of the worst standalone component vs the combined shape
+        const worstExposure = Math.max(...components.map(c => c.kpis.negativePercentage));
+        const standaloneNegativeHours = components.reduce((sum, c) => sum + c.kpis.negativeHoursCount, 0);
+        const totalHours = combinedData.reduce((sum, d) => sum + this.intervalHours(d), 0);
+        const connectionMW = gridConnectionMW || totalCapacityMW;
+
+        return {
+            components: components.map((c, i) => ({
+                technology: c.technology,
+                capacityMW: c.capacityMW,
+                label: c.label,
+                kpis: c.kpis,
+                producingPct: producingPct(outputs[i])
+            })),
+            totalCapacityMW,
+            gridConnectionMW,
+            clippedMWh,
+            correlations,
+            producingPct: producingPct(combinedData.map(d => d.output)),
+            negativeHours: {
+                combined: combinedKpis.negativeHoursCount,
+                standaloneSum: Math.round(standaloneNegativeHours * 100) / 100
+            },
+            negativeExposure: {
+                combined: combinedKpis.negativePercentage,
+                worstComponent: worstExposure,
+                reductionPct: worstExposure > 0
+                    ? Math.round(((worstExposure - combinedKpis.negativePercentage) / worstExposure) * 1000) / 10
+                    : 0
+            },
+            gridUtilisation: connectionMW > 0 && totalHours > 0
+                ? Math.round((combinedKpis.totalProduction / (connectionMW * totalHours)) * 1000) / 10
+                : 0
+        };
+    },
+
+    /**
+     * Group data by market-local calendar day (23/25 hours on DST changes)
      */
     groupByDay(data) {
         const dayMap = new Map();
 
         data.forEach(d => {
-            const dayKey = d.date.toISOString().split('T')[0];
+            const dayKey = this.localTime(d).dayKey;
             if (!dayMap.has(dayKey)) {
                 dayMap.set(dayKey, []);
             }
@@ -393,7 +1619,8 @@ const Compute = {
         // Calculate metrics for each week
         const weekMetrics = weeks.map(week => {
             const prices = week.map(d => d.price);
-            const negativeHours = week.filter(d => d.price < 0 && d.output > 0).length;
+            const negativeHours = week.filter(d => d.price < 0 && d.output > 0)
+                .reduce((s, d) => s + this.intervalHours(d), 0);
             const volatility = this.calculateStdDev(prices);
             const avgCapture = this.calculateWeekCaptureRate(week);
 
@@ -422,44 +1649,65 @@ const Compute = {
     },
 
     /**
-     * Group data by week
+     * Group data by market-local calendar week (Monday to Sunday)
+     * Partial weeks at the edges of the period are kept if they cover at least 5 days.
      */
     groupByWeek(data) {
-        const weeks = [];
-        let currentWeek = [];
-
-        for (const d of data) {
-            if (currentWeek.length === 0) {
-                currentWeek.push(d);
-            } else if (currentWeek.length < 168) { // 7 days * 24 hours
-                currentWeek.push(d);
-            } else {
-                weeks.push(currentWeek);
-                currentWeek = [d];
-            }
-        }
+        const weekMap = new Map();
 
-        if (currentWeek.length >= 120) { // At least 5 days
-            weeks.push(currentWeek);
-        }
+        data.forEach(d => {
+            const { year, month, day, weekday, dayKey } = this.localTime(d);
+            const monday = new Date(Date.UTC(year, month, day - (weekday + 6) % 7));
+            const weekKey = monday.toISOString().split('T')[0];
+            if (!weekMap.has(weekKey)) {
+                weekMap.set(weekKey, { days: new Set(), data: [] });
+            }
+            const week = weekMap.get(weekKey);
+            week.days.add(dayKey);
+            week.data.push(d);
+        });
 
-        return weeks;
+        return Array.from(weekMap.values())
+            .filter(week => week.days.size >= 5)
+            .map(week => week.data);
     },
 
     /**
      * Calculate week capture rate
      */
     calculateWeekCaptureRate(weekData) {
-        const totalOutput = weekData.reduce((s, d) => s + d.output, 0);
+        const totalOutput = weekData.reduce((s, d) => s + this.intervalEnergy(d), 0);
         if (totalOutput === 0) return 0;
 
-        const weightedSum = weekData.reduce((s, d) => s + d.price * d.output, 0);
+        const weightedSum = weekData.reduce((s, d) => s + d.price * this.intervalEnergy(d), 0);
         const capturePrice = weightedSum / totalOutput;
 
         const avgPrice = this.calculateMean(weekData.map(d => d.price));
         return avgPrice > 0 ? capturePrice / avgPrice : 0;
     },
 
+    /**
+     * Utility: Market wall-clock fields of a row (rows from alignData carry them;
+     * anything else falls back to UTC)
+     */
+    localTime(d) {
+        return d.local || DataSources.getLocalTime(d.date, 'UTC');
+    },
+
+    /**
+     * Utility: Interval length in hours (rows without durationH are hourly)
+     */
+    intervalHours(d) {
+        return d.durationH ?? 1;
+    },
+
+    /**
+     * Utility: Energy in MWh delivered over an interval (output is average MW)
+     */
+    intervalEnergy(d) {
+        return d.output * this.intervalHours(d);
+    },
+
     /**
      * Utility: Calculate mean
      */
@@ -478,6 +1726,21 @@ const Compute = {
         return Math.sqrt(this.calculateMean(squaredDiffs));
     },
 
+    /**
+     * Utility: Pearson correlation of two equally long series (0 if either is constant)
+     */
+    calculateCorrelation(a, b) {
+        const meanA = this.calculateMean(a);
+        const meanB = this.calculateMean(b);
+        let cov = 0, varA = 0, varB = 0;
+        for (let i = 0; i < a.length; i++) {
+            cov += (a[i] - meanA) * (b[i] - meanB);
+            varA += (a[i] - meanA) ** 2;
+            varB += (b[i] - meanB) ** 2;
+        }
+        return varA > 0 && varB > 0 ? cov / Math.sqrt(varA * varB) : 0;
+    },
+
     /**
      * Utility: Calculate percentile
      */
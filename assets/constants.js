@@ -8,29 +8,503 @@ const CONFIG = {
     API: {
         ENERGY_CHARTS_BASE: 'https://api.energy-charts.info',
         INSIGHTS_ENDPOINT: null, // Set to your serverless backend URL
-        PVGIS_BASE: 'https://re.jrc.ec.europa.eu/api/v5_2'
+        PVGIS_BASE: 'https://re.jrc.ec.europa.eu/api/v5_2',
+        PVGIS_PROXY: null // Set to your worker's /api/pvgis URL (PVGIS blocks browser CORS)
     },
 
     // Market Configuration
+    // Day-ahead prices for all zones are published in EUR (SDAC, CH via EPEX Spot).
+    // lat/lon are reference coordinates for the synthetic PV model; pvCapacityFactor is the
+    // typical annual AC capacity factor of fixed-tilt PV, clearSkyIndex the model's mean cloudiness.
+    // wind.*.meanSpeed is the synthetic wind model's annual mean at 100 m (m/s), capacityFactor the
+    // typical fleet value; offshore is null for zones without an offshore resource.
     MARKETS: {
         'DE-LU': {
             name: 'Germany-Luxembourg',
             timezone: 'Europe/Berlin',
             currency: 'EUR',
             lat: 51.1657, // Central Germany
-            lon: 10.4515
+            lon: 10.4515,
+            adjective: 'German',
+            pvCapacityFactor: 0.11,
+            clearSkyIndex: 0.43,
+            wind: {
+                onshore: { meanSpeed: 4.9, capacityFactor: 0.20 },
+                offshore: { meanSpeed: 7.7, capacityFactor: 0.38 }
+            }
+        },
+        'FR': {
+            name: 'France',
+            timezone: 'Europe/Paris',
+            currency: 'EUR',
+            lat: 46.6034, // Central France
+            lon: 1.8883,
+            adjective: 'French',
+            pvCapacityFactor: 0.13,
+            clearSkyIndex: 0.47,
+            wind: {
+                onshore: { meanSpeed: 5.4, capacityFactor: 0.24 },
+                offshore: { meanSpeed: 7.7, capacityFactor: 0.38 }
+            }
+        },
+        'NL': {
+            name: 'Netherlands',
+            timezone: 'Europe/Amsterdam',
+            currency: 'EUR',
+            lat: 52.1326, // Utrecht
+            lon: 5.2913,
+            adjective: 'Dutch',
+            pvCapacityFactor: 0.105,
+            clearSkyIndex: 0.40,
+            wind: {
+                onshore: { meanSpeed: 5.8, capacityFactor: 0.28 },
+                offshore: { meanSpeed: 8.8, capacityFactor: 0.45 }
+            }
+        },
+        'BE': {
+            name: 'Belgium',
+            timezone: 'Europe/Brussels',
+            currency: 'EUR',
+            lat: 50.5039, // Namur
+            lon: 4.4699,
+            adjective: 'Belgian',
+            pvCapacityFactor: 0.105,
+            clearSkyIndex: 0.39,
+            wind: {
+                onshore: { meanSpeed: 5.4, capacityFactor: 0.24 },
+                offshore: { meanSpeed: 8.0, capacityFactor: 0.40 }
+            }
+        },
+        'AT': {
+            name: 'Austria',
+            timezone: 'Europe/Vienna',
+            currency: 'EUR',
+            lat: 47.5162, // Central Austria
+            lon: 14.5501,
+            adjective: 'Austrian',
+            pvCapacityFactor: 0.12,
+            clearSkyIndex: 0.43,
+            wind: {
+                onshore: { meanSpeed: 5.4, capacityFactor: 0.24 },
+                offshore: null
+            }
+        },
+        'CH': {
+            name: 'Switzerland',
+            timezone: 'Europe/Zurich',
+            currency: 'EUR',
+            lat: 46.8182, // Central Switzerland
+            lon: 8.2275,
+            adjective: 'Swiss',
+            pvCapacityFactor: 0.12,
+            clearSkyIndex: 0.42,
+            wind: {
+                onshore: { meanSpeed: 4.7, capacityFactor: 0.18 },
+                offshore: null
+            }
+        },
+        'PL': {
+            name: 'Poland',
+            timezone: 'Europe/Warsaw',
+            currency: 'EUR',
+            lat: 51.9194, // Central Poland
+            lon: 19.1451,
+            adjective: 'Polish',
+            pvCapacityFactor: 0.105,
+            clearSkyIndex: 0.40,
+            wind: {
+                onshore: { meanSpeed: 5.6, capacityFactor: 0.26 },
+                offshore: { meanSpeed: 8.3, capacityFactor: 0.42 }
+            }
+        },
+        'DK1': {
+            name: 'Denmark West',
+            timezone: 'Europe/Copenhagen',
+            currency: 'EUR',
+            lat: 56.2639, // Jutland
+            lon: 9.5018,
+            adjective: 'West Danish',
+            pvCapacityFactor: 0.105,
+            clearSkyIndex: 0.43,
+            wind: {
+                onshore: { meanSpeed: 6.3, capacityFactor: 0.32 },
+                offshore: { meanSpeed: 9.0, capacityFactor: 0.46 }
+            }
+        },
+        'DK2': {
+            name: 'Denmark East',
+            timezone: 'Europe/Copenhagen',
+            currency: 'EUR',
+            lat: 55.4904, // Zealand
+            lon: 11.943,
+            adjective: 'East Danish',
+            pvCapacityFactor: 0.105,
+            clearSkyIndex: 0.43,
+            wind: {
+                onshore: { meanSpeed: 5.7, capacityFactor: 0.27 },
+                offshore: { meanSpeed: 8.6, capacityFactor: 0.44 }
+            }
+        },
+        'ES': {
+            name: 'Spain',
+            timezone: 'Europe/Madrid',
+            currency: 'EUR',
+            lat: 40.4637, // Central Spain
+            lon: -3.7492,
+            adjective: 'Spanish',
+            pvCapacityFactor: 0.19,
+            clearSkyIndex: 0.71,
+            wind: {
+                onshore: { meanSpeed: 5.4, capacityFactor: 0.24 },
+                offshore: null
+            }
+        },
+        'IT-North': {
+            name: 'Italy North',
+            timezone: 'Europe/Rome',
+            currency: 'EUR',
+            lat: 45.4642, // Po Valley
+            lon: 9.9,
+            adjective: 'Northern Italian',
+            pvCapacityFactor: 0.14,
+            clearSkyIndex: 0.51,
+            wind: {
+                onshore: { meanSpeed: 4.7, capacityFactor: 0.18 },
+                offshore: null
+            }
+        },
+        'NO1': {
+            name: 'Norway South-East',
+            timezone: 'Europe/Oslo',
+            currency: 'EUR',
+            lat: 60.0, // Oslo region
+            lon: 10.75,
+            adjective: 'South-East Norwegian',
+            pvCapacityFactor: 0.1,
+            clearSkyIndex: 0.45,
+            wind: {
+                onshore: { meanSpeed: 6.0, capacityFactor: 0.30 },
+                offshore: null
+            }
+        },
+        'NO2': {
+            name: 'Norway South-West',
+            timezone: 'Europe/Oslo',
+            currency: 'EUR',
+            lat: 58.85, // Agder / Rogaland
+            lon: 7.0,
+            adjective: 'South-West Norwegian',
+            pvCapacityFactor: 0.095,
+            clearSkyIndex: 0.40,
+            wind: {
+                onshore: { meanSpeed: 6.5, capacityFactor: 0.34 },
+                offshore: { meanSpeed: 9.4, capacityFactor: 0.48 }
+            }
+        },
+        'NO3': {
+            name: 'Norway Central',
+            timezone: 'Europe/Oslo',
+            currency: 'EUR',
+            lat: 63.43, // Trondheim region
+            lon: 10.4,
+            adjective: 'Central Norwegian',
+            pvCapacityFactor: 0.085,
+            clearSkyIndex: 0.40,
+            wind: {
+                onshore: { meanSpeed: 6.7, capacityFactor: 0.35 },
+                offshore: null
+            }
+        },
+        'NO4': {
+            name: 'Norway North',
+            timezone: 'Europe/Oslo',
+            currency: 'EUR',
+            lat: 68.44, // Narvik region
+            lon: 17.43,
+            adjective: 'Northern Norwegian',
+            pvCapacityFactor: 0.075,
+            clearSkyIndex: 0.37,
+            wind: {
+                onshore: { meanSpeed: 6.4, capacityFactor: 0.33 },
+                offshore: null
+            }
+        },
+        'NO5': {
+            name: 'Norway West',
+            timezone: 'Europe/Oslo',
+            currency: 'EUR',
+            lat: 60.39, // Bergen region
+            lon: 6.0,
+            adjective: 'West Norwegian',
+            pvCapacityFactor: 0.085,
+            clearSkyIndex: 0.36,
+            wind: {
+                onshore: { meanSpeed: 6.3, capacityFactor: 0.32 },
+                offshore: null
+            }
+        },
+        'SE1': {
+            name: 'Sweden Luleå',
+            timezone: 'Europe/Stockholm',
+            currency: 'EUR',
+            lat: 66.83, // Norrbotten
+            lon: 20.4,
+            adjective: 'Northern Swedish',
+            pvCapacityFactor: 0.08,
+            clearSkyIndex: 0.39,
+            wind: {
+                onshore: { meanSpeed: 6.0, capacityFactor: 0.30 },
+                offshore: null
+            }
+        },
+        'SE2': {
+            name: 'Sweden Sundsvall',
+            timezone: 'Europe/Stockholm',
+            currency: 'EUR',
+            lat: 63.2, // Västernorrland
+            lon: 16.5,
+            adjective: 'Central Swedish',
+            pvCapacityFactor: 0.09,
+            clearSkyIndex: 0.42,
+            wind: {
+                onshore: { meanSpeed: 6.4, capacityFactor: 0.33 },
+                offshore: null
+            }
+        },
+        'SE3': {
+            name: 'Sweden Stockholm',
+            timezone: 'Europe/Stockholm',
+            currency: 'EUR',
+            lat: 59.33, // Svealand
+            lon: 15.2,
+            adjective: 'South-Central Swedish',
+            pvCapacityFactor: 0.1,
+            clearSkyIndex: 0.44,
+            wind: {
+                onshore: { meanSpeed: 6.2, capacityFactor: 0.31 },
+                offshore: { meanSpeed: 8.0, capacityFactor: 0.40 }
+            }
+        },
+        'SE4': {
+            name: 'Sweden Malmö',
+            timezone: 'Europe/Stockholm',
+            currency: 'EUR',
+            lat: 55.9, // Skåne
+            lon: 13.6,
+            adjective: 'Southern Swedish',
+            pvCapacityFactor: 0.105,
+            clearSkyIndex: 0.41,
+            wind: {
+                onshore: { meanSpeed: 6.0, capacityFactor: 0.30 },
+                offshore: { meanSpeed: 8.0, capacityFactor: 0.40 }
+            }
+        },
+        'FI': {
+            name: 'Finland',
+            timezone: 'Europe/Helsinki',
+            currency: 'EUR',
+            lat: 62.5, // Central Finland
+            lon: 25.75,
+            adjective: 'Finnish',
+            pvCapacityFactor: 0.095,
+            clearSkyIndex: 0.44,
+            wind: {
+                onshore: { meanSpeed: 6.3, capacityFactor: 0.32 },
+                offshore: { meanSpeed: 8.0, capacityFactor: 0.40 }
+            }
         }
     },
 
+    // Technologies (wording used across the UI and memo)
+    TECHNOLOGIES: {
+        'solar': {
+            name: 'Solar PV',
+            short: 'PV',
+            noun: 'solar',
+            productionHours: 'solar hours',
+            lowPriceWindow: 'spring/summer midday hours'
+        },
+        'wind-onshore': {
+            name: 'Wind Onshore',
+            short: 'Wind',
+            noun: 'wind',
+            site: 'onshore',
+            productionHours: 'windy hours',
+            lowPriceWindow: 'windy, low-demand periods such as nights and weekends'
+        },
+        'wind-offshore': {
+            name: 'Wind Offshore',
+            short: 'Wind',
+            noun: 'offshore wind',
+            site: 'offshore',
+            productionHours: 'windy hours',
+            lowPriceWindow: 'windy, low-demand periods such as nights and weekends'
+        },
+        // Combined output of a hybrid portfolio (not selectable as a component)
+        'hybrid': {
+            name: 'Hybrid Portfolio',
+            short: 'Portfolio',
+            noun: 'hybrid',
+            portfolio: true,
+            productionHours: 'production hours',
+            lowPriceWindow: 'hours when solar and wind output coincide with low demand'
+        }
+    },
+
+    // Hybrid Portfolio Configuration (components behind one grid connection)
+    HYBRID: {
+        MAX_COMPONENTS: 4, // Including the primary asset
+        DEFAULT_COMPONENT: { technology: 'wind-onshore', capacityMW: 30 }
+    },
+
+    // Forward Price Scenarios (see ForwardCurve)
+    FORWARD: {
+        PEAK_HOURS: { start: 8, end: 20 }, // Mon-Fri, market time (EEX peakload)
+        MAX_YEARS: 5,
+        PERIODS: { cal: 'Cal (full year)', Q1: 'Q1', Q2: 'Q2', Q3: 'Q3', Q4: 'Q4' },
+        DEFAULT_PRODUCT: { period: 'cal', base: 80, peak: 90 } // EUR/MWh
+    },
+
+    // Negative-price curtailment (output is switched off below the threshold price, see Compute.applyCurtailment)
+    CURTAILMENT: {
+        POLICIES: {
+            'none': 'Produce into all prices',
+            'zero': 'Curtail below 0 EUR/MWh',
+            'threshold': 'Curtail below a threshold',
+            'subsidy': 'Curtail below -(support payment)'
+        },
+        DEFAULT_POLICY: 'none',
+        DEFAULT_THRESHOLD: -10, // EUR/MWh
+        DEFAULT_SUPPORT: 60 // EUR/MWh, production-based support lost when curtailing
+    },
+
+    // Power purchase agreement structures (see Compute.calculatePPA)
+    PPA: {
+        DEFAULT_PRICE: 70, // EUR/MWh
+        DEFAULT_STRUCTURE: 'pay-as-produced',
+        STRUCTURES: {
+            'pay-as-produced': 'Pay-as-produced',
+            'baseload': 'Baseload',
+            'shaped': 'Monthly-shaped'
+        },
+        NEGATIVE_CLAUSES: {
+            'none': 'Buyer pays in all intervals',
+            'exclude': 'No contract volume at negative prices'
+        }
+    },
+
+    // German EEG sliding market premium (Marktprämie, direct marketing)
+    EEG: {
+        DEFAULT_APPLICABLE_VALUE: 55, // EUR/MWh ("anzulegender Wert")
+        // §51 EEG by commissioning date: no premium once the spot price has been negative for at least
+        // `hours` consecutive hours (0 = every negative interval). EEG 2023 tightens its threshold with
+        // the settlement year (`byYear`, from the given calendar year on)
+        NEGATIVE_PRICE_RULES: [
+            { from: '2016-01-01', hours: 6, label: 'EEG 2014/2017: 6 consecutive negative hours' },
+            { from: '2021-01-01', hours: 4, label: 'EEG 2021: 4 consecutive negative hours' },
+            {
+                from: '2023-01-01',
+                hours: 3,
+                byYear: [{ fromYear: 2026, hours: 2 }, { fromYear: 2027, hours: 1 }],
+                label: 'EEG 2023: 3 consecutive negative hours (2 in 2026, 1 from 2027)'
+            },
+            { from: '2025-02-25', hours: 0, label: 'Solarspitzengesetz: every negative interval' }
+        ],
+        DEFAULT_COD: '2025-02-25' // Used when no COD is given (a new plant)
+    },
+
+    // Two-sided Contract for Difference (see Compute.calculateCfD)
+    CFD: {
+        DEFAULT_STRIKE: 65, // EUR/MWh
+        REFERENCES: {
+            'hourly': 'Hourly (interval spot price)',
+            'monthly': 'Monthly market value',
+            'annual': 'Annual market value'
+        },
+        NEGATIVE_PRICE: {
+            'settle': 'Settle in all intervals',
+            'suspend': 'No difference payment at negative prices'
+        }
+    },
+
+    // Wind Profile Configuration (per site type: onshore / offshore)
+    WIND: {
+        REFERENCE_HEIGHT: 100, // m, height of MARKETS[*].wind.*.meanSpeed
+        AIR_DENSITY: 1.225, // kg/m3
+        POWER_COEFFICIENT: 0.45, // Cp below rated speed
+        CUT_IN_SPEED: 3, // m/s
+        CUT_OUT_SPEED: 25, // m/s
+        // Turbine classes by specific power (W per m2 of rotor area)
+        TURBINES: {
+            'low-wind': { name: 'Low-wind (220 W/m2)', specificPower: 220 },
+            'standard': { name: 'Standard (300 W/m2)', specificPower: 300 },
+            'offshore': { name: 'Offshore (370 W/m2)', specificPower: 370 }
+        },
+        onshore: {
+            DEFAULT_HUB_HEIGHT: 130,
+            DEFAULT_TURBINE: 'standard',
+            DEFAULT_LOSS: 12, // % wake, availability, electrical
+            SHEAR_EXPONENT: 0.2,
+            WEIBULL_SHAPE: 2.0,
+            SEASONAL_AMPLITUDE: 0.18, // Winter vs summer mean speed (+/-)
+            DIURNAL_AMPLITUDE: 0.06, // Night-time low-level jet at hub height
+            DIURNAL_PEAK_HOUR: 23 // Local hour of the diurnal maximum
+        },
+        offshore: {
+            DEFAULT_HUB_HEIGHT: 150,
+            DEFAULT_TURBINE: 'offshore',
+            DEFAULT_LOSS: 14,
+            SHEAR_EXPONENT: 0.1,
+            WEIBULL_SHAPE: 2.2,
+            SEASONAL_AMPLITUDE: 0.15,
+            DIURNAL_AMPLITUDE: 0.02,
+            DIURNAL_PEAK_HOUR: 20
+        },
+        HOURLY_PERSISTENCE: 0.985, // AR(1) correlation of the weather state per hour (~3-day systems)
+        CAPACITY_FACTOR_TOLERANCE: 0.25
+    },
+
     // PV Profile Configuration
     PV: {
-        // Typical capacity factor for German solar
+        // Fallback capacity factor for zones without pvCapacityFactor (German fleet value)
         TYPICAL_CAPACITY_FACTOR: 0.11, // ~11% annual average
-        // Peak sun hours distribution (simplified)
-        PEAK_MONTHS: [4, 5, 6, 7, 8], // April to August
-        SUNRISE_HOUR: 6,
-        SUNSET_HOUR: 20,
-        PEAK_HOUR: 12
+        // Synthetic model: warn when its annual CF deviates more than this from the reference
+        CAPACITY_FACTOR_TOLERANCE: 0.25,
+        REFERENCE_YEAR: 2023,
+        ALBEDO: 0.2,
+        CLEAR_SKY_DIFFUSE_RATIO: 0.1, // DHI / DNI under clear sky
+        TRACKER_MAX_ROTATION: 60, // degrees
+        DEFAULT_DC_AC_RATIO: 1.2,
+        // Daily clear-sky index process (weather)
+        WEATHER: {
+            PERSISTENCE: 0.6, // AR(1) day-to-day correlation
+            DAILY_SPREAD: 0.35, // Max daily shock (+/-)
+            SEASONAL_SWING: 0.2, // Summer vs winter mean (+/-)
+            MIN_INDEX: 0.1, // Overcast floor
+            INTRADAY_NOISE: 0.3 // Interval-to-interval variation (+/- half)
+        },
+        // Site & array defaults (azimuth: 0 = south, -90 = east, 90 = west)
+        DEFAULT_TILT: 30,
+        DEFAULT_AZIMUTH: 0,
+        DEFAULT_MOUNTING: 'free', // 'free' (ground-mounted), 'building' or 'tracker' (single-axis N-S)
+        DEFAULT_LOSS: 14, // % system losses
+        // PVGIS SARAH2 radiation database coverage (API v5_2)
+        PVGIS_YEARS: { start: 2016, end: 2020 }
+    },
+
+    // Price Resolution (day-ahead MTU moved from 60 to 15 minutes)
+    RESOLUTION: {
+        SUPPORTED_MINUTES: [15, 30, 60],
+        DEFAULT: 'native' // 'native' keeps the finest published resolution
+    },
+
+    // File Import
+    IMPORT: {
+        PRICE_UNITS: { 'EUR/MWh': 1, 'ct/kWh': 10, 'EUR/kWh': 1000 },
+        // Production: scale to MW (power) or MWh (energy per interval)
+        PRODUCTION_UNITS: { 'MW': 1, 'kW': 0.001, 'MWh per interval': 1, 'kWh per interval': 0.001 },
+        ENERGY_UNITS: ['MWh per interval', 'kWh per interval'],
+        PREVIEW_ROWS: 5
     },
 
     // Battery Defaults
@@ -39,7 +513,90 @@ const CONFIG = {
         DEFAULT_ENERGY_MWH: 50,
         DEFAULT_EFFICIENCY: 0.88,
         MIN_SOC: 0.05, // 5% minimum state of charge
-        MAX_SOC: 0.95  // 95% maximum state of charge
+        MAX_SOC: 0.95, // 95% maximum state of charge
+        // Charge sources (see Compute.addBatteryCharge)
+        DEFAULT_MODE: 'plant',
+        MODES: {
+            'plant': 'Plant charging only',
+            'plant-grid': 'Plant + grid charging',
+            'standalone': 'Standalone (grid only)'
+        },
+        // Capacity fade and augmentation (see Compute.simulateBatteryLifetime)
+        LIFETIME: {
+            YEARS: 15,
+            CALENDAR_FADE_PCT: 1.0, // % of nameplate per year
+            CYCLE_FADE_PCT: 3.0, // % of nameplate per 1000 full equivalent cycles
+            AUGMENTATION_SOH: 80 // % state of health that triggers augmentation back to nameplate
+        },
+        // Sizing study (see Compute.sweepBatterySizes)
+        SIZING: {
+            POWER_SHARES: [0.1, 0.25, 0.5, 0.75, 1.0], // Battery power as a share of plant capacity
+            DURATIONS: [1, 2, 3, 4], // Hours at rated power
+            CAPEX_PER_MW: 100, // kEUR/MW (inverters, transformer, grid connection)
+            CAPEX_PER_MWH: 200, // kEUR/MWh (cells, containers)
+            METRICS: {
+                netValue: 'Net value after CAPEX',
+                uplift: 'Uplift',
+                upliftPerMW: 'Uplift per MW',
+                upliftPerMWh: 'Uplift per MWh'
+            }
+        },
+        // Reserve markets stacked on arbitrage (see Compute.stackAncillaryServices)
+        // Prices are flat assumptions unless a series is imported; reserve is symmetric and
+        // each service must be deliverable for HEADROOM_HOURS in both directions.
+        ANCILLARY: {
+            SERVICES: {
+                'fcr': { name: 'FCR', capacityPrice: 10, energyPrice: 0, activationPct: 0, headroomHours: 0.25 },
+                'afrr': { name: 'aFRR', capacityPrice: 6, energyPrice: 40, activationPct: 5, headroomHours: 1 },
+                'mfrr': { name: 'mFRR', capacityPrice: 2, energyPrice: 60, activationPct: 1, headroomHours: 1 }
+            },
+            RESERVE_SHARES: [0.25, 0.5, 0.75, 1.0], // Candidate shares of battery power per day
+            MAX_HOLD_HOURS: 4, // Imported prices hold until the next point, at most one FCR/aFRR block
+            CAPACITY_UNITS: { 'EUR/MW/h': 1, 'EUR/MW per 4-h block': 0.25, 'EUR/MW per day': 1 / 24 }
+        },
+        // Perfect-foresight dispatch (see Compute.optimizeBattery)
+        OPTIMIZER: {
+            SOC_STEPS: 40, // SOC grid between MIN_SOC and MAX_SOC
+            // Annual cycle cap: penalty search on a coarse grid, refined on the full grid
+            COARSE_SOC_STEPS: 10,
+            BISECTION_STEPS: 12,
+            FINE_BISECTION_STEPS: 6,
+            CAP_TOLERANCE: 0.02 // Stop once the discharge uses this close to the full budget
+        }
+    },
+
+    // Project Finance (see Finance.evaluate) - defaults of the finance panel
+    FINANCE: {
+        LIFE_YEARS: 25,
+        CAPEX_PER_MW: { 'solar': 550, 'wind-onshore': 1400, 'wind-offshore': 3500 }, // kEUR/MW
+        BATTERY_CAPEX_PER_MWH: 300, // kEUR/MWh, all-in
+        OPEX_PCT: 2.0, // % of CAPEX per year
+        DEGRADATION_PCT: { 'solar': 0.4, 'wind-onshore': 0.2, 'wind-offshore': 0.2 }, // % production per year
+        INFLATION_PCT: 2.0, // Revenue and OPEX escalation
+        DISCOUNT_PCT: 7.0, // Nominal, for NPV and LCOE
+        TAX_PCT: 30.0, // Corporate and trade tax (DE)
+        DEPRECIATION_YEARS: 20, // Straight-line
+        MAX_GEARING_PCT: 70,
+        DEBT_RATE_PCT: 5.0,
+        TENOR_YEARS: 18,
+        TARGET_DSCR: 1.3,
+        SIZING_ITERATIONS: 20 // Debt sizing passes until the tax shield settles (see Finance.evaluate)
+    },
+
+    // Monte Carlo Revenue Distribution (see MonteCarlo.simulate)
+    MONTE_CARLO: {
+        SIMULATIONS: 2000,
+        SIMULATION_OPTIONS: [500, 2000, 5000],
+        BLOCK_TYPES: {
+            'week': 'Weekly blocks',
+            'day': 'Daily blocks'
+        },
+        SAMPLING: {
+            'joint': 'Joint (price and weather together)',
+            'independent': 'Independent (price and weather separately)'
+        },
+        MIN_BLOCK_COVERAGE: 0.9, // Share of a block's intervals that must have data
+        HISTOGRAM_BINS: 30
     },
 
     // Chart Colors
@@ -61,42 +618,110 @@ const CONFIG = {
         '24': { label: 'Last 24 months', months: 24 }
     },
 
+    // Data Quality Configuration
+    QUALITY: {
+        GAP_FILL_DEFAULT: 'drop',
+        GAP_FILL_POLICIES: {
+            'drop': 'Drop missing intervals',
+            'linear': 'Linear interpolation',
+            'previous-week': 'Same hour previous week'
+        },
+        MAX_INTERPOLATION_HOURS: 6, // Longer gaps are left missing under 'linear'
+        OUTLIER_MAD_MULTIPLE: 10,
+        PRICE_BOUNDS: { min: -500, max: 4000 }, // SDAC harmonised min/max clearing price (EUR/MWh)
+        LOW_COVERAGE_PCT: 95, // Months below this are highlighted
+        MAX_LISTED_GAPS: 5
+    },
+
+    // Market Solar Benchmark (Energy-Charts public_power, national generation in MW)
+    // Zones of multi-zone countries (DK, IT, NO, SE) are benchmarked against the national fleet.
+    BENCHMARK: {
+        PRODUCTION_TYPE: 'Solar',
+        COUNTRIES: {
+            'DE-LU': 'de', 'FR': 'fr', 'NL': 'nl', 'BE': 'be', 'AT': 'at', 'CH': 'ch', 'PL': 'pl',
+            'DK1': 'dk', 'DK2': 'dk', 'ES': 'es', 'IT-North': 'it',
+            'NO1': 'no', 'NO2': 'no', 'NO3': 'no', 'NO4': 'no', 'NO5': 'no',
+            'SE1': 'se', 'SE2': 'se', 'SE3': 'se', 'SE4': 'se', 'FI': 'fi'
+        }
+    },
+
+    // Random Configuration (synthetic PV weather, sample prices)
+    RANDOM: {
+        DEFAULT_SEED: 42
+    },
+
+    // Sample Data (demo mode): a fixed year, so a seed gives the same series on any day
+    SAMPLE_DATA: {
+        START_DATE: '2025-01-01', // First day (CET)
+        DAYS: 365
+    },
+
     // Cache Configuration
     CACHE: {
-        PRICE_TTL: 60 * 60 * 1000, // 1 hour in milliseconds
-        PREFIX: 'cva_ipp_'
+        PRICE_TTL: 60 * 60 * 1000, // 1 hour in milliseconds (current or incomplete months)
+        COMPLETE_TOLERANCE: 60 * 60, // Seconds; a month is complete when its last interval starts this close to its end
+        PVGIS_TTL: 30 * 24 * 60 * 60 * 1000, // 30 days - historical series do not change
+        PREFIX: 'cva_ipp_',
+        DB_NAME: 'cva_ipp',
+        DB_VERSION: 2,
+        PRICE_STORE: 'price_segments', // One record per bidding zone and month
+        GENERATION_STORE: 'generation_segments' // One record per country, series and month
     }
 };
 
 // Sample data for demo mode (when API fails)
 const SAMPLE_DATA = {
-    // 7 days of hourly prices (168 hours) - realistic German day-ahead prices
-    prices: generateSamplePrices(),
+    // Seeded sample year of hourly German-style day-ahead prices (8760 hours of 2025, see CONFIG.SAMPLE_DATA)
+    prices: generateSamplePrices(CONFIG.RANDOM.DEFAULT_SEED),
+
+    // Offline market solar benchmark: typical German national solar generation (MW) by month
+    // (rows, Jan-Dec) and UTC hour (columns). Modelled with the synthetic PV model at the DE-LU
+    // reference site for an 80 GW fleet (~79 TWh/year), averaged over ten weather seeds.
+    // Used when Energy-Charts is unreachable; it has no day-to-day weather.
+    marketSolar: {
+        country: 'de',
+        profile: [
+            [0, 0, 0, 0, 0, 0, 0, 890, 7090, 12360, 15610, 16750, 15400, 11960, 6380, 640, 0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 250, 5690, 13320, 19510, 23630, 25030, 23850, 19880, 13720, 6240, 360, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 220, 4390, 11720, 18620, 24350, 27650, 28890, 27190, 23760, 18050, 10850, 3720, 50, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 230, 3370, 11080, 19730, 27340, 33430, 36880, 37620, 35880, 31190, 24810, 16310, 7840, 1220, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 70, 1260, 6120, 13640, 21310, 28160, 33630, 37190, 37550, 35620, 31510, 24880, 17570, 9690, 2800, 570, 0, 0, 0, 0, 0],
+            [0, 0, 0, 470, 1910, 8040, 16770, 25630, 33850, 40260, 43910, 44520, 42760, 37820, 30780, 22580, 13160, 5030, 1430, 30, 0, 0, 0, 0],
+            [0, 0, 0, 160, 1630, 6890, 15490, 24660, 33040, 39400, 43460, 44590, 42660, 38300, 31390, 22970, 13670, 5170, 1330, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 440, 3550, 10250, 17630, 24210, 29330, 32600, 33630, 32200, 28170, 22740, 15650, 8440, 2250, 220, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 1630, 8540, 16390, 23640, 28810, 32140, 32670, 30960, 26410, 19710, 12030, 4410, 230, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 50, 4040, 11360, 17980, 22810, 25430, 25500, 23300, 18780, 12280, 5010, 280, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 140, 4260, 9740, 13590, 15650, 15970, 14020, 10260, 4990, 240, 0, 0, 0, 0, 0, 0, 0, 0],
+            [0, 0, 0, 0, 0, 0, 0, 800, 6730, 11700, 14580, 15220, 13420, 9340, 3470, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+        ]
+    },
 
     // Metadata
     meta: {
         market: 'DE-LU',
         source: 'Sample Data (Demo Mode)',
-        period: 'Sample week'
+        period: `Sample year ${CONFIG.SAMPLE_DATA.START_DATE.slice(0, 4)}`
     }
 };
 
 /**
- * Generate realistic sample price data
+ * Generate realistic sample price data, hourly over CONFIG.SAMPLE_DATA
+ * @param {number} seed - Random seed (same seed = same series)
  */
-function generateSamplePrices() {
+function generateSamplePrices(seed) {
+    const random = SeededRandom.fork(seed, 'sample-prices');
     const prices = [];
-    const baseDate = new Date();
-    baseDate.setHours(0, 0, 0, 0);
-    baseDate.setDate(baseDate.getDate() - 365); // Start from a year ago
+    // Day boundaries and hour pattern follow CET (UTC+1) so every browser gets the same series
+    const cetOffsetMs = 3600000;
+    const baseMs = Date.parse(`${CONFIG.SAMPLE_DATA.START_DATE}T00:00:00Z`) - cetOffsetMs;
 
-    // Generate ~1 year of hourly data
-    for (let day = 0; day < 365; day++) {
-        const date = new Date(baseDate);
-        date.setDate(date.getDate() + day);
+    // Generate one year of hourly data from the fixed start date
+    for (let day = 0; day < CONFIG.SAMPLE_DATA.DAYS; day++) {
+        const dayStartMs = baseMs + day * 86400000;
+        const date = new Date(dayStartMs + cetOffsetMs);
 
-        const month = date.getMonth();
-        const dayOfWeek = date.getDay();
+        const month = date.getUTCMonth();
+        const dayOfWeek = date.getUTCDay();
         const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
 
         // Seasonal base price (higher in winter)
@@ -110,8 +735,7 @@ function generateSamplePrices() {
         }
 
         for (let hour = 0; hour < 24; hour++) {
-            const timestamp = new Date(date);
-            timestamp.setHours(hour);
+            const timestamp = new Date(dayStartMs + hour * 3600000);
 
             // Hour-of-day pattern
             let hourlyFactor = 1;
@@ -127,12 +751,12 @@ function generateSamplePrices() {
             let price = seasonalBase * hourlyFactor;
 
             // Add randomness
-            price += (Math.random() - 0.5) * 40;
+            price += (random() - 0.5) * 40;
 
             // Occasional negative prices (more frequent during solar hours in summer)
             if (month >= 4 && month <= 8 && hour >= 10 && hour <= 15) {
-                if (Math.random() < 0.08) { // 8% chance
-                    price = -10 - Math.random() * 30;
+                if (random() < 0.08) { // 8% chance
+                    price = -10 - random() * 30;
                 }
             }
 
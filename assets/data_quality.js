@@ -0,0 +1,292 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Data Quality
+ * Gap detection, gap-filling policies and the data-quality report
+ */
+
+const DataQuality = {
+    /**
+     * Expected interval start times for a period
+     * @param {Date} startDate - Period start
+     * @param {Date} endDate - Period end (inclusive)
+     * @param {number} stepMinutes - Interval length
+     * @returns {number[]} Unix timestamps (seconds)
+     */
+    buildGrid(startDate, endDate, stepMinutes) {
+        const step = stepMinutes * 60;
+        const grid = [];
+        const end = Math.floor(endDate.getTime() / 1000);
+        for (let ts = Math.ceil(startDate.getTime() / 1000 / step) * step; ts <= end; ts += step) {
+            grid.push(ts);
+        }
+        return grid;
+    },
+
+    /**
+     * Fill missing grid intervals according to a policy
+     * @param {Array} series - Array of {timestamp, [field]} on the grid's resolution
+     * @param {number[]} grid - Expected timestamps (see buildGrid)
+     * @param {string} policy - 'drop', 'linear' or 'previous-week' (see CONFIG.QUALITY.GAP_FILL_POLICIES)
+     * @param {string} field - Value field ('price' or 'output')
+     * @returns {Object} {series, missing, filled} - filled points carry `filled: true`
+     */
+    fillGaps(series, grid, policy, field = 'price') {
+        const values = new Map(series.map(p => [p.timestamp, p[field]]));
+        const missing = grid.filter(ts => !values.has(ts));
+
+        if (policy === 'drop' || missing.length === 0) {
+            return { series, missing: missing.length, filled: 0 };
+        }
+
+        const filledPoints = [];
+        const step = grid.length > 1 ? grid[1] - grid[0] : 3600;
+
+        if (policy === 'linear') {
+            const maxRun = CONFIG.QUALITY.MAX_INTERPOLATION_HOURS * 3600 / step;
+            let i = 0;
+            while (i < grid.length) {
+                if (values.has(grid[i])) {
+                    i++;
+                    continue;
+                }
+
+                // Missing run [i, j); interpolate only between two known neighbours
+                let j = i;
+                while (j < grid.length && !values.has(grid[j])) j++;
+                const before = i > 0 ? values.get(grid[i - 1]) : undefined;
+                const after = j < grid.length ? values.get(grid[j]) : undefined;
+
+                if (before !== undefined && after !== undefined && j - i <= maxRun) {
+                    for (let k = i; k < j; k++) {
+                        const weight = (k - i + 1) / (j - i + 1);
+                        filledPoints.push({ timestamp: grid[k], value: before + (after - before) * weight });
+                    }
+                }
+                i = j;
+            }
+        } else if (policy === 'previous-week') {
+            const weekSeconds = 7 * 24 * 3600;
+            for (const ts of missing) {
+                // Earlier fills count, so multi-week gaps repeat the last complete week
+                const value = values.get(ts - weekSeconds);
+                if (value !== undefined) {
+                    values.set(ts, value);
+                    filledPoints.push({ timestamp: ts, value });
+                }
+            }
+        }
+
+        const filled = filledPoints.map(p => ({
+            timestamp: p.timestamp,
+            [field]: Math.round(p.value * 1000) / 1000,
+            filled: true
+        }));
+
+        return {
+            series: [...series, ...filled].sort((a, b) => a.timestamp - b.timestamp),
+            missing: missing.length,
+            filled: filled.length
+        };
+    },
+
+    /**
+     * Merge missing timestamps into contiguous gaps
+     * @returns {Array} [{start, end, intervals}] (unix seconds, end = last missing interval)
+     */
+    findGaps(series, grid) {
+        const present = new Set(series.map(p => p.timestamp));
+        const gaps = [];
+        let current = null;
+
+        grid.forEach((ts, i) => {
+            if (present.has(ts)) {
+                current = null;
+            } else if (current && current.lastIndex === i - 1) {
+                current.end = ts;
+                current.intervals++;
+                current.lastIndex = i;
+            } else {
+                current = { start: ts, end: ts, intervals: 1, lastIndex: i };
+                gaps.push(current);
+            }
+        });
+
+        return gaps.map(({ start, end, intervals }) => ({ start, end, intervals }));
+    },
+
+    /**
+     * Count timestamps that occur more than once
+     */
+    countDuplicates(series) {
+        const seen = new Set();
+        let duplicates = 0;
+        series.forEach(p => {
+            if (seen.has(p.timestamp)) duplicates++;
+            seen.add(p.timestamp);
+        });
+        return duplicates;
+    },
+
+    /**
+     * Find price outliers: outside the harmonised market limits, or far from the
+     * median in units of the median absolute deviation
+     * @returns {Array} [{timestamp, price, reason}]
+     */
+    findPriceOutliers(prices) {
+        if (prices.length === 0) return [];
+        const { OUTLIER_MAD_MULTIPLE, PRICE_BOUNDS } = CONFIG.QUALITY;
+
+        const sorted = prices.map(p => p.price).sort((a, b) => a - b);
+        const median = Compute.percentile(sorted, 50);
+        const deviations = sorted.map(v => Math.abs(v - median)).sort((a, b) => a - b);
+        const mad = Compute.percentile(deviations, 50) * 1.4826; // Scaled to ~1 sigma
+        const limit = OUTLIER_MAD_MULTIPLE * Math.max(mad, 1);
+
+        return prices
+            .map(p => {
+                if (p.price < PRICE_BOUNDS.min || p.price > PRICE_BOUNDS.max) {
+                    return { timestamp: p.timestamp, price: p.price, reason: 'outside market limits' };
+                }
+                if (Math.abs(p.price - median) > limit) {
+                    return { timestamp: p.timestamp, price: p.price, reason: `more than ${OUTLIER_MAD_MULTIPLE} MAD from median` };
+                }
+                return null;
+            })
+            .filter(Boolean);
+    },
+
+    /**
+     * Check DST changeover days: the series should hold 23 or 25 hours of intervals
+     * @returns {Array} [{day, expectedHours, actualHours, ok}] for changeover days in the grid
+     */
+    checkDSTDays(series, grid, stepMinutes, timezone) {
+        const toLocal = DataSources.createLocalTimeResolver(timezone);
+        const present = new Set(series.map(p => p.timestamp));
+        const days = new Map();
+
+        grid.forEach(ts => {
+            const { dayKey } = toLocal(ts);
+            if (!days.has(dayKey)) days.set(dayKey, { expected: 0, actual: 0 });
+            const day = days.get(dayKey);
+            day.expected++;
+            if (present.has(ts)) day.actual++;
+        });
+
+        const perHour = 60 / stepMinutes;
+        const firstDay = toLocal(grid[0]).dayKey;
+        const lastDay = toLocal(grid[grid.length - 1]).dayKey;
+
+        return Array.from(days.entries())
+            .filter(([day, d]) => day !== firstDay && day !== lastDay && d.expected !== 24 * perHour)
+            .map(([day, d]) => ({
+                day,
+                expectedHours: d.expected / perHour,
+                actualHours: d.actual / perHour,
+                ok: d.actual === d.expected
+            }));
+    },
+
+    /**
+     * Coverage per market-local month
+     * @returns {Array} [{month, expected, prices, production, aligned, coveragePct}]
+     */
+    calculateMonthlyCoverage(grid, prices, pvProfile, aligned, timezone) {
+        const toLocal = DataSources.createLocalTimeResolver(timezone);
+        const priceSet = new Set(prices.map(p => p.timestamp));
+        const pvSet = new Set(pvProfile.map(p => p.timestamp));
+        const alignedSet = new Set(aligned.map(d => d.timestamp));
+        const months = new Map();
+
+        grid.forEach(ts => {
+            const { monthKey } = toLocal(ts);
+            if (!months.has(monthKey)) months.set(monthKey, { expected: 0, prices: 0, production: 0, aligned: 0 });
+            const m = months.get(monthKey);
+            m.expected++;
+            if (priceSet.has(ts)) m.prices++;
+            if (pvSet.has(ts)) m.production++;
+            if (alignedSet.has(ts)) m.aligned++;
+        });
+
+        return Array.from(months.entries())
+            .map(([month, m]) => ({
+                month,
+                ...m,
+                coveragePct: Math.round((m.aligned / m.expected) * 1000) / 10
+            }))
+            .sort((a, b) => a.month.localeCompare(b.month));
+    },
+
+    /**
+     * Build the data-quality report for an analysis run
+     * @param {Object} input
+     * @param {Array} input.rawPrices - Prices as fetched/uploaded (before resampling)
+     * @param {Array} input.prices - Resampled prices before gap filling
+     * @param {Array} input.pvProfile - Production profile before gap filling
+     * @param {Array} input.aligned - Aligned data (after gap filling)
+     * @param {Object} input.fill - {policy, prices: fillGaps result, production: fillGaps result}
+     * @param {Array} input.importReports - FileImport reports of uploaded series (optional)
+     * @param {Date} input.startDate - Period start
+     * @param {Date} input.endDate - Period end
+     * @param {number} input.resolutionMinutes - Analysis resolution
+     * @param {string} input.timezone - Market timezone
+     * @returns {Object} Report
+     */
+    buildReport(input) {
+        const {
+            rawPrices, prices, pvProfile, aligned, fill,
+            importReports = [], startDate, endDate, resolutionMinutes, timezone
+        } = input;
+
+        const grid = this.buildGrid(startDate, endDate, resolutionMinutes);
+        const priceGaps = this.findGaps(prices, grid);
+        const productionGaps = this.findGaps(pvProfile, grid);
+        const outliers = this.findPriceOutliers(rawPrices);
+        const dstDays = grid.length > 0 ? this.checkDSTDays(prices, grid, resolutionMinutes, timezone) : [];
+        const importDST = importReports.reduce((sum, r) => sum + (r.dstSkipped || 0) + (r.dstRepeated || 0), 0);
+
+        const alignedCount = aligned.length;
+        const coveragePct = grid.length > 0 ? Math.round((alignedCount / grid.length) * 1000) / 10 : 0;
+
+        return {
+            policy: fill.policy,
+            resolutionMinutes,
+            timezone,
+            expectedIntervals: grid.length,
+            alignedIntervals: alignedCount,
+            coveragePct,
+            missing: {
+                prices: fill.prices.missing,
+                production: fill.production.missing
+            },
+            filled: {
+                prices: fill.prices.filled,
+                production: fill.production.filled
+            },
+            gaps: {
+                prices: priceGaps,
+                production: productionGaps
+            },
+            duplicates: this.countDuplicates(rawPrices)
+                + importReports.reduce((sum, r) => sum + (r.duplicates || 0), 0),
+            dst: {
+                days: dstDays,
+                anomalies: dstDays.filter(d => !d.ok).length + importDST
+            },
+            outliers,
+            monthlyCoverage: this.calculateMonthlyCoverage(grid, prices, pvProfile, aligned, timezone)
+        };
+    },
+
+    /**
+     * One-line summary for the memo and exports
+     */
+    summarize(report) {
+        if (!report) return 'not available';
+        const policy = CONFIG.QUALITY.GAP_FILL_POLICIES[report.policy] || report.policy;
+        const missing = report.missing.prices + report.missing.production;
+        const filled = report.filled.prices + report.filled.production;
+        return `${report.coveragePct}% of ${report.expectedIntervals} intervals usable; ` +
+            `${missing} missing (${filled} filled, policy: ${policy}), ` +
+            `${report.duplicates} duplicates, ${report.dst.anomalies} DST anomalies, ` +
+            `${report.outliers.length} price outliers`;
+    }
+};
@@ -4,30 +4,73 @@
  */
 
 const DataSources = {
+    // Intl formatters per timezone (construction is expensive)
+    _tzFormatters: {},
+
     /**
      * Fetch day-ahead prices from Energy-Charts API
+     * The range is split into calendar-month segments (UTC) stored in IndexedDB,
+     * so overlapping ranges share cache. Closed months never expire; the current
+     * month is refreshed after CONFIG.CACHE.PRICE_TTL.
      * @param {string} bzn - Bidding zone (e.g., 'DE-LU')
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
+     * @param {Function} onProgress - Optional callback (segmentIndex, segmentCount)
      * @returns {Promise<Array>} Array of {timestamp, price} objects
      */
-    async fetchPrices(bzn, startDate, endDate) {
-        const cacheKey = `${CONFIG.CACHE.PREFIX}prices_${bzn}_${startDate.toISOString()}_${endDate.toISOString()}`;
+    async fetchPrices(bzn, startDate, endDate, onProgress = null) {
+        const segments = this.getMonthlySegments(startDate, endDate);
+        const prices = [];
 
-        // Check cache first
-        const cached = this.getFromCache(cacheKey);
-        if (cached) {
-            console.log('Using cached price data');
-            return cached;
+        // Sequential requests keep the load on the public API low
+        for (let i = 0; i < segments.length; i++) {
+            if (onProgress) onProgress(i + 1, segments.length);
+            const segmentPrices = await this.fetchPriceSegment(bzn, segments[i]);
+            for (const p of segmentPrices) prices.push(p);
+        }
+
+        return this.trimSeries(prices, startDate, endDate);
+    },
+
+    /**
+     * Trim a series to a date range and drop duplicates at segment edges
+     * @returns {Array} Sorted series
+     */
+    trimSeries(series, startDate, endDate) {
+        const startUnix = Math.floor(startDate.getTime() / 1000);
+        const endUnix = Math.floor(endDate.getTime() / 1000);
+        const seen = new Set();
+
+        return series
+            .filter(p => {
+                if (p.timestamp < startUnix || p.timestamp > endUnix || seen.has(p.timestamp)) return false;
+                seen.add(p.timestamp);
+                return true;
+            })
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * Fetch one monthly segment, using the IndexedDB store when possible
+     * @param {string} bzn - Bidding zone
+     * @param {Object} segment - {key, start, end} from getMonthlySegments
+     * @returns {Promise<Array>} Array of {timestamp, price} objects
+     */
+    async fetchPriceSegment(bzn, segment) {
+        const key = `${bzn}_${segment.key}`;
+        const cached = await PriceStore.get(key);
+        const now = Date.now();
+
+        if (cached && (cached.complete || now - cached.fetchedAt < CONFIG.CACHE.PRICE_TTL)) {
+            return cached.prices;
         }
 
         try {
-            // Build API URL
-            const startUnix = Math.floor(startDate.getTime() / 1000);
-            const endUnix = Math.floor(endDate.getTime() / 1000);
+            // Build API URL (end is inclusive on the API side)
+            const startUnix = Math.floor(segment.start.getTime() / 1000);
+            const endUnix = Math.floor(segment.end.getTime() / 1000) - 1;
 
             const url = `${CONFIG.API.ENERGY_CHARTS_BASE}/price?bzn=${bzn}&start=${startUnix}&end=${endUnix}`;
-            console.log('Fetching prices from:', url);
 
             const response = await fetch(url);
 
@@ -40,16 +83,69 @@ const DataSources = {
             // Parse the response - Energy-Charts returns unix_seconds and price arrays
             const prices = this.parseEnergyChartsResponse(data);
 
-            // Cache the result
-            this.saveToCache(cacheKey, prices);
+            // A closed month missing its last days may be a publication gap, so it is only kept until the TTL
+            await PriceStore.put({
+                key,
+                bzn,
+                month: segment.key,
+                prices,
+                fetchedAt: now,
+                complete: this.isSegmentComplete(segment, prices, now)
+            });
 
             return prices;
         } catch (error) {
+            // A stale copy of the current month beats no data
+            if (cached) {
+                console.warn(`Refresh of ${key} failed, using stored copy:`, error);
+                return cached.prices;
+            }
             console.error('Error fetching prices:', error);
             throw error;
         }
     },
 
+    /**
+     * Whether a fetched month can be stored for good: the month is over and the series reaches its end
+     * (last interval within CONFIG.CACHE.COMPLETE_TOLERANCE)
+     * @param {Object} segment - {key, start, end} from getMonthlySegments
+     * @param {Array} series - Fetched [{timestamp, ...}]
+     * @param {number} now - Fetch time (ms)
+     * @returns {boolean}
+     */
+    isSegmentComplete(segment, series, now) {
+        if (segment.end.getTime() > now || series.length === 0) return false;
+        const last = series.reduce((max, p) => Math.max(max, p.timestamp), -Infinity);
+        return last >= segment.end.getTime() / 1000 - CONFIG.CACHE.COMPLETE_TOLERANCE;
+    },
+
+    /**
+     * Split a date range into calendar-month segments (UTC)
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Array} Array of {key: 'YYYY-MM', start: Date, end: Date (exclusive)}
+     */
+    getMonthlySegments(startDate, endDate) {
+        const segments = [];
+        let year = startDate.getUTCFullYear();
+        let month = startDate.getUTCMonth();
+
+        while (Date.UTC(year, month, 1) <= endDate.getTime()) {
+            segments.push({
+                key: `${year}-${String(month + 1).padStart(2, '0')}`,
+                start: new Date(Date.UTC(year, month, 1)),
+                end: new Date(Date.UTC(year, month + 1, 1))
+            });
+            month++;
+            if (month > 11) {
+                month = 0;
+                year++;
+            }
+        }
+
+        return segments;
+    },
+
     /**
      * Parse Energy-Charts API response
      * @param {Object} data - API response
@@ -73,128 +169,567 @@ const DataSources = {
         return prices;
     },
 
+    /**
+     * Fetch national solar generation for the market benchmark (Energy-Charts public_power)
+     * Cached per month like prices (see fetchPrices), in CONFIG.CACHE.GENERATION_STORE.
+     * @param {string} bzn - Bidding zone; mapped to its country via CONFIG.BENCHMARK.COUNTRIES
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @returns {Promise<Array>} Array of {timestamp, output} objects (MW)
+     */
+    async fetchMarketSolar(bzn, startDate, endDate) {
+        const country = CONFIG.BENCHMARK.COUNTRIES[bzn];
+        if (!country) {
+            throw new Error(`No solar generation series for ${bzn}`);
+        }
+
+        const generation = [];
+        for (const segment of this.getMonthlySegments(startDate, endDate)) {
+            const segmentGeneration = await this.fetchGenerationSegment(country, segment);
+            for (const g of segmentGeneration) generation.push(g);
+        }
+
+        return this.trimSeries(generation, startDate, endDate);
+    },
+
+    /**
+     * Fetch one monthly segment of national solar generation, using the IndexedDB store when possible
+     * @param {string} country - Energy-Charts country code (e.g., 'de')
+     * @param {Object} segment - {key, start, end} from getMonthlySegments
+     * @returns {Promise<Array>} Array of {timestamp, output} objects
+     */
+    async fetchGenerationSegment(country, segment) {
+        const series = CONFIG.BENCHMARK.PRODUCTION_TYPE;
+        const key = `${country}_${series}_${segment.key}`;
+        const store = CONFIG.CACHE.GENERATION_STORE;
+        const cached = await PriceStore.get(key, store);
+        const now = Date.now();
+
+        if (cached && (cached.complete || now - cached.fetchedAt < CONFIG.CACHE.PRICE_TTL)) {
+            return cached.generation;
+        }
+
+        try {
+            const startUnix = Math.floor(segment.start.getTime() / 1000);
+            const endUnix = Math.floor(segment.end.getTime() / 1000) - 1;
+
+            const url = `${CONFIG.API.ENERGY_CHARTS_BASE}/public_power?country=${country}&start=${startUnix}&end=${endUnix}`;
+
+            const response = await fetch(url);
+
+            if (!response.ok) {
+                throw new Error(`API returned ${response.status}`);
+            }
+
+            const generation = this.parsePublicPowerResponse(await response.json(), series);
+            if (generation.length === 0) {
+                throw new Error(`No ${series} series for ${country}`);
+            }
+
+            await PriceStore.put({
+                key,
+                country,
+                series,
+                month: segment.key,
+                generation,
+                fetchedAt: now,
+                complete: this.isSegmentComplete(segment, generation, now)
+            }, store);
+
+            return generation;
+        } catch (error) {
+            if (cached) {
+                console.warn(`Refresh of ${key} failed, using stored copy:`, error);
+                return cached.generation;
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Parse an Energy-Charts public_power response
+     * @param {Object} data - API response {unix_seconds, production_types: [{name, data}]}
+     * @param {string} name - Production type (e.g., 'Solar')
+     * @returns {Array} Array of {timestamp, output} objects (MW)
+     */
+    parsePublicPowerResponse(data, name) {
+        const type = (data.production_types || []).find(t => t.name === name);
+        const generation = [];
+
+        if (data.unix_seconds && type) {
+            for (let i = 0; i < data.unix_seconds.length; i++) {
+                if (type.data[i] !== null && type.data[i] !== undefined) {
+                    generation.push({
+                        timestamp: data.unix_seconds[i],
+                        output: type.data[i]
+                    });
+                }
+            }
+        }
+
+        return generation;
+    },
+
+    /**
+     * Detect the finest time resolution of a series
+     * @param {Array} series - Array of {timestamp, ...} objects sorted by timestamp
+     * @returns {number} Resolution in minutes (15, 30 or 60)
+     */
+    detectResolution(series) {
+        let minStep = Infinity;
+        for (let i = 1; i < series.length; i++) {
+            const step = series[i].timestamp - series[i - 1].timestamp;
+            if (step > 0 && step < minStep) minStep = step;
+        }
+        const minutes = minStep / 60;
+        const supported = CONFIG.RESOLUTION.SUPPORTED_MINUTES;
+        return supported.find(r => minutes <= r) || supported[supported.length - 1];
+    },
+
+    /**
+     * Resample a price (or average-power) series to a target resolution
+     * Coarser targets average the points in each interval; finer targets hold
+     * the value of the enclosing interval (e.g. an hourly price over 4 quarters).
+     * Mixed series (hourly before the 15-min MTU switch) are handled the same way.
+     * @param {Array} series - Array of {timestamp, <field>} objects
+     * @param {number} targetMinutes - Target resolution in minutes
+     * @param {string} field - Value property ('price' or 'output')
+     * @returns {Array} Resampled {timestamp, <field>} array
+     */
+    resampleSeries(series, targetMinutes, field = 'price') {
+        const step = targetMinutes * 60;
+        const sorted = [...series].sort((a, b) => a.timestamp - b.timestamp);
+        const buckets = new Map();
+
+        sorted.forEach((p, i) => {
+            // Each point is valid for its own interval length: the shorter of the steps to its
+            // neighbours, capped at one hour. Larger gaps stay missing (see DataQuality.fillGaps).
+            const next = sorted[i + 1];
+            const prev = sorted[i - 1];
+            const gaps = [next && next.timestamp - p.timestamp, prev && p.timestamp - prev.timestamp]
+                .filter(g => g > 0);
+            const gap = gaps.length > 0 ? Math.min(...gaps) : step;
+            const end = p.timestamp + Math.max(Math.min(gap, 3600), 1);
+
+            for (let ts = Math.floor(p.timestamp / step) * step; ts < end; ts += step) {
+                if (!buckets.has(ts)) buckets.set(ts, { sum: 0, count: 0 });
+                const bucket = buckets.get(ts);
+                bucket.sum += p[field];
+                bucket.count++;
+            }
+        });
+
+        return Array.from(buckets.entries())
+            .map(([timestamp, b]) => ({
+                timestamp,
+                [field]: Math.round((b.sum / b.count) * 1000) / 1000
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    },
+
+    /**
+     * Convert an imported metered production series into an MW profile
+     * Energy units (MWh/kWh per interval) are divided by the interval length.
+     * @param {Array} series - Imported [{timestamp, value}] already scaled to MW or MWh
+     * @param {Object} options - {isEnergy, capacityMW}
+     * @returns {Object} {profile: [{timestamp, output}], resolutionMinutes, validation}
+     */
+    normalizeProductionSeries(series, options = {}) {
+        const { isEnergy = false, capacityMW = null } = options;
+
+        if (series.length < 2) {
+            throw new Error('Metered series needs at least two data points');
+        }
+
+        const resolutionMinutes = this.detectResolution(series);
+        const durationH = resolutionMinutes / 60;
+        const step = resolutionMinutes * 60;
+
+        let negativeValues = 0;
+        const profile = series.map(p => {
+            let output = isEnergy ? p.value / durationH : p.value;
+            if (output < 0) {
+                // Auxiliary consumption (PV at night, wind in calm spells) is not sold output
+                negativeValues++;
+                output = 0;
+            }
+            return { timestamp: p.timestamp, output: Math.round(output * 1000) / 1000 };
+        });
+
+        // Gaps: missing intervals between consecutive points
+        let missingIntervals = 0;
+        let longestGapH = 0;
+        for (let i = 1; i < profile.length; i++) {
+            const gap = profile[i].timestamp - profile[i - 1].timestamp;
+            if (gap > step) {
+                missingIntervals += Math.round(gap / step) - 1;
+                longestGapH = Math.max(longestGapH, (gap - step) / 3600);
+            }
+        }
+
+        const expected = Math.round((profile[profile.length - 1].timestamp - profile[0].timestamp) / step) + 1;
+        const peakMW = Math.max(...profile.map(p => p.output));
+
+        const warnings = [];
+        if (![15, 60].includes(resolutionMinutes)) {
+            warnings.push(`Unusual resolution of ${resolutionMinutes} minutes (expected 15-min or hourly)`);
+        }
+        if (missingIntervals > 0) {
+            warnings.push(`${missingIntervals} missing intervals (longest gap ${longestGapH.toFixed(1)} h)`);
+        }
+        if (negativeValues > 0) {
+            warnings.push(`${negativeValues} negative values set to 0`);
+        }
+        if (capacityMW && peakMW > capacityMW * 1.1) {
+            warnings.push(`Peak of ${peakMW.toFixed(1)} MW exceeds installed capacity (${capacityMW} MW) - check the unit`);
+        }
+        if (capacityMW && peakMW < capacityMW * 0.1) {
+            warnings.push(`Peak of ${peakMW.toFixed(2)} MW is below 10% of installed capacity - check the unit`);
+        }
+
+        return {
+            profile,
+            resolutionMinutes,
+            validation: {
+                points: profile.length,
+                coverage: Math.round((profile.length / expected) * 1000) / 10,
+                missingIntervals,
+                peakMW: Math.round(peakMW * 100) / 100,
+                warnings
+            }
+        };
+    },
+
     /**
      * Generate synthetic PV profile
+     * Clear-sky output from solar geometry and plane-of-array irradiance (see SolarModel),
+     * scaled by a stochastic daily clear-sky index for weather.
      * @param {Date} startDate - Start date
      * @param {Date} endDate - End date
-     * @param {number} capacityMW - Installed capacity in MW
+     * @param {number} capacityMW - Installed (AC) capacity in MW
      * @param {string} market - Market code for location-specific adjustments
-     * @returns {Array} Array of {timestamp, output} objects (output in MW)
+     * @param {number} resolutionMinutes - Time step in minutes (15, 30 or 60)
+     * @param {Object} site - Optional {lat, lon, tilt, azimuth, mounting, loss, dcAcRatio}; defaults from market/CONFIG.PV
+     * @param {number} seed - Random seed for the weather process
+     * @returns {Array} Array of {timestamp, output} objects (output in MW, average over the interval)
      */
-    generateSyntheticPVProfile(startDate, endDate, capacityMW, market = 'DE-LU') {
+    generateSyntheticPVProfile(startDate, endDate, capacityMW, market = 'DE-LU', resolutionMinutes = 60, site = null, seed = CONFIG.RANDOM.DEFAULT_SEED) {
+        const random = SeededRandom.fork(seed, 'pv-weather');
         const profile = [];
-        const config = CONFIG.PV;
-        const marketConfig = CONFIG.MARKETS[market];
+        const marketConfig = CONFIG.MARKETS[market] || CONFIG.MARKETS['DE-LU'];
+        const array = this.resolveSite(marketConfig, site);
+
+        // Generate data at the requested resolution
+        const stepMs = resolutionMinutes * 60000;
+        let current = new Date(Math.floor(startDate.getTime() / stepMs) * stepMs);
+        const toLocal = this.createLocalTimeResolver(marketConfig.timezone);
 
-        // Generate hourly data
-        let current = new Date(startDate);
-        current.setMinutes(0, 0, 0);
+        let dayKey = null;
+        let clearSkyIndex = marketConfig.clearSkyIndex;
 
         while (current <= endDate) {
-            const month = current.getMonth();
-            const hour = current.getHours();
-            const dayOfYear = this.getDayOfYear(current);
+            // Evaluate the sun at the interval midpoint
+            const midpoint = new Date(current.getTime() + stepMs / 2);
+            const clearSky = SolarModel.getClearSkyOutput(midpoint, array);
+
+            // Weather: daily clear-sky index with day-to-day persistence (market-local days)
+            const key = toLocal(current.getTime() / 1000).dayKey;
+            if (key !== dayKey) {
+                clearSkyIndex = this.nextClearSkyIndex(clearSkyIndex, SolarModel.getDayOfYearUTC(midpoint), marketConfig, random);
+                dayKey = key;
+            }
 
-            // Calculate solar output
             let output = 0;
+            if (clearSky.output > 0) {
+                // Intraday cloud variability around the daily index
+                const intraday = 1 + (random() - 0.5) * CONFIG.PV.WEATHER.INTRADAY_NOISE;
+                const index = Math.max(0, Math.min(1, clearSkyIndex * intraday));
 
-            // Basic daylight check (simplified)
-            const sunriseHour = this.getSunriseHour(month);
-            const sunsetHour = this.getSunsetHour(month);
+                // Clouds act on the DC side, so clipping only bites on clear intervals
+                const dcPerMW = (clearSky.output + clearSky.clipped) * index;
+                output = capacityMW * Math.min(1, dcPerMW);
+            }
 
-            if (hour >= sunriseHour && hour <= sunsetHour) {
-                // Solar bell curve within daylight hours
-                const midday = (sunriseHour + sunsetHour) / 2;
-                const halfDay = (sunsetHour - sunriseHour) / 2;
-                const hourFromMidDay = Math.abs(hour - midday);
+            profile.push({
+                timestamp: Math.floor(current.getTime() / 1000),
+                output: Math.round(output * 1000) / 1000 // 3 decimal places
+            });
 
-                // Gaussian-like curve
-                const dayFactor = Math.exp(-Math.pow(hourFromMidDay / (halfDay * 0.6), 2));
+            // Next interval
+            current = new Date(current.getTime() + stepMs);
+        }
+
+        return profile;
+    },
+
+    /**
+     * Generate a synthetic production profile for a technology
+     * @param {string} technology - Key of CONFIG.TECHNOLOGIES
+     * @param {Object} site - PV site/array or wind turbine parameters (see resolveSite / resolveWindSite)
+     * @returns {Array} Array of {timestamp, output} objects (output in MW)
+     */
+    generateSyntheticProfile(technology, startDate, endDate, capacityMW, market, resolutionMinutes = 60, site = null, seed = CONFIG.RANDOM.DEFAULT_SEED) {
+        if (CONFIG.TECHNOLOGIES[technology]?.site) {
+            return this.generateSyntheticWindProfile(startDate, endDate, capacityMW, market, resolutionMinutes, site, seed);
+        }
+        return this.generateSyntheticPVProfile(startDate, endDate, capacityMW, market, resolutionMinutes, site, seed);
+    },
 
-                // Seasonal factor (higher in summer)
-                const seasonalFactor = this.getSeasonalFactor(dayOfYear);
+    /**
+     * Generate synthetic wind profile
+     * Hub-height wind speed from a persistent Weibull weather state around a seasonal and
+     * diurnal mean, converted through the turbine power curve.
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @param {number} capacityMW - Installed capacity in MW
+     * @param {string} market - Market code (wind resource and timezone)
+     * @param {number} resolutionMinutes - Time step in minutes (15, 30 or 60)
+     * @param {Object} turbine - Optional {site: 'onshore'|'offshore', hubHeight, turbine, loss}
+     * @param {number} seed - Random seed for the weather process
+     * @returns {Array} Array of {timestamp, output} objects (output in MW, average over the interval)
+     */
+    generateSyntheticWindProfile(startDate, endDate, capacityMW, market = 'DE-LU', resolutionMinutes = 60, turbine = null, seed = CONFIG.RANDOM.DEFAULT_SEED) {
+        const random = SeededRandom.fork(seed, 'wind-weather');
+        const marketConfig = CONFIG.MARKETS[market] || CONFIG.MARKETS['DE-LU'];
+        const config = this.resolveWindSite(marketConfig, turbine);
+        const params = CONFIG.WIND[config.site];
+        const specificPower = CONFIG.WIND.TURBINES[config.turbine].specificPower;
 
-                // Base capacity factor with some randomness (weather simulation)
-                const weatherFactor = 0.7 + Math.random() * 0.3;
+        const meanHubSpeed = WindModel.toHubHeight(config.meanSpeed, config.hubHeight, params.SHEAR_EXPONENT);
+        const rho = Math.pow(CONFIG.WIND.HOURLY_PERSISTENCE, resolutionMinutes / 60);
+        const innovation = Math.sqrt(1 - rho * rho);
 
-                // Calculate output
-                output = capacityMW * dayFactor * seasonalFactor * weatherFactor;
+        const profile = [];
+        const stepMs = resolutionMinutes * 60000;
+        const toLocal = this.createLocalTimeResolver(marketConfig.timezone);
+        let current = new Date(Math.floor(startDate.getTime() / stepMs) * stepMs);
+        let state = WindModel.normal(random);
 
-                // Ensure non-negative
-                output = Math.max(0, output);
-            }
+        while (current <= endDate) {
+            const local = toLocal(current.getTime() / 1000);
+            const shape = WindModel.getMeanShape(SolarModel.getDayOfYearUTC(current), local.hour + local.minute / 60, params);
+            const speed = meanHubSpeed * shape * WindModel.weibullFactor(state, params.WEIBULL_SHAPE);
 
+            const output = capacityMW * WindModel.getPowerCurveOutput(speed, specificPower) * (1 - config.loss / 100);
             profile.push({
                 timestamp: Math.floor(current.getTime() / 1000),
-                output: Math.round(output * 1000) / 1000 // 3 decimal places
+                output: Math.round(output * 1000) / 1000
             });
 
-            // Next hour
-            current = new Date(current.getTime() + 3600000);
+            state = rho * state + innovation * WindModel.normal(random);
+            current = new Date(current.getTime() + stepMs);
         }
 
         return profile;
     },
 
     /**
-     * Get sunrise hour based on month (simplified for Germany)
+     * Fill wind turbine parameters from the market resource and CONFIG.WIND defaults
      */
-    getSunriseHour(month) {
-        const sunriseHours = [8, 7, 6, 6, 5, 5, 5, 6, 6, 7, 7, 8];
-        return sunriseHours[month];
+    resolveWindSite(marketConfig, turbine = null) {
+        const t = turbine || {};
+        const site = t.site === 'offshore' ? 'offshore' : 'onshore';
+        const resource = marketConfig.wind?.[site];
+        if (!resource) {
+            throw new Error(`No ${site} wind resource defined for ${marketConfig.name}`);
+        }
+
+        const defaults = CONFIG.WIND[site];
+        const pick = (value, fallback) => (value === undefined || value === null || isNaN(value)) ? fallback : value;
+        return {
+            site,
+            meanSpeed: resource.meanSpeed,
+            capacityFactor: resource.capacityFactor,
+            hubHeight: pick(t.hubHeight, defaults.DEFAULT_HUB_HEIGHT),
+            turbine: CONFIG.WIND.TURBINES[t.turbine] ? t.turbine : defaults.DEFAULT_TURBINE,
+            loss: pick(t.loss, defaults.DEFAULT_LOSS)
+        };
     },
 
     /**
-     * Get sunset hour based on month (simplified for Germany)
+     * Fill site/array parameters from the market reference location and CONFIG.PV defaults
      */
-    getSunsetHour(month) {
-        const sunsetHours = [17, 18, 19, 20, 21, 21, 21, 20, 19, 18, 17, 16];
-        return sunsetHours[month];
+    resolveSite(marketConfig, site = null) {
+        const s = site || {};
+        const pick = (value, fallback) => (value === undefined || value === null || isNaN(value)) ? fallback : value;
+        return {
+            lat: pick(s.lat, marketConfig.lat),
+            lon: pick(s.lon, marketConfig.lon),
+            tilt: pick(s.tilt, CONFIG.PV.DEFAULT_TILT),
+            azimuth: pick(s.azimuth, CONFIG.PV.DEFAULT_AZIMUTH),
+            mounting: s.mounting || CONFIG.PV.DEFAULT_MOUNTING,
+            loss: pick(s.loss, CONFIG.PV.DEFAULT_LOSS),
+            dcAcRatio: pick(s.dcAcRatio, CONFIG.PV.DEFAULT_DC_AC_RATIO)
+        };
+    },
+
+    /**
+     * Next daily clear-sky index (AR(1) around a seasonal mean)
+     * @param {number} previous - Previous day's index
+     * @param {number} dayOfYear - Day of year
+     * @param {Object} marketConfig - Market config with clearSkyIndex (annual mean)
+     * @param {Function} random - Seeded generator (see SeededRandom)
+     * @returns {number} Index in [MIN_INDEX, 1]
+     */
+    nextClearSkyIndex(previous, dayOfYear, marketConfig, random) {
+        const weather = CONFIG.PV.WEATHER;
+        // Summer skies are clearer than winter skies across the covered zones
+        const seasonal = Math.cos(2 * Math.PI * (dayOfYear - 172) / 365);
+        const mean = marketConfig.clearSkyIndex * (1 + weather.SEASONAL_SWING * seasonal);
+
+        const shock = (random() - 0.5) * 2 * weather.DAILY_SPREAD;
+        const next = mean + weather.PERSISTENCE * (previous - mean) + shock;
+        return Math.max(weather.MIN_INDEX, Math.min(1, next));
     },
 
     /**
-     * Get seasonal factor (0-1) based on day of year
+     * Capacity factor of a profile (energy / (capacity x hours))
+     * @param {Array} profile - Array of {timestamp, output}
+     * @param {number} capacityMW - Installed capacity in MW
+     * @param {number} resolutionMinutes - Profile time step
+     * @returns {number} Capacity factor (0-1)
      */
-    getSeasonalFactor(dayOfYear) {
-        // Peak around summer solstice (day ~172)
-        const offset = Math.abs(dayOfYear - 172);
-        const factor = Math.cos(offset * Math.PI / 182.5) * 0.35 + 0.65;
-        return Math.max(0.3, Math.min(1, factor));
+    getCapacityFactor(profile, capacityMW, resolutionMinutes = 60) {
+        if (!profile.length || !capacityMW) return 0;
+        const energy = profile.reduce((sum, p) => sum + p.output, 0) * resolutionMinutes / 60;
+        return energy / (capacityMW * profile.length * resolutionMinutes / 60);
+    },
+
+    /**
+     * Annual capacity factor of the synthetic model for a market/site
+     * Runs a full reference year so short analysis periods are not seasonally biased.
+     * @param {string} technology - Key of CONFIG.TECHNOLOGIES
+     * @returns {Object} {model, reference} capacity factors
+     */
+    estimateSyntheticCapacityFactor(market = 'DE-LU', site = null, seed = CONFIG.RANDOM.DEFAULT_SEED, technology = 'solar') {
+        const marketConfig = CONFIG.MARKETS[market] || CONFIG.MARKETS['DE-LU'];
+        const year = CONFIG.PV.REFERENCE_YEAR;
+        const profile = this.generateSyntheticProfile(
+            technology, new Date(Date.UTC(year, 0, 1)), new Date(Date.UTC(year, 11, 31, 23)), 1, market, 60, site, seed
+        );
+
+        const windSite = CONFIG.TECHNOLOGIES[technology]?.site;
+        return {
+            model: this.getCapacityFactor(profile, 1),
+            reference: windSite
+                ? this.resolveWindSite(marketConfig, site).capacityFactor
+                : marketConfig.pvCapacityFactor || CONFIG.PV.TYPICAL_CAPACITY_FACTOR
+        };
+    },
+
+    /**
+     * Get UTC offset in hours of an IANA timezone at a given instant (DST-aware)
+     */
+    getUtcOffsetHours(date, timezone) {
+        if (!this._tzFormatters[timezone]) {
+            this._tzFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+                timeZone: timezone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            });
+        }
+        const parts = this._tzFormatters[timezone].formatToParts(date);
+        const get = type => parseInt(parts.find(p => p.type === type).value);
+        const asUTC = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+        return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000) / 60;
+    },
+
+    /**
+     * Get wall-clock calendar fields of an instant in an IANA timezone
+     * @param {Date} date - Instant
+     * @param {string} timezone - IANA timezone (e.g., 'Europe/Berlin')
+     * @param {number} offsetHours - Optional known UTC offset (skips the lookup)
+     * @returns {Object} {year, month (0-11), day, hour, minute, weekday (0 = Sunday), dayKey, monthKey, offsetHours}
+     */
+    getLocalTime(date, timezone, offsetHours = null) {
+        if (offsetHours === null) {
+            offsetHours = timezone === 'UTC' ? 0 : this.getUtcOffsetHours(date, timezone);
+        }
+        const wall = new Date(date.getTime() + offsetHours * 3600000);
+        const year = wall.getUTCFullYear();
+        const month = wall.getUTCMonth();
+        const day = wall.getUTCDate();
+        const monthKey = `${year}-${String(month + 1).padStart(2, '0')}`;
+
+        return {
+            year,
+            month,
+            day,
+            hour: wall.getUTCHours(),
+            minute: wall.getUTCMinutes(),
+            weekday: wall.getUTCDay(),
+            dayKey: `${monthKey}-${String(day).padStart(2, '0')}`,
+            monthKey,
+            offsetHours
+        };
     },
 
     /**
-     * Get day of year (1-365/366)
+     * Local-time resolver for a series of unix timestamps
+     * Offsets only change on the hour, so one lookup per UTC hour is enough.
+     * @param {string} timezone - IANA timezone
+     * @returns {Function} (unixSeconds) => getLocalTime result
      */
-    getDayOfYear(date) {
-        const start = new Date(date.getFullYear(), 0, 0);
-        const diff = date - start;
-        const oneDay = 1000 * 60 * 60 * 24;
-        return Math.floor(diff / oneDay);
+    createLocalTimeResolver(timezone) {
+        let cachedHour = null;
+        let cachedOffset = 0;
+
+        return (ts) => {
+            const hour = Math.floor(ts / 3600);
+            if (hour !== cachedHour) {
+                cachedOffset = timezone === 'UTC' ? 0 : this.getUtcOffsetHours(new Date(hour * 3600000), timezone);
+                cachedHour = hour;
+            }
+            return this.getLocalTime(new Date(ts * 1000), timezone, cachedOffset);
+        };
     },
 
     /**
      * Fetch PVGIS data (beta feature)
-     * @param {number} lat - Latitude
-     * @param {number} lon - Longitude
-     * @param {number} peakPower - Peak power in kWp
+     * Requests a 1 kWp system so the series is a per-unit profile (kW per kWp).
+     * Goes through CONFIG.API.PVGIS_PROXY when set, since PVGIS has no CORS support.
+     * @param {Object} site - {lat, lon, tilt, azimuth, mounting, loss}
      * @param {number} startYear - Start year
      * @param {number} endYear - End year
-     * @returns {Promise<Array>} Hourly profile data
+     * @returns {Promise<Array>} Hourly [{timestamp, cf}] profile
      */
-    async fetchPVGIS(lat, lon, peakPower, startYear, endYear) {
-        try {
-            const url = new URL(`${CONFIG.API.PVGIS_BASE}/seriescalc`);
-            url.searchParams.set('lat', lat);
-            url.searchParams.set('lon', lon);
-            url.searchParams.set('peakpower', peakPower);
-            url.searchParams.set('loss', 14); // 14% system losses
-            url.searchParams.set('outputformat', 'json');
-            url.searchParams.set('startyear', startYear);
-            url.searchParams.set('endyear', endYear);
+    async fetchPVGIS(site, startYear, endYear) {
+        const params = {
+            lat: site.lat,
+            lon: site.lon,
+            peakpower: 1,
+            loss: site.loss,
+            angle: site.tilt,
+            aspect: site.azimuth, // PVGIS convention: 0 = south, 90 = west, -90 = east
+            mountingplace: site.mounting === 'building' ? 'building' : 'free',
+            trackingtype: site.mounting === 'tracker' ? 1 : 0, // 1 = single horizontal N-S axis
+            pvcalculation: 1,
+            startyear: startYear,
+            endyear: endYear
+        };
 
-            console.log('Fetching PVGIS data from:', url.toString());
+        const cacheKey = `${CONFIG.CACHE.PREFIX}pvgis_${Object.values(params).join('_')}`;
+        const cached = this.getFromCache(cacheKey);
+        if (cached) {
+            return cached;
+        }
 
-            const response = await fetch(url.toString());
+        try {
+            let response;
+
+            if (CONFIG.API.PVGIS_PROXY) {
+                response = await fetch(CONFIG.API.PVGIS_PROXY, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ params })
+                });
+            } else {
+                const url = new URL(`${CONFIG.API.PVGIS_BASE}/seriescalc`);
+                Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+                url.searchParams.set('outputformat', 'json');
+                response = await fetch(url.toString());
+            }
 
             if (!response.ok) {
                 throw new Error(`PVGIS API returned ${response.status}`);
@@ -203,7 +738,13 @@ const DataSources = {
             const data = await response.json();
 
             // Parse PVGIS response
-            return this.parsePVGISResponse(data, peakPower);
+            const profile = this.parsePVGISResponse(data);
+            if (profile.length === 0) {
+                throw new Error('PVGIS returned no hourly data');
+            }
+
+            this.saveToCache(cacheKey, profile, CONFIG.CACHE.PVGIS_TTL);
+            return profile;
         } catch (error) {
             console.error('PVGIS fetch failed:', error);
             throw error;
@@ -212,24 +753,24 @@ const DataSources = {
 
     /**
      * Parse PVGIS API response
+     * @param {Object} data - PVGIS seriescalc JSON for a 1 kWp system
+     * @returns {Array} [{timestamp, cf}] with cf in kW per kWp (0-1)
      */
-    parsePVGISResponse(data, peakPowerKW) {
+    parsePVGISResponse(data) {
         const profile = [];
 
         if (data.outputs && data.outputs.hourly) {
             for (const item of data.outputs.hourly) {
-                // PVGIS provides time as YYYYMMDDHHMM string
-                const timeStr = item.time.toString();
+                // PVGIS provides UTC time as 'YYYYMMDD:HHMM' (minutes mark the irradiance sample)
+                const timeStr = item.time.toString().replace(/\D/g, '');
                 const year = parseInt(timeStr.substring(0, 4));
                 const month = parseInt(timeStr.substring(4, 6)) - 1;
                 const day = parseInt(timeStr.substring(6, 8));
                 const hour = parseInt(timeStr.substring(8, 10));
 
-                const date = new Date(year, month, day, hour);
-
                 profile.push({
-                    timestamp: Math.floor(date.getTime() / 1000),
-                    output: (item.P || 0) / 1000 // Convert W to kW, then to ratio of peak
+                    timestamp: Date.UTC(year, month, day, hour) / 1000,
+                    cf: Math.round(Math.max(0, (item.P || 0) / 1000) * 10000) / 10000 // W per kWp -> kW per kWp
                 });
             }
         }
@@ -237,19 +778,70 @@ const DataSources = {
         return profile;
     },
 
+    /**
+     * Map a multi-year PVGIS profile onto the analysis period
+     * Each analysis year uses one PVGIS year (cycling through the available
+     * years), matched on UTC month/day/hour; 29 Feb falls back to 28 Feb.
+     * @param {Array} pvgisProfile - [{timestamp, cf}] from parsePVGISResponse
+     * @param {Date} startDate - Start date
+     * @param {Date} endDate - End date
+     * @param {number} capacityMW - Installed (AC) capacity in MW
+     * @param {number} dcAcRatio - DC array size relative to AC; output clips at capacityMW
+     * @returns {Array} Hourly [{timestamp, output}] (output in MW)
+     */
+    mapPVGISToPeriod(pvgisProfile, startDate, endDate, capacityMW, dcAcRatio = 1) {
+        const lookup = new Map();
+        const years = new Set();
+
+        pvgisProfile.forEach(p => {
+            const d = new Date(p.timestamp * 1000);
+            years.add(d.getUTCFullYear());
+            lookup.set(`${d.getUTCFullYear()}-${d.getUTCMonth()}-${d.getUTCDate()}-${d.getUTCHours()}`, p.cf);
+        });
+
+        const available = Array.from(years).sort((a, b) => a - b);
+        const mapYear = year => available.includes(year)
+            ? year
+            : available[(((year - available[0]) % available.length) + available.length) % available.length];
+
+        const profile = [];
+        let current = Math.floor(startDate.getTime() / 3600000) * 3600;
+        const end = endDate.getTime() / 1000;
+
+        while (current <= end) {
+            const d = new Date(current * 1000);
+            const sourceYear = mapYear(d.getUTCFullYear());
+            let day = d.getUTCDate();
+            if (d.getUTCMonth() === 1 && day === 29 && !lookup.has(`${sourceYear}-1-29-0`)) day = 28;
+
+            const cf = lookup.get(`${sourceYear}-${d.getUTCMonth()}-${day}-${d.getUTCHours()}`) || 0;
+            profile.push({
+                timestamp: current,
+                output: Math.round(Math.min(cf * dcAcRatio, 1) * capacityMW * 1000) / 1000
+            });
+
+            current += 3600;
+        }
+
+        return profile;
+    },
+
     /**
      * Get sample/fallback data
      * @param {number} capacityMW - Capacity in MW
-     * @returns {Object} Sample data with prices and PV profile
+     * @param {number} seed - Random seed for sample prices and PV weather
+     * @returns {Object} Sample data with prices, their period (CONFIG.SAMPLE_DATA) and PV profile
      */
-    getSampleData(capacityMW) {
-        const endDate = new Date();
-        const startDate = new Date();
-        startDate.setFullYear(startDate.getFullYear() - 1);
+    getSampleData(capacityMW, seed = CONFIG.RANDOM.DEFAULT_SEED) {
+        const prices = seed === CONFIG.RANDOM.DEFAULT_SEED ? SAMPLE_DATA.prices : generateSamplePrices(seed);
+        const startDate = new Date(prices[0].timestamp * 1000);
+        const endDate = new Date(prices[prices.length - 1].timestamp * 1000);
 
         return {
-            prices: SAMPLE_DATA.prices,
-            pvProfile: this.generateSyntheticPVProfile(startDate, endDate, capacityMW),
+            prices,
+            startDate,
+            endDate,
+            pvProfile: this.generateSyntheticPVProfile(startDate, endDate, capacityMW, 'DE-LU', 60, null, seed),
             meta: {
                 ...SAMPLE_DATA.meta,
                 dataSource: 'demo',
@@ -258,6 +850,29 @@ const DataSources = {
         };
     },
 
+    /**
+     * Offline market solar benchmark from the stored fixture (SAMPLE_DATA.marketSolar)
+     * Modelled typical values by month and UTC hour (not measured generation), laid over the requested
+     * range. Only Germany is covered; other zones skip the benchmark offline.
+     * @param {string} bzn - Bidding zone
+     * @returns {Array|null} Array of {timestamp, output} objects (MW), or null if no fixture covers the zone
+     */
+    getMarketSolarFixture(bzn, startDate, endDate) {
+        const fixture = SAMPLE_DATA.marketSolar;
+        if (CONFIG.BENCHMARK.COUNTRIES[bzn] !== fixture.country) return null;
+
+        const generation = [];
+        const stepMs = 3600000;
+        for (let ms = Math.floor(startDate.getTime() / stepMs) * stepMs; ms <= endDate.getTime(); ms += stepMs) {
+            const date = new Date(ms);
+            generation.push({
+                timestamp: ms / 1000,
+                output: fixture.profile[date.getUTCMonth()][date.getUTCHours()]
+            });
+        }
+        return generation;
+    },
+
     /**
      * Cache utilities
      */
@@ -278,11 +893,11 @@ const DataSources = {
         }
     },
 
-    saveToCache(key, data) {
+    saveToCache(key, data, ttl = CONFIG.CACHE.PRICE_TTL) {
         try {
             const item = {
                 data,
-                expiry: Date.now() + CONFIG.CACHE.PRICE_TTL
+                expiry: Date.now() + ttl
             };
             localStorage.setItem(key, JSON.stringify(item));
         } catch (e) {
@@ -297,15 +912,48 @@ const DataSources = {
         } catch (e) {
             console.warn('Cache clear failed:', e);
         }
+        return PriceStore.clear();
+    },
+
+    /**
+     * Sum the production profiles of hybrid components behind one grid connection
+     * Intervals missing from any component are left out (see DataQuality.fillGaps).
+     * @param {Array[]} profiles - Component profiles [{timestamp, output}] on the same resolution
+     * @param {number|null} gridConnectionMW - Export limit; null for no limit
+     * @param {number} resolutionMinutes - Interval length
+     * @returns {Object} {profile, clippedMWh}
+     */
+    combineProfiles(profiles, gridConnectionMW = null, resolutionMinutes = 60) {
+        const maps = profiles.map(profile => new Map(profile.map(p => [p.timestamp, p.output])));
+        const durationH = resolutionMinutes / 60;
+        let clippedMWh = 0;
+
+        const profile = profiles[0]
+            .filter(p => maps.every(m => m.has(p.timestamp)))
+            .map(p => {
+                const total = maps.reduce((sum, m) => sum + m.get(p.timestamp), 0);
+                const output = gridConnectionMW ? Math.min(total, gridConnectionMW) : total;
+                clippedMWh += (total - output) * durationH;
+                return { timestamp: p.timestamp, output: Math.round(output * 1000) / 1000 };
+            });
+
+        return { profile, clippedMWh: Math.round(clippedMWh) };
     },
 
     /**
      * Align price and PV data by timestamp
+     * Both series must share the same resolution (see resampleSeries).
      * @param {Array} prices - Price data array
      * @param {Array} pvProfile - PV profile array
-     * @returns {Array} Aligned data with both price and output
+     * @param {number} resolutionMinutes - Interval length of both series
+     * @param {string} timezone - Market timezone for calendar bucketing (see getLocalTime)
+     * @returns {Array} Aligned data with price, output (MW), durationH (interval length in hours)
+     *   and local (market wall-clock fields)
      */
-    alignData(prices, pvProfile) {
+    alignData(prices, pvProfile, resolutionMinutes = 60, timezone = 'UTC') {
+        const durationH = resolutionMinutes / 60;
+        const toLocal = this.createLocalTimeResolver(timezone);
+
         // Create timestamp lookup for PV data
         const pvMap = new Map();
         pvProfile.forEach(p => pvMap.set(p.timestamp, p.output));
@@ -332,7 +980,9 @@ const DataSources = {
                     timestamp: ts,
                     price,
                     output,
-                    date: new Date(ts * 1000)
+                    durationH,
+                    date: new Date(ts * 1000),
+                    local: toLocal(ts)
                 });
             }
         }
@@ -341,5 +991,50 @@ const DataSources = {
         aligned.sort((a, b) => a.timestamp - b.timestamp);
 
         return aligned;
+    },
+
+    /**
+     * Look up a block price series (e.g., reserve capacity prices) for every aligned interval
+     * Each point holds until the next one, at most maxHoldHours.
+     * @param {Array} series - Imported [{timestamp, value}]
+     * @param {Array} aligned - From alignData
+     * @returns {Object} {values: value or null per aligned row, matched}
+     */
+    holdSeries(series, aligned, maxHoldHours = CONFIG.BATTERY.ANCILLARY.MAX_HOLD_HOURS) {
+        const sorted = [...series].sort((a, b) => a.timestamp - b.timestamp);
+        const values = [];
+        let matched = 0;
+        let j = 0;
+
+        aligned.forEach(d => {
+            while (j + 1 < sorted.length && sorted[j + 1].timestamp <= d.timestamp) j++;
+            const point = sorted[j];
+            const next = sorted[j + 1];
+            const holdEnd = point ? Math.min(point.timestamp + maxHoldHours * 3600, next ? next.timestamp : Infinity) : -Infinity;
+            const valid = point && point.timestamp <= d.timestamp && d.timestamp < holdEnd;
+            values.push(valid ? point.value : null);
+            if (valid) matched++;
+        });
+
+        return { values, matched };
+    },
+
+    /**
+     * Add national solar generation to aligned data (marketSolar, MW) for the market benchmark
+     * Intervals without generation data keep no value and are left out of the benchmark.
+     * @param {Array} aligned - From alignData
+     * @param {Array} generation - Array of {timestamp, output} on the same resolution
+     * @returns {number} Number of intervals with a value
+     */
+    attachMarketSolar(aligned, generation) {
+        const generationMap = new Map(generation.map(g => [g.timestamp, g.output]));
+        let matched = 0;
+        aligned.forEach(d => {
+            const output = generationMap.get(d.timestamp);
+            if (output === undefined) return;
+            d.marketSolar = output;
+            matched++;
+        });
+        return matched;
     }
 };
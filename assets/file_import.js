@@ -0,0 +1,342 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - File Import
+ * Parsing of user-supplied CSV/JSON time series (prices, production)
+ */
+
+const FileImport = {
+    /**
+     * Read a File object as text
+     * @param {File} file - File from an <input type="file">
+     * @returns {Promise<string>} File content
+     */
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+            reader.readAsText(file);
+        });
+    },
+
+    /**
+     * Parse CSV or JSON text into a table
+     * @param {string} text - File content
+     * @param {string} fileName - Used to pick the parser by extension
+     * @returns {Object} {columns: string[], rows: Object[]}
+     */
+    parseTable(text, fileName = '') {
+        const trimmed = text.trim();
+        if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            return this.parseJSON(trimmed);
+        }
+        return this.parseCSV(trimmed);
+    },
+
+    /**
+     * Parse delimited text (comma, semicolon or tab; quoted fields supported)
+     */
+    parseCSV(text) {
+        const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('File has no data rows');
+        }
+
+        const delimiter = this.detectDelimiter(lines[0]);
+        const columns = this.splitCSVLine(lines[0], delimiter).map((c, i) => c.trim() || `Column ${i + 1}`);
+
+        const rows = lines.slice(1).map(line => {
+            const values = this.splitCSVLine(line, delimiter);
+            const row = {};
+            columns.forEach((col, i) => {
+                row[col] = values[i] !== undefined ? values[i].trim() : '';
+            });
+            return row;
+        });
+
+        return { columns, rows, delimiter };
+    },
+
+    /**
+     * Pick the delimiter that splits the header into the most fields
+     */
+    detectDelimiter(headerLine) {
+        const candidates = [',', ';', '\t'];
+        return candidates
+            .map(d => ({ d, n: this.splitCSVLine(headerLine, d).length }))
+            .sort((a, b) => b.n - a.n)[0].d;
+    },
+
+    /**
+     * Split one CSV line, honouring double-quoted fields
+     */
+    splitCSVLine(line, delimiter) {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"') {
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (ch === delimiter && !inQuotes) {
+                values.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        values.push(current);
+
+        return values;
+    },
+
+    /**
+     * Parse JSON: array of objects, array of [time, value] pairs,
+     * or Energy-Charts style {unix_seconds: [], <series>: []}
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Invalid JSON file');
+        }
+
+        if (!Array.isArray(data) && data && Array.isArray(data.unix_seconds)) {
+            const columns = Object.keys(data).filter(k => Array.isArray(data[k]) && data[k].length === data.unix_seconds.length);
+            const rows = data.unix_seconds.map((_, i) => {
+                const row = {};
+                columns.forEach(col => { row[col] = data[col][i]; });
+                return row;
+            });
+            return { columns, rows };
+        }
+
+        if (!Array.isArray(data) || data.length === 0) {
+            throw new Error('JSON must be a non-empty array or an object with unix_seconds');
+        }
+
+        if (Array.isArray(data[0])) {
+            const columns = data[0].map((_, i) => String(i));
+            const rows = data.map(arr => {
+                const row = {};
+                columns.forEach((col, i) => { row[col] = arr[i]; });
+                return row;
+            });
+            return { columns, rows };
+        }
+
+        const columns = Object.keys(data[0]);
+        return { columns, rows: data };
+    },
+
+    /**
+     * Guess the time and value columns from header names
+     * @param {string[]} columns - Column names
+     * @param {RegExp} valuePattern - Pattern for the value column
+     * @returns {Object} {timeColumn, valueColumn}
+     */
+    guessColumns(columns, valuePattern) {
+        const timePattern = /time|date|datum|zeit|delivery|start|unix|timestamp/i;
+        const timeColumn = columns.find(c => timePattern.test(c)) || columns[0];
+        const valueColumn = columns.find(c => c !== timeColumn && valuePattern.test(c))
+            || columns.find(c => c !== timeColumn)
+            || columns[0];
+        return { timeColumn, valueColumn };
+    },
+
+    /**
+     * Parse a number, accepting decimal commas (e.g. "-12,5") and thousands separators
+     * @param {*} value - Cell value
+     * @param {string} [decimal] - ',' or '.' for the whole file (see detectDecimalSeparator); guessed per value if omitted
+     */
+    parseNumber(value, decimal = null) {
+        if (typeof value === 'number') return value;
+        if (value === null || value === undefined) return NaN;
+        let str = String(value).trim().replace(/\s/g, '');
+        if (str === '') return NaN;
+        // An ambiguous single separator ("1,234") falls back to the separator it is
+        const separator = decimal || this.guessDecimalSeparator(str) || (str.includes(',') ? ',' : '.');
+        str = separator === ','
+            ? str.replace(/\./g, '').replace(',', '.')
+            : str.replace(/,/g, '');
+        return parseFloat(str);
+    },
+
+    /**
+     * Decimal separator one value gives away, or null if it could be either
+     * Both separators: the last one is decimal; a repeated separator groups thousands; a single
+     * separator followed by exactly three digits ("1,234", "1.234") is ambiguous.
+     * @returns {string|null} ',' or '.'
+     */
+    guessDecimalSeparator(str) {
+        const commas = (str.match(/,/g) || []).length;
+        const dots = (str.match(/\./g) || []).length;
+        if (commas > 0 && dots > 0) return str.lastIndexOf(',') > str.lastIndexOf('.') ? ',' : '.';
+        if (commas > 1) return '.';
+        if (dots > 1) return ',';
+        if (commas === 0 && dots === 0) return null;
+        if (/^[+-]?\d{1,3}[.,]\d{3}$/.test(str)) return null;
+        return commas === 1 ? ',' : '.';
+    },
+
+    /**
+     * Decimal separator of a column: the majority of the values that give one away, else a comma for
+     * semicolon-delimited files (continental European) and a dot otherwise
+     * @param {Object[]} rows - Parsed rows
+     * @param {string} column - Value column
+     * @param {string} [delimiter] - CSV delimiter (see parseCSV)
+     * @returns {string} ',' or '.'
+     */
+    detectDecimalSeparator(rows, column, delimiter = null) {
+        let commas = 0;
+        let dots = 0;
+        for (const row of rows) {
+            const value = row[column];
+            if (typeof value !== 'string') continue;
+            const separator = this.guessDecimalSeparator(value.trim().replace(/\s/g, ''));
+            if (separator === ',') commas++;
+            else if (separator === '.') dots++;
+        }
+        if (commas !== dots) return commas > dots ? ',' : '.';
+        return delimiter === ';' ? ',' : '.';
+    },
+
+    /**
+     * Split a timestamp into wall-clock parts, or an absolute instant
+     * @returns {Object|null} {instant: ms} for absolute times, {wall: ms-as-UTC} for naive local times
+     */
+    parseTimeParts(value) {
+        if (typeof value === 'number' || /^\d{9,13}(\.\d+)?$/.test(String(value).trim())) {
+            const num = Number(value);
+            return { instant: num > 1e11 ? num : num * 1000 }; // ms vs seconds
+        }
+
+        const str = String(value).trim();
+
+        // ISO with explicit offset or Z: absolute instant
+        if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(str)) {
+            const ms = Date.parse(str.replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+            return isNaN(ms) ? null : { instant: ms };
+        }
+
+        let m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (m) {
+            return { wall: Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)) };
+        }
+
+        // DD.MM.YYYY or DD/MM/YYYY (European exports)
+        m = str.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (m) {
+            return { wall: Date.UTC(+m[3], +m[2] - 1, +m[1], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)) };
+        }
+
+        return null;
+    },
+
+    /**
+     * Resolve a naive wall-clock time in a timezone to UTC candidates
+     * Returns two instants for the repeated hour when DST ends, none for the
+     * skipped hour when DST starts.
+     * @param {number} wallMs - Wall-clock time encoded as if it were UTC
+     * @param {string} timezone - IANA timezone
+     * @returns {number[]} Candidate UTC instants (ms), ascending
+     */
+    resolveWallTime(wallMs, timezone) {
+        const offsets = new Set([
+            DataSources.getUtcOffsetHours(new Date(wallMs - 12 * 3600000), timezone),
+            DataSources.getUtcOffsetHours(new Date(wallMs + 12 * 3600000), timezone)
+        ]);
+
+        return Array.from(offsets)
+            .map(offset => wallMs - offset * 3600000)
+            .filter(instant => DataSources.getUtcOffsetHours(new Date(instant), timezone) * 3600000 === wallMs - instant)
+            .sort((a, b) => a - b);
+    },
+
+    /**
+     * Build a normalized time series from parsed rows
+     * @param {Array} rows - Parsed rows
+     * @param {Object} mapping - {timeColumn, valueColumn, timezone, scale, decimal}
+     *   timezone: IANA zone for naive timestamps, or 'UTC'
+     *   scale: multiplier applied to values (unit conversion)
+     *   decimal: decimal separator of the values (see detectDecimalSeparator), guessed per value if omitted
+     * @returns {Object} {series: [{timestamp, value}], report: {...}}
+     */
+    buildSeries(rows, mapping) {
+        const { timeColumn, valueColumn, timezone = 'UTC', scale = 1, decimal = null } = mapping;
+        const series = [];
+        const report = {
+            rows: rows.length,
+            invalidTime: 0,
+            invalidValue: 0,
+            duplicates: 0,
+            dstSkipped: 0,
+            dstRepeated: 0
+        };
+        const seen = new Set();
+        let lastInstant = -Infinity;
+
+        for (const row of rows) {
+            const parts = this.parseTimeParts(row[timeColumn]);
+            if (!parts) {
+                report.invalidTime++;
+                continue;
+            }
+
+            let instant;
+            let repeated = false;
+            if (parts.instant !== undefined) {
+                instant = parts.instant;
+            } else if (timezone === 'UTC') {
+                instant = parts.wall;
+            } else {
+                const candidates = this.resolveWallTime(parts.wall, timezone);
+                if (candidates.length === 0) {
+                    // Wall time does not exist (clocks jump forward)
+                    report.dstSkipped++;
+                    continue;
+                }
+                if (candidates.length > 1) {
+                    // Repeated hour: second occurrence in file order is the later instant
+                    repeated = true;
+                    instant = candidates[0] > lastInstant ? candidates[0] : candidates[1];
+                } else {
+                    instant = candidates[0];
+                }
+            }
+
+            const value = this.parseNumber(row[valueColumn], decimal);
+            if (!isFinite(value)) {
+                report.invalidValue++;
+                continue;
+            }
+
+            const timestamp = Math.floor(instant / 1000);
+            if (seen.has(timestamp)) {
+                // Only repeated-hour rows that file order could not place are DST problems
+                if (repeated) report.dstRepeated++;
+                else report.duplicates++;
+                continue;
+            }
+            seen.add(timestamp);
+            lastInstant = instant;
+
+            series.push({ timestamp, value: value * scale });
+        }
+
+        series.sort((a, b) => a.timestamp - b.timestamp);
+        report.valid = series.length;
+        if (series.length > 0) {
+            report.start = new Date(series[0].timestamp * 1000);
+            report.end = new Date(series[series.length - 1].timestamp * 1000);
+        }
+
+        return { series, report };
+    }
+};
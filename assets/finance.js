@@ -0,0 +1,237 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Project Finance
+ * Annual cash flows over the asset life: NPV, project and equity IRR, LCOE and DSCR
+ */
+
+const Finance = {
+    /**
+     * Year-1 plant revenue under the selected route to market
+     * @param {Object} kpis - From Compute.calculateKPIs
+     * @param {string} routeToMarket - 'merchant' | 'ppa' | 'eeg' | 'cfd'
+     * @returns {number} Revenue over the analysed period (EUR)
+     */
+    getPlantRevenue(kpis, routeToMarket) {
+        switch (routeToMarket) {
+            case 'ppa':
+                return kpis.ppa?.revenue ?? kpis.merchantRevenue;
+            case 'eeg':
+                return kpis.marketPremium?.totalRevenue ?? kpis.merchantRevenue;
+            case 'cfd':
+                return kpis.cfd?.netRevenue ?? kpis.merchantRevenue;
+            default:
+                return kpis.merchantRevenue;
+        }
+    },
+
+    /**
+     * Net present value, cash flows from year 0
+     */
+    npv(rate, cashFlows) {
+        return cashFlows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+    },
+
+    /**
+     * Internal rate of return by bisection
+     * @returns {number|null} IRR, or null when the NPV never changes sign between -99% and ~10^8%
+     */
+    irr(cashFlows) {
+        let low = -0.99;
+        let high = 1;
+        let npvLow = this.npv(low, cashFlows);
+        // Highly geared equity can return more than 100%: widen the bracket until the sign changes
+        for (let i = 0; i < 20 && npvLow * this.npv(high, cashFlows) > 0; i++) high *= 2;
+        if (npvLow * this.npv(high, cashFlows) > 0) return null;
+
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            const npvMid = this.npv(mid, cashFlows);
+            if (Math.abs(npvMid) < 1e-6) return mid;
+            if (npvLow * npvMid < 0) {
+                high = mid;
+            } else {
+                low = mid;
+                npvLow = npvMid;
+            }
+        }
+        return (low + high) / 2;
+    },
+
+    /**
+     * Present value of 1 per year over n years
+     */
+    annuityFactor(rate, years) {
+        return rate === 0 ? years : (1 - Math.pow(1 + rate, -years)) / rate;
+    },
+
+    /**
+     * Corporate tax with losses carried forward
+     * @param {Array} taxableIncome - Per year
+     * @returns {Array} Tax paid per year
+     */
+    taxWithLossCarryForward(taxableIncome, taxRate) {
+        let losses = 0;
+        return taxableIncome.map(income => {
+            const base = income - losses;
+            if (base <= 0) {
+                losses = -base;
+                return 0;
+            }
+            losses = 0;
+            return base * taxRate;
+        });
+    },
+
+    /**
+     * Annuity debt schedule, tax paid, CFADS and DSCR per year for a given debt service (see evaluate)
+     * @param {Array} years - Operating years, updated in place
+     * @param {number} debtService - Annual debt service (EUR)
+     * @param {Object} terms - {factor (annuity factor), debtRate, tenor, taxRate}
+     * @returns {number} Lowest CFADS over the tenor
+     */
+    applyDebt(years, debtService, terms) {
+        const { factor, debtRate, tenor, taxRate } = terms;
+        const debtAmount = debtService * factor;
+        let balance = debtAmount;
+        years.forEach(y => {
+            const inTenor = y.year <= tenor && debtAmount > 0;
+            y.interest = inTenor ? balance * debtRate : 0;
+            y.principal = inTenor ? debtService - y.interest : 0;
+            y.debtService = inTenor ? debtService : 0;
+            balance -= y.principal;
+        });
+
+        const tax = this.taxWithLossCarryForward(years.map(y => y.ebitda - y.augmentation - y.depreciation - y.interest), taxRate);
+        years.forEach((y, i) => {
+            y.tax = tax[i];
+            y.cfads = y.ebitda - y.reserve - y.tax;
+            y.dscr = y.debtService > 0 ? y.cfads / y.debtService : null;
+            y.equityCashFlow = y.cfads - y.debtService;
+        });
+        return Math.min(...years.slice(0, tenor).map(y => y.cfads));
+    },
+
+    /**
+     * Project cash flows and returns over the asset life
+     * The analysed period sets year-1 production and revenue; revenue and OPEX then escalate with
+     * inflation and production falls with degradation. The battery earns its lifetime uplift (see
+     * Compute.simulateBatteryLifetime) plus any reserve stacking gain for its operating life only.
+     * Augmentation is expensed for tax in its year but funded by a reserve account built up evenly from
+     * COD, so it does not break debt sizing. Debt is an annuity over the tenor, sized to the target DSCR
+     * and capped at the maximum gearing. CFADS, DSCR and equity cash flows are after the tax actually
+     * paid (with the interest tax shield); the project cash flow is after unlevered tax.
+     * @param {Object} project - {productionMWh, plantRevenue (year 1, EUR), plantCapex, batteryCapex,
+     *   batteryRevenue: [EUR per operating year], augmentations: [{year, addedMWh}], batteryCapexPerMWh}
+     * @param {Object} assumptions - {lifeYears, opexPct, degradationPct, inflationPct, discountPct, taxPct,
+     *   depreciationYears, maxGearingPct, debtRatePct, tenorYears, targetDSCR} (percentages as %)
+     * @returns {Object} {capex, debt, years: [...], projectNPV, projectIRR, equityIRR, lcoe, minDSCR, avgDSCR}
+     */
+    evaluate(project, assumptions) {
+        const {
+            lifeYears, opexPct, degradationPct, inflationPct, discountPct, taxPct,
+            depreciationYears, maxGearingPct, debtRatePct, tenorYears, targetDSCR
+        } = assumptions;
+        const inflation = inflationPct / 100;
+        const discount = discountPct / 100;
+        const taxRate = taxPct / 100;
+        const debtRate = debtRatePct / 100;
+        const tenor = Math.min(tenorYears, lifeYears);
+        const totalCapex = project.plantCapex + project.batteryCapex;
+
+        // Operating years before financing
+        const years = Array.from({ length: lifeYears }, (_, i) => {
+            const year = i + 1;
+            const escalation = Math.pow(1 + inflation, i);
+            const production = project.productionMWh * Math.pow(1 - degradationPct / 100, i);
+            const plantRevenue = project.plantRevenue * Math.pow(1 - degradationPct / 100, i) * escalation;
+            const batteryRevenue = (project.batteryRevenue[i] ?? 0) * escalation;
+            const batteryActive = i < project.batteryRevenue.length;
+            const plantOpex = project.plantCapex * (opexPct / 100) * escalation;
+            const batteryOpex = batteryActive ? project.batteryCapex * (opexPct / 100) * escalation : 0;
+            const augmentation = project.augmentations
+                .filter(a => a.year === year)
+                .reduce((sum, a) => sum + a.addedMWh * project.batteryCapexPerMWh * escalation, 0);
+            const revenue = plantRevenue + batteryRevenue;
+            const ebitda = revenue - plantOpex - batteryOpex;
+
+            return {
+                year,
+                production,
+                plantRevenue,
+                batteryRevenue,
+                revenue,
+                plantOpex,
+                opex: plantOpex + batteryOpex,
+                ebitda,
+                augmentation,
+                depreciation: year <= depreciationYears ? totalCapex / depreciationYears : 0
+            };
+        });
+
+        // Augmentation reserve: each augmentation is saved up in equal parts from year 1
+        years.forEach(y => {
+            y.reserve = years
+                .filter(later => later.year >= y.year && later.augmentation > 0)
+                .reduce((sum, later) => sum + later.augmentation / later.year, 0);
+        });
+
+        // Project cash flow: after unlevered tax
+        const unleveredTax = this.taxWithLossCarryForward(years.map(y => y.ebitda - y.augmentation - y.depreciation), taxRate);
+        years.forEach((y, i) => { y.projectCashFlow = y.ebitda - y.reserve - unleveredTax[i]; });
+
+        // Debt sizing: the tax paid falls with the interest of the debt it sizes, so sizing starts without
+        // debt and repeats until the debt service settles (it only grows, up to the gearing cap)
+        const factor = this.annuityFactor(debtRate, tenor);
+        const maxDebtService = tenor > 0 ? (maxGearingPct / 100) * totalCapex / factor : 0;
+        let debtService = 0;
+        for (let i = 0; i < CONFIG.FINANCE.SIZING_ITERATIONS; i++) {
+            const minCFADS = this.applyDebt(years, debtService, { factor, debtRate, tenor, taxRate });
+            const sized = tenor > 0 ? Math.max(0, Math.min(minCFADS / targetDSCR, maxDebtService)) : 0;
+            const settled = Math.abs(sized - debtService) < 1;
+            debtService = sized;
+            if (settled) break;
+        }
+        this.applyDebt(years, debtService, { factor, debtRate, tenor, taxRate });
+        const debtAmount = debtService * factor;
+
+        const projectFlows = [-totalCapex, ...years.map(y => y.projectCashFlow)];
+        const equityFlows = [-(totalCapex - debtAmount), ...years.map(y => y.equityCashFlow)];
+        const dscrs = years.filter(y => y.dscr !== null).map(y => y.dscr);
+
+        // Plant LCOE (battery excluded): discounted plant costs over discounted production
+        const discounted = (value, i) => value / Math.pow(1 + discount, i + 1);
+        const costPV = project.plantCapex + years.reduce((sum, y, i) => sum + discounted(y.plantOpex, i), 0);
+        const productionPV = years.reduce((sum, y, i) => sum + discounted(y.production, i), 0);
+
+        const round = value => Math.round(value);
+        return {
+            assumptions,
+            capex: { plant: round(project.plantCapex), battery: round(project.batteryCapex), total: round(totalCapex) },
+            debt: {
+                amount: round(debtAmount),
+                gearingPct: totalCapex > 0 ? Math.round(debtAmount / totalCapex * 1000) / 10 : 0,
+                debtService: round(debtService)
+            },
+            years: years.map(y => ({
+                year: y.year,
+                production: round(y.production),
+                revenue: round(y.revenue),
+                batteryRevenue: round(y.batteryRevenue),
+                opex: round(y.opex),
+                ebitda: round(y.ebitda),
+                augmentation: round(y.augmentation),
+                reserve: round(y.reserve),
+                tax: round(y.tax),
+                cfads: round(y.cfads),
+                debtService: round(y.debtService),
+                dscr: y.dscr === null ? null : Math.round(y.dscr * 100) / 100,
+                equityCashFlow: round(y.equityCashFlow)
+            })),
+            projectNPV: round(this.npv(discount, projectFlows)),
+            projectIRR: this.irr(projectFlows),
+            equityIRR: this.irr(equityFlows),
+            lcoe: productionPV > 0 ? Math.round(costPV / productionPV * 100) / 100 : null,
+            minDSCR: dscrs.length > 0 ? Math.round(Math.min(...dscrs) * 100) / 100 : null,
+            avgDSCR: dscrs.length > 0 ? Math.round(dscrs.reduce((a, b) => a + b, 0) / dscrs.length * 100) / 100 : null
+        };
+    }
+};
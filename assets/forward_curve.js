@@ -0,0 +1,261 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Forward Curve
+ * Hourly price-forward curves from forward baseload/peakload levels and historical shapes
+ */
+
+const ForwardCurve = {
+    /**
+     * Peak interval in the EEX sense: Monday-Friday, PEAK_HOURS in market time
+     * @param {Object} local - Market-local time (see DataSources.getLocalTime)
+     */
+    isPeak(local) {
+        const { start, end } = CONFIG.FORWARD.PEAK_HOURS;
+        return local.weekday >= 1 && local.weekday <= 5 && local.hour >= start && local.hour < end;
+    },
+
+    /**
+     * Day type used to pick historical analogue days
+     */
+    getDayType(weekday) {
+        if (weekday === 0) return 'sunday';
+        if (weekday === 6) return 'saturday';
+        return 'weekday';
+    },
+
+    /**
+     * Product key of a forward product (e.g., "2027", "2027-Q2")
+     * @param {Object} product - {year, period: 'cal' | 'Q1'..'Q4'}
+     */
+    getProductKey(product) {
+        return product.period === 'cal' ? String(product.year) : `${product.year}-${product.period}`;
+    },
+
+    /**
+     * Product covering a local month: a quarter product wins over the calendar year
+     * @param {Map} products - Product key -> {year, period, base, peak}
+     * @param {number} month - Local month (0-11, see DataSources.getLocalTime)
+     * @returns {Object|null} Product or null if the month is not covered
+     */
+    findProduct(products, year, month) {
+        const quarter = `Q${Math.floor(month / 3) + 1}`;
+        return products.get(`${year}-${quarter}`) || products.get(String(year)) || null;
+    },
+
+    /**
+     * Index historical aligned data by local month and day type
+     * @param {Array} history - Aligned data [{price, output, local, ...}]
+     * @returns {Map} month -> {weekday, saturday, sunday}, each a list of days (Map minuteOfDay -> row)
+     */
+    indexHistory(history) {
+        const byDay = new Map();
+        history.forEach(d => {
+            const local = Compute.localTime(d);
+            if (!byDay.has(local.dayKey)) {
+                byDay.set(local.dayKey, { month: local.month, dayType: this.getDayType(local.weekday), rows: new Map() });
+            }
+            byDay.get(local.dayKey).rows.set(local.hour * 60 + local.minute, d);
+        });
+
+        const months = new Map();
+        for (const day of byDay.values()) {
+            // Partial days (period edges, gaps) make poor analogues
+            if (day.rows.size < 20 * 60 / this.getStepMinutes(history)) continue;
+            if (!months.has(day.month)) months.set(day.month, { weekday: [], saturday: [], sunday: [] });
+            months.get(day.month)[day.dayType].push(day.rows);
+        }
+        return months;
+    },
+
+    /**
+     * Interval length of aligned data in minutes
+     */
+    getStepMinutes(data) {
+        return Math.round((data[0]?.durationH ?? 1) * 60);
+    },
+
+    /**
+     * Historical analogue days for a local month and day type
+     * Falls back to the nearest month with data of that day type.
+     * @returns {Object} {days, month} - month is the historical month actually used
+     */
+    findAnalogues(index, month, dayType) {
+        for (let distance = 0; distance <= 6; distance++) {
+            for (const candidate of [month - distance, month + distance]) {
+                const m = (candidate + 12) % 12;
+                const days = index.get(m)?.[dayType];
+                if (days && days.length > 0) return { days, month: m };
+            }
+        }
+        return { days: [], month };
+    },
+
+    /**
+     * Row of an analogue day at a local time of day, or the nearest one within an hour
+     * (spring-forward days lack an hour, days at data gaps may lack a few intervals)
+     */
+    findAnalogueRow(day, minuteOfDay, stepMinutes) {
+        for (let delta = 0; delta <= 60; delta += stepMinutes) {
+            const row = day.get(minuteOfDay - delta) ?? day.get(minuteOfDay + delta);
+            if (row) return row;
+        }
+        return null;
+    },
+
+    /**
+     * Build the price-forward curve and matching production for one calendar year
+     * Each future day takes the prices and output of a historical day of the same month and
+     * day type (cycling through them), so intraday shapes, negative-price timing and the
+     * price/production correlation come from history. Prices are then shifted per product so
+     * that peak and off-peak averages match the forward levels.
+     * @param {Object} index - From indexHistory
+     * @param {Map} products - Product key -> {year, period, base, peak}
+     * @param {number} year - Delivery year
+     * @param {Object} options - {timezone, resolutionMinutes}
+     * @param {Map} cycle - Analogue position per month/day type, carried over between years
+     * @returns {Object} {year, data, products, substitutedMonths} - data in alignData format;
+     *   substitutedMonths lists local months (0-11) taken from a neighbouring historical month
+     */
+    buildYear(index, products, year, options, cycle = new Map()) {
+        const { timezone, resolutionMinutes } = options;
+        const toLocal = DataSources.createLocalTimeResolver(timezone);
+        const durationH = resolutionMinutes / 60;
+        const offset = DataSources.getUtcOffsetHours(new Date(Date.UTC(year, 0, 1)), timezone);
+        const grid = DataQuality.buildGrid(
+            new Date(Date.UTC(year, 0, 1) - offset * 3600000),
+            new Date(Date.UTC(year + 1, 0, 1) - offset * 3600000 - 1000),
+            resolutionMinutes
+        );
+
+        const data = [];
+        const substitutedMonths = new Set();
+        let currentDay = null;
+        let analogue = null;
+
+        grid.forEach(ts => {
+            const local = toLocal(ts);
+            if (local.year !== year || !this.findProduct(products, year, local.month)) return;
+
+            if (local.dayKey !== currentDay) {
+                currentDay = local.dayKey;
+                const dayType = this.getDayType(local.weekday);
+                const { days, month } = this.findAnalogues(index, local.month, dayType);
+                if (month !== local.month) substitutedMonths.add(local.month);
+
+                const key = `${month}-${dayType}`;
+                const n = cycle.get(key) || 0;
+                cycle.set(key, n + 1);
+                analogue = days.length > 0 ? days[n % days.length] : null;
+            }
+
+            const row = analogue && this.findAnalogueRow(analogue, local.hour * 60 + local.minute, resolutionMinutes);
+            if (!row) return;
+
+            data.push({
+                timestamp: ts,
+                price: row.price,
+                output: row.output,
+                durationH,
+                date: new Date(ts * 1000),
+                local
+            });
+        });
+
+        // Shift peak and off-peak prices of each product to the forward levels
+        const used = new Map();
+        const blocks = new Map();
+        data.forEach(d => {
+            const product = this.findProduct(products, year, d.local.month);
+            const key = `${this.getProductKey(product)}|${this.isPeak(d.local) ? 'peak' : 'offpeak'}`;
+            used.set(this.getProductKey(product), product);
+            if (!blocks.has(key)) blocks.set(key, { sum: 0, count: 0, rows: [] });
+            const block = blocks.get(key);
+            block.sum += d.price;
+            block.count++;
+            block.rows.push(d);
+        });
+
+        const empty = { sum: 0, count: 0, rows: [] };
+        const blockOf = (productKey, name) => blocks.get(`${productKey}|${name}`) || empty;
+        const levels = this.getProductLevels(used, blockOf, year);
+
+        for (const [productKey, level] of levels) {
+            const peak = blockOf(productKey, 'peak');
+            const offpeak = blockOf(productKey, 'offpeak');
+            const total = peak.count + offpeak.count;
+            const histBase = (peak.sum + offpeak.sum) / total;
+
+            if (level.peak === null || peak.count === 0 || offpeak.count === 0) {
+                const shift = level.base - histBase;
+                [...peak.rows, ...offpeak.rows].forEach(d => { d.price += shift; });
+                continue;
+            }
+
+            // Off-peak level implied by base and peak
+            const offpeakLevel = (level.base * total - level.peak * peak.count) / offpeak.count;
+            const peakShift = level.peak - peak.sum / peak.count;
+            const offpeakShift = offpeakLevel - offpeak.sum / offpeak.count;
+            peak.rows.forEach(d => { d.price += peakShift; });
+            offpeak.rows.forEach(d => { d.price += offpeakShift; });
+        }
+
+        data.forEach(d => { d.price = Math.round(d.price * 100) / 100; });
+
+        return {
+            year,
+            data,
+            products: Array.from(used.entries()).map(([key, p]) => ({ ...p, applied: levels.get(key) })),
+            substitutedMonths: Array.from(substitutedMonths).sort((a, b) => a - b)
+        };
+    },
+
+    /**
+     * Base/peak levels to apply per product
+     * When quarters are entered next to the calendar year, the months left to the Cal product
+     * get the level that keeps the full-year average equal to the Cal price.
+     * @param {Map} used - Product key -> product, for products covering data
+     * @param {Function} blockOf - (productKey, 'peak' | 'offpeak') -> {count}
+     * @returns {Map} Product key -> {base, peak}
+     */
+    getProductLevels(used, blockOf, year) {
+        const levels = new Map(Array.from(used.entries()).map(([key, p]) => [key, { base: p.base, peak: p.peak }]));
+        const cal = used.get(String(year));
+        const quarters = Array.from(used.entries()).filter(([key]) => key !== String(year));
+        if (!cal || quarters.length === 0) return levels;
+
+        const count = (key, name) => blockOf(key, name).count;
+        const calBase = count(String(year), 'peak') + count(String(year), 'offpeak');
+        const calPeak = count(String(year), 'peak');
+        const yearBase = calBase + quarters.reduce((sum, [key]) => sum + count(key, 'peak') + count(key, 'offpeak'), 0);
+        const yearPeak = calPeak + quarters.reduce((sum, [key]) => sum + count(key, 'peak'), 0);
+
+        const base = (cal.base * yearBase - quarters.reduce((sum, [key, q]) => sum + q.base * (count(key, 'peak') + count(key, 'offpeak')), 0)) / calBase;
+        const peakKnown = cal.peak !== null && quarters.every(([, q]) => q.peak !== null) && calPeak > 0;
+        const peak = peakKnown
+            ? (cal.peak * yearPeak - quarters.reduce((sum, [key, q]) => sum + q.peak * count(key, 'peak'), 0)) / calPeak
+            : cal.peak;
+
+        levels.set(String(year), { base: Math.round(base * 100) / 100, peak: peak === null ? null : Math.round(peak * 100) / 100 });
+        return levels;
+    },
+
+    /**
+     * Build forward scenarios for every delivery year with at least one product
+     * @param {Array} history - Aligned historical data (see DataSources.alignData)
+     * @param {Array} products - [{year, period, base, peak}] (peak optional)
+     * @param {Object} options - {timezone, resolutionMinutes}
+     * @returns {Array} [{year, data, products, substitutedMonths}] sorted by year
+     */
+    buildScenarios(history, products, options) {
+        const valid = products.filter(p => p.year && p.period && Number.isFinite(p.base));
+        if (history.length === 0 || valid.length === 0) return [];
+
+        const productMap = new Map(valid.map(p => [this.getProductKey(p), { ...p, peak: Number.isFinite(p.peak) ? p.peak : null }]));
+        const index = this.indexHistory(history);
+        const years = [...new Set(valid.map(p => p.year))].sort((a, b) => a - b).slice(0, CONFIG.FORWARD.MAX_YEARS);
+        const cycle = new Map(); // Later years continue with the next historical days
+
+        return years
+            .map(year => this.buildYear(index, productMap, year, options, cycle))
+            .filter(scenario => scenario.data.length > 0);
+    }
+};
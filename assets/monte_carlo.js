@@ -0,0 +1,244 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Monte Carlo
+ * Annual revenue distribution from synthetic years bootstrapped out of historical day or week blocks
+ */
+
+const MonteCarlo = {
+    /**
+     * Meteorological season of a local month (0 winter DJF, 1 spring MAM, 2 summer JJA, 3 autumn SON)
+     */
+    getSeason(month) {
+        return Math.floor(((month + 1) % 12) / 3);
+    },
+
+    /**
+     * Cut aligned data into day or week blocks on a fixed slot grid
+     * A slot is a local time of day (and, for weeks, a weekday from Monday), so price and production
+     * of different blocks line up interval by interval. Blocks missing more than
+     * CONFIG.MONTE_CARLO.MIN_BLOCK_COVERAGE of their slots (period edges, gaps) are dropped.
+     * @param {Array} data - Aligned data (see DataSources.alignData)
+     * @param {string} blockType - 'week' | 'day'
+     * @param {number|null} floorPrice - Merchant floor applied to prices
+     * @returns {Array} [{season, price, energy, hours, revenue, sampledHours}] - slot arrays are
+     *   Float64Arrays, hours is 0 for empty slots
+     */
+    buildBlocks(data, blockType, floorPrice = null) {
+        const stepMinutes = Math.round((data[0]?.durationH ?? 1) * 60);
+        const slotsPerDay = Math.round(1440 / stepMinutes);
+        const daysPerBlock = blockType === 'week' ? 7 : 1;
+        const slots = slotsPerDay * daysPerBlock;
+
+        // Consecutive local days; weeks start on Monday
+        const groups = [];
+        let current = null;
+        let previousDay = null;
+        Compute.groupByDay(data).forEach(rows => {
+            const first = Compute.localTime(rows[0]);
+            const startsBlock = blockType !== 'week' || first.weekday === 1 || current === null ||
+                rows[0].timestamp - previousDay > 36 * 3600;
+            if (startsBlock) {
+                current = [];
+                groups.push(current);
+            }
+            current.push(rows);
+            previousDay = rows[0].timestamp;
+        });
+
+        const blocks = [];
+        groups.forEach(days => {
+            const price = new Float64Array(slots);
+            const energy = new Float64Array(slots);
+            const hours = new Float64Array(slots);
+            let filled = 0;
+
+            days.forEach(rows => rows.forEach(d => {
+                const local = Compute.localTime(d);
+                const dayOffset = blockType === 'week' ? (local.weekday + 6) % 7 : 0;
+                const slot = dayOffset * slotsPerDay + Math.floor((local.hour * 60 + local.minute) / stepMinutes);
+                if (hours[slot] === 0) filled++;
+                price[slot] = floorPrice !== null ? Math.max(d.price, floorPrice) : d.price;
+                energy[slot] = Compute.intervalEnergy(d);
+                hours[slot] = Compute.intervalHours(d);
+            }));
+
+            if (filled < slots * CONFIG.MONTE_CARLO.MIN_BLOCK_COVERAGE) return;
+
+            // Season of the middle day, so a week spanning two months goes where most of it lies
+            const middle = days[Math.floor(days.length / 2)];
+            let revenue = 0;
+            let sampledHours = 0;
+            for (let i = 0; i < slots; i++) {
+                revenue += price[i] * energy[i];
+                sampledHours += hours[i];
+            }
+
+            blocks.push({
+                season: this.getSeason(Compute.localTime(middle[0]).month),
+                price,
+                energy,
+                hours,
+                revenue,
+                sampledHours
+            });
+        });
+
+        return blocks;
+    },
+
+    /**
+     * Positions of a synthetic year: 52 weeks or 365 days, each with its local month, season and weight
+     * A week goes to the season of its middle day, which leaves winter with 12 weeks and spring with 14;
+     * the weight scales each season's positions back to its share of calendar days (1 for days).
+     */
+    buildTemplate(blockType) {
+        const daysPerBlock = blockType === 'week' ? 7 : 1;
+        const count = blockType === 'week' ? 52 : 365;
+        const monthOf = day => new Date(Date.UTC(2023, 0, 1 + day)).getUTCMonth();
+
+        const seasonDays = [0, 0, 0, 0];
+        for (let day = 0; day < 365; day++) seasonDays[this.getSeason(monthOf(day))]++;
+
+        const positions = Array.from({ length: count }, (_, i) => {
+            const month = monthOf(i * daysPerBlock + Math.floor(daysPerBlock / 2));
+            return { month, season: this.getSeason(month) };
+        });
+        const seasonPositions = [0, 0, 0, 0];
+        positions.forEach(p => seasonPositions[p.season]++);
+
+        return positions.map(p => ({
+            ...p,
+            weight: seasonDays[p.season] / (seasonPositions[p.season] * daysPerBlock)
+        }));
+    },
+
+    /**
+     * Simulate annual merchant revenue by seasonal block bootstrapping
+     * Every position of a synthetic year draws a historical block of the same season, weighted so each
+     * season counts with its share of calendar days (see buildTemplate). Joint sampling
+     * keeps each block's prices and production together (preserving their correlation); independent
+     * sampling draws the price block and the weather (production) block separately. Revenue of each
+     * synthetic year is scaled to 8760 hours, so empty slots and the 364-day week template do not bias it.
+     * @param {Array} data - Aligned data (see DataSources.alignData)
+     * @param {Object} options - {simulations, blockType: 'week' | 'day', sampling: 'joint' | 'independent',
+     *   floorPrice, seed}
+     * @returns {Object|null} {simulations, blockType, sampling, blockCount, blocksPerSeason, pooledSeasons,
+     *   historical, mean, p10, p50, p90, stdDev, histogram: [{from, to, count}],
+     *   fan: [{month, p10, p25, p50, p75, p90}] (cumulative)} - null without enough history
+     */
+    simulate(data, options) {
+        const {
+            simulations = CONFIG.MONTE_CARLO.SIMULATIONS,
+            blockType = 'week',
+            sampling = 'joint',
+            floorPrice = null,
+            seed = CONFIG.RANDOM.DEFAULT_SEED
+        } = options;
+        if (data.length === 0) return null;
+
+        const blocks = this.buildBlocks(data, blockType, floorPrice);
+        if (blocks.length === 0) return null;
+
+        // Seasons without history draw from all blocks
+        const pools = [[], [], [], []];
+        blocks.forEach(b => pools[b.season].push(b));
+        const pooledSeasons = pools.map((pool, season) => pool.length === 0 ? season : null).filter(s => s !== null);
+        const poolOf = season => pools[season].length > 0 ? pools[season] : blocks;
+
+        const template = this.buildTemplate(blockType);
+        const random = SeededRandom.fork(seed, 'monte-carlo');
+        const draw = pool => pool[Math.floor(random() * pool.length)];
+        const slots = blocks[0].price.length;
+
+        const annual = new Float64Array(simulations);
+        const cumulative = Array.from({ length: 12 }, () => new Float64Array(simulations));
+
+        for (let s = 0; s < simulations; s++) {
+            const monthly = new Float64Array(12);
+            let hours = 0;
+
+            template.forEach(position => {
+                const pool = poolOf(position.season);
+                const priceBlock = draw(pool);
+                const { month, weight } = position;
+                if (sampling !== 'independent') {
+                    monthly[month] += priceBlock.revenue * weight;
+                    hours += priceBlock.sampledHours * weight;
+                    return;
+                }
+
+                const weatherBlock = draw(pool);
+                for (let i = 0; i < slots; i++) {
+                    if (priceBlock.hours[i] === 0 || weatherBlock.hours[i] === 0) continue;
+                    monthly[month] += priceBlock.price[i] * weatherBlock.energy[i] * weight;
+                    hours += weatherBlock.hours[i] * weight;
+                }
+            });
+
+            const scale = hours > 0 ? 8760 / hours : 0;
+            let running = 0;
+            for (let m = 0; m < 12; m++) {
+                running += monthly[m] * scale;
+                cumulative[m][s] = running;
+            }
+            annual[s] = running;
+        }
+
+        // Annualised revenue of the analysed period itself, for reference
+        let historicalRevenue = 0;
+        let historicalHours = 0;
+        data.forEach(d => {
+            historicalRevenue += (floorPrice !== null ? Math.max(d.price, floorPrice) : d.price) * Compute.intervalEnergy(d);
+            historicalHours += Compute.intervalHours(d);
+        });
+
+        const sorted = Array.from(annual).sort((a, b) => a - b);
+        const mean = sorted.reduce((a, b) => a + b, 0) / simulations;
+        const round = value => Math.round(value);
+
+        return {
+            simulations,
+            blockType,
+            sampling,
+            blockCount: blocks.length,
+            blocksPerSeason: pools.map(pool => pool.length),
+            pooledSeasons,
+            historical: historicalHours > 0 ? round(historicalRevenue * 8760 / historicalHours) : null,
+            mean: round(mean),
+            p10: round(Compute.percentile(sorted, 10)),
+            p50: round(Compute.percentile(sorted, 50)),
+            p90: round(Compute.percentile(sorted, 90)),
+            stdDev: round(Compute.calculateStdDev(sorted)),
+            histogram: this.buildHistogram(sorted, CONFIG.MONTE_CARLO.HISTOGRAM_BINS),
+            fan: cumulative.map((values, month) => {
+                const monthSorted = Array.from(values).sort((a, b) => a - b);
+                return {
+                    month,
+                    p10: round(Compute.percentile(monthSorted, 10)),
+                    p25: round(Compute.percentile(monthSorted, 25)),
+                    p50: round(Compute.percentile(monthSorted, 50)),
+                    p75: round(Compute.percentile(monthSorted, 75)),
+                    p90: round(Compute.percentile(monthSorted, 90))
+                };
+            })
+        };
+    },
+
+    /**
+     * Equal-width histogram of sorted values
+     * @returns {Array} [{from, to, count}]
+     */
+    buildHistogram(sorted, binCount) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = max > min ? (max - min) / binCount : 1;
+        const bins = Array.from({ length: binCount }, (_, i) => ({
+            from: Math.round(min + i * width),
+            to: Math.round(min + (i + 1) * width),
+            count: 0
+        }));
+        sorted.forEach(value => {
+            bins[Math.min(binCount - 1, Math.floor((value - min) / width))].count++;
+        });
+        return bins;
+    }
+};
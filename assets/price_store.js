@@ -0,0 +1,140 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Price Store
+ * IndexedDB time-series cache for monthly price and generation segments
+ */
+
+const PriceStore = {
+    _dbPromise: null,
+
+    /**
+     * Open (or create) the IndexedDB database
+     * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+     */
+    open() {
+        if (this._dbPromise) return this._dbPromise;
+
+        this._dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(CONFIG.CACHE.DB_NAME, CONFIG.CACHE.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    [CONFIG.CACHE.PRICE_STORE, CONFIG.CACHE.GENERATION_STORE].forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) {
+                            db.createObjectStore(name, { keyPath: 'key' });
+                        }
+                    });
+                };
+
+                // Another tab holding an older version blocks the upgrade: run without the cache rather than wait
+                let blocked = false;
+                request.onblocked = () => {
+                    console.warn('IndexedDB upgrade blocked by another tab - caching disabled');
+                    blocked = true;
+                    resolve(null);
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    if (blocked) {
+                        db.close();
+                        return;
+                    }
+                    // Let a newer version in another tab upgrade; the next call reopens
+                    db.onversionchange = () => {
+                        db.close();
+                        this._dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable:', request.error);
+                    resolve(null);
+                };
+            } catch (e) {
+                console.warn('IndexedDB unavailable:', e);
+                resolve(null);
+            }
+        });
+
+        return this._dbPromise;
+    },
+
+    /**
+     * Get a stored segment
+     * @param {string} key - Segment key (e.g., 'DE-LU_2024-03')
+     * @param {string} store - Object store (CONFIG.CACHE.PRICE_STORE or GENERATION_STORE)
+     * @returns {Promise<Object|null>} Stored record {key, bzn, month, prices, fetchedAt, complete}
+     */
+    async get(key, store = CONFIG.CACHE.PRICE_STORE) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const request = db.transaction(store, 'readonly')
+                    .objectStore(store)
+                    .get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => resolve(null);
+            } catch (e) {
+                resolve(null);
+            }
+        });
+    },
+
+    /**
+     * Store a segment (overwrites existing key)
+     * @param {Object} record - Segment record with a `key` property
+     * @param {string} store - Object store (CONFIG.CACHE.PRICE_STORE or GENERATION_STORE)
+     */
+    async put(record, store = CONFIG.CACHE.PRICE_STORE) {
+        const db = await this.open();
+        if (!db) return;
+
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(store, 'readwrite');
+                tx.objectStore(store).put(record);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => {
+                    console.warn('Price store save failed:', tx.error);
+                    resolve();
+                };
+                // A full quota (QuotaExceededError) aborts the transaction without an error event
+                tx.onabort = () => {
+                    console.warn('Price store save aborted:', tx.error);
+                    resolve();
+                };
+            } catch (e) {
+                console.warn('Price store save failed:', e);
+                resolve();
+            }
+        });
+    },
+
+    /**
+     * Remove all stored segments
+     */
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        const stores = [CONFIG.CACHE.PRICE_STORE, CONFIG.CACHE.GENERATION_STORE];
+        return new Promise((resolve) => {
+            try {
+                const tx = db.transaction(stores, 'readwrite');
+                stores.forEach(name => tx.objectStore(name).clear());
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => resolve();
+                tx.onabort = () => resolve();
+            } catch (e) {
+                resolve();
+            }
+        });
+    }
+};
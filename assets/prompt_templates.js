@@ -32,39 +32,70 @@ Guidelines:
             market,
             period,
             capacityMW,
+            resolutionMinutes = 60,
             kpis,
             batteryResults,
             routeToMarket,
-            hasBattery
+            hasBattery,
+            technology = 'solar'
         } = analysisData;
 
+        const marketConfig = CONFIG.MARKETS[market] || CONFIG.MARKETS['DE-LU'];
+        const tech = this.getTechnology(technology);
+        const currency = marketConfig.currency;
+
         // Build key findings from data
-        const findings = this.extractKeyFindings(kpis, batteryResults, hasBattery);
+        const findings = this.extractKeyFindings(kpis, batteryResults, hasBattery, market, technology);
 
-        return `Analyze the following PV asset capture price data and generate an executive summary.
+        return `Analyze the following ${tech.name} asset capture price data and generate an executive summary.
 
 ## Asset Configuration
-- Market: ${market}
-- Technology: Solar PV
+- Market: ${market} (${marketConfig.name}, ${marketConfig.timezone})
+- Technology: ${tech.name}
 - Capacity: ${capacityMW} MW
 - Analysis Period: ${period}
+- Price Resolution: ${resolutionMinutes} minutes
 - Route-to-Market: ${routeToMarket}
+- Price Data: ${this.describePriceSource(analysisData)}
+- Production Profile: ${analysisData.pvSourceLabel || 'Synthetic model'}
+- Data Quality: ${DataQuality.summarize(analysisData.dataQuality)}
+- Random Seed: ${analysisData.seed} (synthetic weather and sample data are reproducible with this seed)
 
 ## Key Metrics
-- Baseload Average Price: ${kpis.baseloadAvg} EUR/MWh
-- PV Capture Price: ${kpis.capturePrice} EUR/MWh
+- Baseload Average Price: ${kpis.baseloadAvg} ${currency}/MWh
+- ${tech.short} Capture Price: ${kpis.capturePrice} ${currency}/MWh
 - Capture Rate: ${kpis.captureRate}%
 - Negative Price Hours (during production): ${kpis.negativeHoursCount} hours
 - Production at Negative Prices: ${kpis.negativePercentage}%
-- Total Production: ${kpis.totalProduction} MWh
-- Merchant Revenue: ${(kpis.merchantRevenue / 1000).toFixed(0)} kEUR
+- Total Production: ${kpis.totalProduction} MWh (capacity factor ${kpis.capacityFactor}%)
+- Merchant Revenue: ${(kpis.merchantRevenue / 1000).toFixed(0)} k${currency}
 
 ## Risk Distribution (Monthly Revenue)
-- P5 (Downside): ${(kpis.riskMetrics.p5 / 1000).toFixed(0)} kEUR
-- P50 (Median): ${(kpis.riskMetrics.p50 / 1000).toFixed(0)} kEUR
-- P95 (Upside): ${(kpis.riskMetrics.p95 / 1000).toFixed(0)} kEUR
+- P5 (Downside): ${(kpis.riskMetrics.p5 / 1000).toFixed(0)} k${currency}
+- P50 (Median): ${(kpis.riskMetrics.p50 / 1000).toFixed(0)} k${currency}
+- P95 (Upside): ${(kpis.riskMetrics.p95 / 1000).toFixed(0)} k${currency}
+
+${analysisData.monteCarlo ? this.buildMonteCarloSection(analysisData.monteCarlo, currency) : ''}
+
+${kpis.marketPremium ? this.buildMarketPremiumSection(kpis.marketPremium, currency) : ''}
+
+${kpis.ppa ? this.buildPPASection(kpis.ppa, currency) : ''}
+
+${kpis.cfd ? this.buildCfDSection(kpis.cfd, currency) : ''}
+
+${kpis.curtailment ? this.buildCurtailmentSection(kpis.curtailment, batteryResults, currency) : ''}
+
+${kpis.marketBenchmark ? this.buildBenchmarkSection(kpis.marketBenchmark, analysisData.marketBenchmark, currency) : ''}
+
+${analysisData.portfolio ? this.buildPortfolioSection(analysisData.portfolio, currency) : ''}
 
-${hasBattery ? this.buildBatterySection(batteryResults) : ''}
+${analysisData.forwardScenarios?.length ? this.buildForwardSection(analysisData.forwardScenarios, currency) : ''}
+
+${hasBattery ? this.buildBatterySection(batteryResults, currency) : ''}
+
+${analysisData.batterySizing ? this.buildSizingSection(analysisData.batterySizing, currency) : ''}
+
+${analysisData.finance ? this.buildFinanceSection(analysisData.finance, currency) : ''}
 
 ## Detected Patterns
 ${findings.map(f => `- ${f}`).join('\n')}
@@ -74,39 +105,228 @@ Generate an executive memo with:
 2. **Risk Assessment** (2 bullet points)
 3. **Actions to Validate** (3 bullet points)
 
-End with a brief "Assumptions & Limitations" section.`;
+End with a brief "Assumptions & Limitations" section that references the data-quality results.`;
+    },
+
+    /**
+     * Technology wording (CONFIG.TECHNOLOGIES entry, solar by default)
+     */
+    getTechnology(technology) {
+        return CONFIG.TECHNOLOGIES[technology] || CONFIG.TECHNOLOGIES.solar;
+    },
+
+    /**
+     * Build EEG market premium section for prompt
+     */
+    buildMarketPremiumSection(premium, currency) {
+        const values = premium.months.map(m => m.marketValue);
+        return `## EEG Market Premium (sliding premium on top of spot sales)
+- Applicable Value: ${premium.applicableValue} ${currency}/MWh
+- Monthly Market Value: ${Math.min(...values)} to ${Math.max(...values)} ${currency}/MWh (weighted by ${premium.marketValueSource === 'market' ? 'national solar generation' : 'asset production'})
+- Premium Revenue: ${(premium.premiumRevenue / 1000).toFixed(0)} k${currency}; total EEG revenue ${(premium.totalRevenue / 1000).toFixed(0)} k${currency}
+- Negative-Price Rule: ${premium.rule ? premium.rule.label : 'none (commissioned before 2016)'}; ${premium.suspendedHours} hours without premium, ${(premium.premiumLost / 1000).toFixed(0)} k${currency} premium lost`;
+    },
+
+    /**
+     * Build PPA settlement section for prompt
+     */
+    buildPPASection(ppa, currency) {
+        return `## Power Purchase Agreement (${CONFIG.PPA.STRUCTURES[ppa.structure].toLowerCase()})
+- Price: ${ppa.price} ${currency}/MWh${ppa.indexShare > 0 ? `, ${Math.round(ppa.indexShare * 100)}% indexed to spot` : ''}${ppa.volumeMW !== null ? `; contracted volume ${ppa.volumeMW} MW` : ''}
+- Negative Prices: ${CONFIG.PPA.NEGATIVE_CLAUSES[ppa.negativeClause]}${ppa.excludedHours > 0 ? ` (${ppa.excludedHours} hours without contract volume)` : ''}
+- Settlement: contract payments ${(ppa.contractPayment / 1000).toFixed(0)} k${currency}, spot settlement ${(ppa.spotSettlement / 1000).toFixed(0)} k${currency}; PPA revenue ${(ppa.revenue / 1000).toFixed(0)} k${currency} (${ppa.realisedPrice} ${currency}/MWh) vs merchant ${(ppa.merchantRevenue / 1000).toFixed(0)} k${currency}
+- Profile Cost: ${(ppa.profileCost / 1000).toFixed(0)} k${currency} (${ppa.profileCostPerMWh} ${currency}/MWh produced)
+- Volume Risk: ${ppa.shortfallMWh} MWh shortfall bought and ${ppa.excessMWh} MWh excess sold at spot; volume cost ${(ppa.volumeCost / 1000).toFixed(0)} k${currency}`;
+    },
+
+    /**
+     * Build two-sided CfD section for prompt
+     */
+    buildCfDSection(cfd, currency) {
+        const { comparison } = cfd;
+        return `## Two-Sided CfD (difference payments on production)
+- Strike Price: ${cfd.strikePrice} ${currency}/MWh against the ${CONFIG.CFD.REFERENCES[cfd.reference].toLowerCase()}${cfd.referenceSource === 'market' ? ' (national solar generation weighting)' : ''}
+- Negative Prices: ${CONFIG.CFD.NEGATIVE_PRICE[cfd.negativePrice]}${cfd.suspendedMWh > 0 ? ` (${cfd.suspendedMWh} MWh without difference payment)` : ''}
+- Payout: ${(cfd.payout / 1000).toFixed(0)} k${currency}; Clawback: ${(cfd.clawback / 1000).toFixed(0)} k${currency}
+- Revenue Comparison: merchant ${(comparison.merchant / 1000).toFixed(0)} k${currency}, CfD ${(comparison.cfd / 1000).toFixed(0)} k${currency}, fixed price at the strike ${(comparison.fixedAtStrike / 1000).toFixed(0)} k${currency}`;
+    },
+
+    /**
+     * Build curtailment section for prompt (metrics above are after curtailment)
+     */
+    buildCurtailmentSection(curtailment, batteryResults, currency) {
+        return `## Negative-Price Curtailment (metrics above are after curtailment)
+- Policy: ${CONFIG.CURTAILMENT.POLICIES[curtailment.policy]} (threshold ${curtailment.threshold} ${currency}/MWh)
+- Curtailed: ${curtailment.curtailedHours} hours, ${curtailment.lostMWh} MWh lost
+- Revenue Saved vs Producing: ${(curtailment.revenueSaved / 1000).toFixed(1)} k${currency}
+- Capture Price without Curtailment: ${curtailment.uncurtailedCapturePrice} ${currency}/MWh${batteryResults ? `
+- Curtailed Energy Stored by Battery: ${batteryResults.absorbedCurtailedMWh} MWh` : ''}`;
+    },
+
+    /**
+     * Build market solar benchmark section for prompt
+     */
+    buildBenchmarkSection(benchmark, source, currency) {
+        return `## Market Solar Benchmark (national solar generation, same intervals as the asset)
+- Source: ${source ? source.label : 'Energy-Charts public power'}
+- Market Solar Capture Price: ${benchmark.marketCapture} ${currency}/MWh (${benchmark.marketRate}% capture rate)
+- Asset vs Market Solar: ${this.formatPremium(benchmark, currency)}
+- Benchmark Coverage: ${benchmark.coveragePct}% of intervals`;
+    },
+
+    /**
+     * Asset premium/discount against the market solar profile (e.g., "+2.10 EUR/MWh premium (+2.5 pp)")
+     */
+    formatPremium(benchmark, currency) {
+        const sign = benchmark.premium >= 0 ? '+' : '';
+        const label = benchmark.premium >= 0 ? 'premium' : 'discount';
+        return `${sign}${benchmark.premium.toFixed(2)} ${currency}/MWh ${label} (${sign}${benchmark.ratePoints.toFixed(1)} pp capture rate)`;
+    },
+
+    /**
+     * Build hybrid portfolio section for prompt
+     */
+    buildPortfolioSection(portfolio, currency) {
+        const components = portfolio.components.map(c =>
+            `- ${CONFIG.TECHNOLOGIES[c.technology].name} ${c.capacityMW} MW: capture ${c.kpis.capturePrice} ${currency}/MWh (${c.kpis.captureRate}%), ` +
+            `${c.kpis.negativePercentage}% of output at negative prices, producing in ${c.producingPct}% of intervals`
+        );
+
+        return `## Hybrid Portfolio (combined output above; battery dispatched on the combined shape)
+${components.join('\n')}
+- Output Correlation: ${this.describeCorrelations(portfolio)}
+- Negative Exposure: ${portfolio.negativeExposure.combined}% combined vs ${portfolio.negativeExposure.worstComponent}% for the most exposed component
+- Negative Price Hours: ${portfolio.negativeHours.combined} combined vs ${portfolio.negativeHours.standaloneSum} summed over components
+- Grid Connection: ${portfolio.gridConnectionMW ? `${portfolio.gridConnectionMW} MW, ${portfolio.clippedMWh} MWh clipped` : 'not limited'}, utilisation ${portfolio.gridUtilisation}%`;
+    },
+
+    /**
+     * Build forward scenario section for prompt
+     */
+    buildForwardSection(scenarios, currency) {
+        const lines = scenarios.map(s =>
+            `- ${s.year}: baseload ${s.kpis.baseloadAvg} ${currency}/MWh, capture ${s.kpis.capturePrice} ${currency}/MWh (${s.kpis.captureRate}%), ` +
+            `${s.kpis.negativeHoursCount} negative hours, revenue ${(s.kpis.merchantRevenue / 1000).toFixed(0)} k${currency}` +
+            (s.battery ? `, battery uplift +${s.battery.upliftPercentage}%` : '')
+        );
+
+        return `## Forward Scenarios (historical hourly shapes shifted to entered forward baseload/peakload prices)
+${lines.join('\n')}`;
+    },
+
+    /**
+     * Pairwise output correlations (e.g., "Solar PV / Wind Onshore 0.12")
+     */
+    describeCorrelations(portfolio) {
+        return portfolio.correlations
+            .map(c => `${CONFIG.TECHNOLOGIES[portfolio.components[c.a].technology].name} / ` +
+                `${CONFIG.TECHNOLOGIES[portfolio.components[c.b].technology].name} ${c.value.toFixed(2)}`)
+            .join(', ');
     },
 
     /**
      * Build battery section for prompt
      */
-    buildBatterySection(batteryResults) {
+    buildBatterySection(batteryResults, currency) {
         if (!batteryResults) return '';
 
-        return `## Battery Co-location Analysis
-- Battery Configuration: ${batteryResults.config.powerMW} MW / ${batteryResults.config.energyMWh} MWh
+        const standalone = batteryResults.modes?.find(m => m.mode === 'standalone');
+        const lifetime = batteryResults.lifetime;
+        const ancillary = batteryResults.ancillary;
+        return `## Battery Analysis
+- Battery Configuration: ${batteryResults.config.powerMW} MW / ${batteryResults.config.energyMWh} MWh, ${CONFIG.BATTERY.MODES[batteryResults.config.mode].toLowerCase()}
 - Round-Trip Efficiency: ${(batteryResults.config.efficiency * 100).toFixed(0)}%
-- Revenue Uplift: ${(batteryResults.totalUplift / 1000).toFixed(0)} kEUR (+${batteryResults.upliftPercentage}%)
+- Revenue Uplift: ${(batteryResults.totalUplift / 1000).toFixed(0)} k${currency} (+${batteryResults.upliftPercentage}%)
 - Shifted Energy: ${batteryResults.totalShiftedMWh} MWh
 - Negative Exposure Reduction: ${batteryResults.negativeReduction}%
-- Effective Capture Price (with battery): ${batteryResults.effectiveCapturePrice} EUR/MWh`;
+- Effective Capture Price (with battery): ${batteryResults.effectiveCapturePrice} ${currency}/MWh
+- Charge Sources: ${batteryResults.chargeSources.curtailed} MWh curtailed, ${batteryResults.chargeSources.plant} MWh plant, ${batteryResults.chargeSources.grid} MWh grid; ${batteryResults.cyclesPerDay} cycles per day, ${batteryResults.cyclesPerYear} per year${batteryResults.config.annualCycleCap ? ` (cap ${batteryResults.config.annualCycleCap} per year)` : ''}
+- Uplift Split: shifting ${(batteryResults.shiftingRevenue / 1000).toFixed(0)} k${currency}, arbitrage ${(batteryResults.arbitrageRevenue / 1000).toFixed(0)} k${currency}${standalone && batteryResults.config.mode !== 'standalone' ? `
+- Standalone Battery on the Same Prices: ${(standalone.totalUplift / 1000).toFixed(0)} k${currency} arbitrage, ${standalone.cyclesPerYear} cycles per year` : ''}${batteryResults.optimal ? `
+- Optimal Dispatch (perfect foresight${batteryResults.optimal.totalUplift >= batteryResults.totalUplift ? ', upper bound' : ', below the heuristic, whose figure is optimistic'}): ${(batteryResults.optimal.totalUplift / 1000).toFixed(0)} k${currency} (+${batteryResults.optimal.upliftPercentage}%), ${batteryResults.optimal.cyclesPerYear} cycles per year; the daily heuristic above is the reported case` : ''}${lifetime ? `
+- Lifetime (${lifetime.years.length} years, capacity fade): ${(lifetime.totalUplift / 1000).toFixed(0)} k${currency} total uplift, ${(lifetime.averageUplift / 1000).toFixed(0)} k${currency} per year on average, ${lifetime.endSOH}% state of health at end of life
+- Augmentation: ${lifetime.augmentations.length > 0 ? lifetime.augmentations.map(a => `year ${a.year} (+${a.addedMWh} MWh)`).join(', ') : 'none'}` : ''}${ancillary ? `
+- Revenue Stack (reserve markets + arbitrage): ${ancillary.services.filter(s => s.days > 0).map(s => `${s.name} ${(s.revenue / 1000).toFixed(0)} k${currency} on ${s.days} days (avg ${s.avgReservedMW} MW)`).join(', ') || 'no reserve days'}, arbitrage ${(ancillary.arbitrageUplift / 1000).toFixed(0)} k${currency}; total ${(ancillary.totalRevenue / 1000).toFixed(0)} k${currency} vs ${(ancillary.arbitrageOnlyUplift / 1000).toFixed(0)} k${currency} arbitrage only (flat or imported reserve prices, daily reservation, activation energy-neutral)` : ''}`;
+    },
+
+    /**
+     * Finance assumptions in one line (stated in the prompt and the fallback memo)
+     */
+    describeFinanceAssumptions(finance, currency) {
+        const a = finance.assumptions;
+        return `${a.lifeYears}-year life, CAPEX ${(finance.capex.total / 1e6).toFixed(1)} M${currency}` +
+            `${finance.capex.battery > 0 ? ` incl. ${(finance.capex.battery / 1e6).toFixed(1)} M${currency} battery` : ''}, ` +
+            `OPEX ${a.opexPct}% of CAPEX per year, degradation ${a.degradationPct.toFixed(2)}%/yr, inflation ${a.inflationPct}%/yr, ` +
+            `discount rate ${a.discountPct}%, tax ${a.taxPct}% with ${a.depreciationYears}-year straight-line depreciation, ` +
+            `debt ${a.debtRatePct}% over ${a.tenorYears} years sized to ${a.targetDSCR}x DSCR on CFADS after tax paid (max ${a.maxGearingPct}% gearing)`;
+    },
+
+    /**
+     * Build project finance section for prompt
+     */
+    buildFinanceSection(finance, currency) {
+        const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+        return `## Project Finance
+- Assumptions: ${this.describeFinanceAssumptions(finance, currency)}; year-1 revenue and production from the analysed period
+- Project NPV: ${(finance.projectNPV / 1000).toFixed(0)} k${currency}
+- Project IRR: ${percent(finance.projectIRR)} (unlevered, post-tax); Equity IRR: ${percent(finance.equityIRR)}
+- Debt: ${(finance.debt.amount / 1e6).toFixed(1)} M${currency} (${finance.debt.gearingPct}% gearing), minimum DSCR ${finance.minDSCR === null ? 'n/a' : `${finance.minDSCR}x`}
+- LCOE (plant, excl. battery): ${finance.lcoe === null ? 'n/a' : `${finance.lcoe} ${currency}/MWh`}`;
+    },
+
+    /**
+     * Build Monte Carlo annual revenue section for prompt
+     */
+    buildMonteCarloSection(monteCarlo, currency) {
+        const thousands = value => `${(value / 1000).toFixed(0)} k${currency}`;
+        return `## Annual Revenue Distribution (Monte Carlo)
+- Method: ${monteCarlo.simulations} synthetic years bootstrapped from ${monteCarlo.blockCount} historical ${monteCarlo.blockType === 'week' ? 'weeks' : 'days'} of the same season, ${CONFIG.MONTE_CARLO.SAMPLING[monteCarlo.sampling].toLowerCase()}
+- P10 / P50 / P90: ${thousands(monteCarlo.p10)} / ${thousands(monteCarlo.p50)} / ${thousands(monteCarlo.p90)} (mean ${thousands(monteCarlo.mean)}, std. dev. ${thousands(monteCarlo.stdDev)})
+- Historical period annualised: ${thousands(monteCarlo.historical)}`;
+    },
+
+    /**
+     * Build battery sizing section for prompt
+     */
+    buildSizingSection(sizing, currency) {
+        const { best } = sizing;
+        const cells = sizing.cells.flat();
+        const topUplift = cells.reduce((a, b) => (b.uplift > a.uplift ? b : a));
+        return `## Battery Sizing Study
+- Grid: ${sizing.powersMW.join(', ')} MW x ${sizing.durationsH.join(', ')} h, CAPEX ${(sizing.capexPerMW / 1000).toFixed(0)} k${currency}/MW + ${(sizing.capexPerMWh / 1000).toFixed(0)} k${currency}/MWh spread over ${sizing.years} years
+- Best Net Value: ${best.powerMW} MW / ${best.energyMWh} MWh (${best.durationH} h), ${(best.uplift / 1000).toFixed(0)} k${currency}/yr uplift, ${(best.netValue / 1000).toFixed(0)} k${currency}/yr after CAPEX
+- Highest Uplift: ${topUplift.powerMW} MW / ${topUplift.energyMWh} MWh, ${(topUplift.uplift / 1000).toFixed(0)} k${currency}/yr (${(topUplift.netValue / 1000).toFixed(0)} k${currency}/yr after CAPEX)`;
     },
 
     /**
      * Extract key findings from data
      */
-    extractKeyFindings(kpis, batteryResults, hasBattery) {
+    extractKeyFindings(kpis, batteryResults, hasBattery, market = 'DE-LU', technology = 'solar') {
         const findings = [];
+        const marketConfig = CONFIG.MARKETS[market] || CONFIG.MARKETS['DE-LU'];
+        const tech = this.getTechnology(technology);
 
         // Capture rate assessment
         if (kpis.captureRate < 75) {
-            findings.push(`ALERT: Capture rate of ${kpis.captureRate}% indicates severe solar cannibalization effect`);
+            findings.push(`ALERT: Capture rate of ${kpis.captureRate}% indicates severe ${tech.noun} cannibalization effect`);
         } else if (kpis.captureRate < 85) {
-            findings.push(`Capture rate of ${kpis.captureRate}% shows significant price depression during solar hours`);
+            findings.push(`Capture rate of ${kpis.captureRate}% shows significant price depression during ${tech.productionHours}`);
         } else if (kpis.captureRate < 95) {
-            findings.push(`Moderate capture rate of ${kpis.captureRate}% - typical for German solar`);
+            findings.push(`Moderate capture rate of ${kpis.captureRate}% - typical for ${marketConfig.adjective} ${tech.noun}`);
         } else {
-            findings.push(`Strong capture rate of ${kpis.captureRate}% - above typical solar benchmarks`);
+            findings.push(`Strong capture rate of ${kpis.captureRate}% - above typical ${tech.noun} benchmarks`);
+        }
+
+        // Shape relative to the national solar fleet
+        if (kpis.marketBenchmark) {
+            const { ratePoints, marketRate } = kpis.marketBenchmark;
+            if (ratePoints >= 2) {
+                findings.push(`Capture rate ${ratePoints} pp above the market solar profile (${marketRate}%) - production shape beats the national solar fleet`);
+            } else if (ratePoints <= -2) {
+                findings.push(`Capture rate ${Math.abs(ratePoints)} pp below the market solar profile (${marketRate}%) - production is more concentrated in low-price hours than the national solar fleet`);
+            } else {
+                findings.push(`Capture rate in line with the market solar profile (${marketRate}%)`);
+            }
         }
 
         // Negative price exposure
@@ -148,25 +368,44 @@ End with a brief "Assumptions & Limitations" section.`;
      * Generate fallback memo when API is unavailable
      */
     generateFallbackMemo(analysisData) {
-        const { kpis, batteryResults, hasBattery, capacityMW, market } = analysisData;
+        const { kpis, batteryResults, hasBattery, capacityMW, market, technology } = analysisData;
+        const marketConfig = CONFIG.MARKETS[market] || CONFIG.MARKETS['DE-LU'];
+        const tech = this.getTechnology(technology);
+        const currency = marketConfig.currency;
 
         let memo = `### Key Findings
 
 - **Capture Rate at ${kpis.captureRate}%**: `;
 
         if (kpis.captureRate < 80) {
-            memo += `The asset experiences significant price cannibalization, with PV-weighted prices substantially below baseload average. This is consistent with high solar penetration in the ${market} market.`;
+            memo += `The asset experiences significant price cannibalization, with ${tech.short}-weighted prices substantially below baseload average. This is consistent with high ${tech.noun} penetration in the ${marketConfig.name} (${market}) market.`;
         } else if (kpis.captureRate < 95) {
-            memo += `Moderate capture discount typical for German solar assets. The spread between baseload (${kpis.baseloadAvg} EUR/MWh) and capture price (${kpis.capturePrice} EUR/MWh) reflects solar-induced price depression.`;
+            memo += `Moderate capture discount typical for ${marketConfig.adjective} ${tech.noun} assets. The spread between baseload (${kpis.baseloadAvg} ${currency}/MWh) and capture price (${kpis.capturePrice} ${currency}/MWh) reflects ${tech.noun}-induced price depression.`;
         } else {
             memo += `Strong capture performance above typical benchmarks. Consider validating against longer historical periods.`;
         }
 
+        if (kpis.marketBenchmark) {
+            const benchmark = kpis.marketBenchmark;
+            memo += `
+
+- **Against Market Solar**: ${this.formatPremium(benchmark, currency)} relative to national solar generation, which captured ${benchmark.marketCapture} ${currency}/MWh (${benchmark.marketRate}%). `;
+            memo += benchmark.ratePoints >= 0
+                ? `The asset's production shape is worth at least as much as the market's solar profile.`
+                : `The asset produces more in low-price hours than the national solar fleet.`;
+        }
+
         memo += `
 
 - **Negative Price Exposure**: ${kpis.negativeHoursCount} hours of negative prices during production (${kpis.negativePercentage}% of output). `;
 
-        if (kpis.negativePercentage > 3) {
+        if (kpis.curtailment) {
+            const { curtailment } = kpis;
+            memo += `With output curtailed below ${curtailment.threshold} ${currency}/MWh, ${curtailment.lostMWh} MWh were not produced in ${curtailment.curtailedHours} hours, saving ${(curtailment.revenueSaved / 1000).toFixed(1)} k${currency} and lifting the capture price from ${curtailment.uncurtailedCapturePrice} to ${kpis.capturePrice} ${currency}/MWh.`;
+            if (hasBattery && batteryResults?.absorbedCurtailedMWh > 0) {
+                memo += ` The battery stores ${batteryResults.absorbedCurtailedMWh} MWh of otherwise curtailed energy.`;
+            }
+        } else if (kpis.negativePercentage > 3) {
             memo += `This level warrants evaluation of curtailment strategies and PPA floor provisions.`;
         } else {
             memo += `Currently manageable but trending higher with increasing renewable penetration.`;
@@ -174,31 +413,137 @@ End with a brief "Assumptions & Limitations" section.`;
 
         memo += `
 
-- **Revenue Profile**: Total merchant revenue of ${(kpis.merchantRevenue / 1000).toFixed(0)} kEUR with monthly P5/P50/P95 of ${(kpis.riskMetrics.p5 / 1000).toFixed(0)}/${(kpis.riskMetrics.p50 / 1000).toFixed(0)}/${(kpis.riskMetrics.p95 / 1000).toFixed(0)} kEUR.`;
+- **Revenue Profile**: Total merchant revenue of ${(kpis.merchantRevenue / 1000).toFixed(0)} k${currency} with monthly P5/P50/P95 of ${(kpis.riskMetrics.p5 / 1000).toFixed(0)}/${(kpis.riskMetrics.p50 / 1000).toFixed(0)}/${(kpis.riskMetrics.p95 / 1000).toFixed(0)} k${currency}.`;
+
+        const monteCarlo = analysisData.monteCarlo;
+        if (monteCarlo) {
+            memo += ` Across ${monteCarlo.simulations.toLocaleString()} bootstrapped synthetic years, annual merchant revenue ranges from **${(monteCarlo.p10 / 1000).toFixed(0)} k${currency} (P10)** to **${(monteCarlo.p90 / 1000).toFixed(0)} k${currency} (P90)** around a P50 of ${(monteCarlo.p50 / 1000).toFixed(0)} k${currency}${monteCarlo.sampling === 'independent' ? ', with price and weather drawn independently' : ''}.`;
+        }
+
+        if (kpis.marketPremium) {
+            const premium = kpis.marketPremium;
+            memo += `
+
+- **EEG Market Premium**: The sliding premium adds ${(premium.premiumRevenue / 1000).toFixed(0)} k${currency} to spot sales (${(premium.totalRevenue / 1000).toFixed(0)} k${currency} in total) at an applicable value of ${premium.applicableValue} ${currency}/MWh. ${premium.rule ? `Under the ${premium.rule.label} rule, ${premium.suspendedHours} hours earn no premium (${(premium.premiumLost / 1000).toFixed(0)} k${currency} lost).` : 'No negative-price rule applies to this commissioning year.'}`;
+        }
+
+        if (kpis.ppa) {
+            const { ppa } = kpis;
+            memo += `
+
+- **${CONFIG.PPA.STRUCTURES[ppa.structure]} PPA at ${ppa.price} ${currency}/MWh**: Revenue of ${(ppa.revenue / 1000).toFixed(0)} k${currency} (${ppa.realisedPrice} ${currency}/MWh realised) vs ${(ppa.merchantRevenue / 1000).toFixed(0)} k${currency} merchant. `;
+            memo += ppa.structure === 'pay-as-produced'
+                ? `The buyer takes the production profile, so the seller keeps only volume risk${ppa.indexShare > 0 ? ' and the indexed share of price risk' : ''}${ppa.excludedHours > 0 ? ` and spot exposure in ${ppa.excludedHours} negative-price hours` : ''}.`
+                : `Settling ${ppa.shortfallMWh} MWh of shortfall and ${ppa.excessMWh} MWh of excess at spot costs ${(ppa.profileCost / 1000).toFixed(0)} k${currency} in profile and ${(ppa.volumeCost / 1000).toFixed(0)} k${currency} in volume terms.`;
+        }
+
+        if (kpis.cfd) {
+            const { cfd } = kpis;
+            memo += `
+
+- **Two-Sided CfD at ${cfd.strikePrice} ${currency}/MWh**: Net revenue of ${(cfd.comparison.cfd / 1000).toFixed(0)} k${currency} vs ${(cfd.comparison.merchant / 1000).toFixed(0)} k${currency} merchant and ${(cfd.comparison.fixedAtStrike / 1000).toFixed(0)} k${currency} at a fixed price equal to the strike. Payouts of ${(cfd.payout / 1000).toFixed(0)} k${currency} and clawbacks of ${(cfd.clawback / 1000).toFixed(0)} k${currency} against the ${CONFIG.CFD.REFERENCES[cfd.reference].toLowerCase()}${cfd.reference === 'hourly' ? ' remove price risk on produced volumes but leave volume risk' : ' leave the asset exposed to its shape relative to the reference'}.`;
+        }
 
         memo += `
 
 ### Risk Assessment
 
-- **Shape Risk**: Primary risk driver is continued compression of solar capture rates as renewable capacity grows. Historical data shows accelerating trend.
-- **Merchant Exposure**: Full spot exposure creates significant downside during low-price periods, particularly spring/summer midday hours.`;
+- **Shape Risk**: Primary risk driver is continued compression of ${tech.noun} capture rates as renewable capacity grows. Historical data shows accelerating trend.
+- **Merchant Exposure**: Full spot exposure creates significant downside during low-price periods, particularly ${tech.lowPriceWindow}.`;
+
+        if (analysisData.portfolio) {
+            const { portfolio } = analysisData;
+            memo += `
+
+### Portfolio Complementarity
+
+- Output correlation: ${this.describeCorrelations(portfolio)} (lower values mean the components fill each other's gaps)
+- Negative exposure of ${portfolio.negativeExposure.combined}% vs ${portfolio.negativeExposure.worstComponent}% for the most exposed component alone
+- The portfolio produces in ${portfolio.producingPct}% of intervals${portfolio.gridConnectionMW ? `; ${portfolio.clippedMWh} MWh clipped at the ${portfolio.gridConnectionMW} MW grid connection` : ''}`;
+        }
+
+        if (analysisData.forwardScenarios?.length) {
+            memo += `
+
+### Forward View
+
+${analysisData.forwardScenarios.map(s => `- **${s.year}**: expected capture price ${s.kpis.capturePrice} ${currency}/MWh (${s.kpis.captureRate}% of ${s.kpis.baseloadAvg} ${currency}/MWh baseload), merchant revenue ${(s.kpis.merchantRevenue / 1000).toFixed(0)} k${currency}`).join('\n')}
+- Forward figures reuse historical shapes; they do not anticipate further ${tech.noun} build-out deepening the capture discount.`;
+        }
 
         if (hasBattery && batteryResults) {
             memo += `
 
 ### Battery Impact
 
-Co-located battery (${batteryResults.config.powerMW} MW / ${batteryResults.config.energyMWh} MWh) analysis shows:
-- Revenue uplift of **+${(batteryResults.totalUplift / 1000).toFixed(0)} kEUR** (+${batteryResults.upliftPercentage}%)
-- Effective capture price improvement to **${batteryResults.effectiveCapturePrice} EUR/MWh**
-- Negative exposure reduction of **${batteryResults.negativeReduction.toFixed(0)}%**`;
+${batteryResults.config.mode === 'standalone' ? 'Standalone' : 'Co-located'} battery (${batteryResults.config.powerMW} MW / ${batteryResults.config.energyMWh} MWh, ${CONFIG.BATTERY.MODES[batteryResults.config.mode].toLowerCase()}) analysis shows:
+- Revenue uplift of **+${(batteryResults.totalUplift / 1000).toFixed(0)} k${currency}** (+${batteryResults.upliftPercentage}%)
+- Effective capture price improvement to **${batteryResults.effectiveCapturePrice} ${currency}/MWh**
+- Negative exposure reduction of **${batteryResults.negativeReduction.toFixed(0)}%**
+- ${(batteryResults.shiftingRevenue / 1000).toFixed(0)} k${currency} from shifting plant output and ${(batteryResults.arbitrageRevenue / 1000).toFixed(0)} k${currency} from grid arbitrage at ${batteryResults.cyclesPerYear} cycles per year`;
+            const standalone = batteryResults.modes?.find(m => m.mode === 'standalone');
+            if (standalone && batteryResults.config.mode !== 'standalone') {
+                memo += `
+- A standalone battery on the same prices would earn ${(standalone.totalUplift / 1000).toFixed(0)} k${currency}`;
+            }
+            const optimal = batteryResults.optimal;
+            if (optimal && optimal.totalUplift >= batteryResults.totalUplift) {
+                memo += `
+- Perfect-foresight dispatch bounds the uplift at **+${(optimal.totalUplift / 1000).toFixed(0)} k${currency}** (+${optimal.upliftPercentage}%); realistic forecast-based dispatch lies between the two`;
+            } else if (optimal) {
+                memo += `
+- Perfect-foresight dispatch reaches +${(optimal.totalUplift / 1000).toFixed(0)} k${currency} (+${optimal.upliftPercentage}%), below the daily heuristic; treat the heuristic figure as optimistic (in plant-only mode it can discharge before it has charged)`;
+            }
+            const lifetime = batteryResults.lifetime;
+            if (lifetime && lifetime.years.length > 0) {
+                const first = lifetime.years[0];
+                const last = lifetime.years[lifetime.years.length - 1];
+                memo += `
+- Over ${lifetime.years.length} operating years capacity fade takes the annual uplift from ${(first.uplift / 1000).toFixed(0)} k${currency} to ${(last.uplift / 1000).toFixed(0)} k${currency} (${(lifetime.totalUplift / 1000).toFixed(0)} k${currency} in total)${lifetime.augmentations.length > 0 ? `, with augmentation in year ${lifetime.augmentations.map(a => a.year).join(', ')}` : ''}`;
+            }
+            const ancillary = batteryResults.ancillary;
+            if (ancillary) {
+                const reserve = ancillary.services.filter(s => s.days > 0);
+                memo += `
+- Stacking reserve markets${reserve.length > 0 ? ` (${reserve.map(s => s.name).join(', ')})` : ''} takes battery revenue to **${(ancillary.totalRevenue / 1000).toFixed(0)} k${currency}** against ${(ancillary.arbitrageOnlyUplift / 1000).toFixed(0)} k${currency} from arbitrage alone; reserve prices are assumptions to validate against recent auction results`;
+            }
+        }
+
+        const finance = analysisData.finance;
+        if (finance) {
+            const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+            memo += `
+
+### Project Finance
+
+- Project NPV of **${(finance.projectNPV / 1000).toFixed(0)} k${currency}**, project IRR **${percent(finance.projectIRR)}**, equity IRR **${percent(finance.equityIRR)}**
+- Plant LCOE of ${finance.lcoe === null ? 'n/a' : `${finance.lcoe} ${currency}/MWh`} against a ${kpis.capturePrice} ${currency}/MWh capture price
+- ${(finance.debt.amount / 1e6).toFixed(1)} M${currency} debt (${finance.debt.gearingPct}% gearing) with a minimum DSCR of ${finance.minDSCR === null ? 'n/a' : `${finance.minDSCR}x`}
+- Assumptions: ${this.describeFinanceAssumptions(finance, currency)}; the analysed period is taken as year 1`;
         }
 
+        const sizing = analysisData.batterySizing;
+        if (sizing) {
+            const { best } = sizing;
+            memo += `
+
+### Battery Sizing
+
+- Of ${sizing.cells.flat().length} sizes tested, **${best.powerMW} MW / ${best.energyMWh} MWh** (${best.durationH} h) gives the highest net value: ${(best.uplift / 1000).toFixed(0)} k${currency}/yr uplift, **${(best.netValue / 1000).toFixed(0)} k${currency}/yr** after CAPEX spread over ${sizing.years} years`;
+        }
+
+        const benchmarkSource = analysisData.marketBenchmark?.source;
+        const benchmarkNote = benchmarkSource === 'fixture'
+            ? ' (the market solar benchmark used the modelled typical German profile - rerun online for the actual national generation)'
+            : benchmarkSource === 'none'
+                ? ` (the market solar benchmark was skipped: ${analysisData.marketBenchmark.label} - rerun online)`
+                : '';
+
         memo += `
 
 ### Actions to Validate
 
-- Benchmark capture rate against peer assets and forward curves
+- Benchmark capture rate against peer assets and forward curves${benchmarkNote}
 - Evaluate PPA alternatives with floor provisions
 - ${hasBattery ? 'Refine battery dispatch model with actual market data' : 'Assess battery co-location economics'}
 - Review curtailment clause implications in existing contracts
@@ -206,11 +551,40 @@ Co-located battery (${batteryResults.config.powerMW} MW / ${batteryResults.confi
 ---
 **Assumptions & Limitations**
 
-This analysis uses ${analysisData.dataSource === 'demo' ? 'sample data (demo mode)' : 'historical day-ahead prices from Energy-Charts/SMARD'} and a ${analysisData.pvSource === 'synthetic' ? 'synthetic' : 'PVGIS-based'} PV production profile. Actual asset performance may vary based on specific location, technology, and operational factors. Battery simulation uses a simplified daily dispatch model - detailed analysis should incorporate intraday trading opportunities. This is not financial advice.`;
+This analysis uses ${this.describePriceSource(analysisData)} and ${this.describeProductionSource(analysisData, marketConfig)}. Data quality: ${DataQuality.summarize(analysisData.dataQuality)} (see the Data Quality panel). Random seed ${analysisData.seed} - rerunning with the same inputs and seed reproduces these figures exactly. Actual asset performance may vary based on specific location, technology, and operational factors. Battery simulation uses a simplified daily dispatch model - detailed analysis should incorporate intraday trading opportunities. This is not financial advice.`;
 
         return memo;
     },
 
+    /**
+     * Describe the price data source for the assumptions section
+     */
+    describePriceSource(analysisData) {
+        const { dataSource, priceFile, market } = analysisData;
+
+        if (dataSource === 'demo') return 'sample data (demo mode)';
+        if (dataSource === 'upload') return `a user-supplied price series from "${priceFile}" (not validated against exchange data)`;
+        return `historical ${market} day-ahead prices from ${market === 'DE-LU' ? 'Energy-Charts/SMARD' : 'Energy-Charts'}`;
+    },
+
+    /**
+     * Describe the production profile source for the assumptions section
+     */
+    describeProductionSource(analysisData, marketConfig) {
+        const { pvSource, pvSourceLabel, pvCapacityFactor, technology } = analysisData;
+
+        if (analysisData.portfolio) return `a hybrid portfolio of ${pvSourceLabel}`;
+        if (pvSource === 'metered') return `metered production data (${pvSourceLabel}), so results reflect actual output including outages and curtailment`;
+        if (pvSource === 'pvgis') return `a PVGIS-based PV production profile`;
+        const cf = pvCapacityFactor
+            ? ` with an annual capacity factor of ${(pvCapacityFactor.model * 100).toFixed(1)}% (typical for the market: ${(pvCapacityFactor.reference * 100).toFixed(1)}%)`
+            : '';
+        if (CONFIG.TECHNOLOGIES[technology]?.site) {
+            return `a synthetic ${this.getTechnology(technology).noun} production profile (Weibull wind speeds with seasonal and diurnal patterns, scaled to hub height through a turbine power curve; ${pvSourceLabel}) for ${marketConfig.name}${cf}`;
+        }
+        return `a synthetic PV production profile (clear-sky solar geometry model with stochastic weather) for a site in ${marketConfig.name}${cf}`;
+    },
+
     /**
      * Format API response into markdown
      */
@@ -0,0 +1,53 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Seeded Random
+ * Deterministic pseudo-random numbers so analyses can be reproduced exactly
+ * Loaded before constants.js (sample prices are generated at load time).
+ */
+
+const SeededRandom = {
+    /**
+     * Create a generator (mulberry32)
+     * @param {number} seed - 32-bit integer seed
+     * @returns {Function} Drop-in replacement for Math.random (returns [0, 1))
+     */
+    create(seed) {
+        let state = this.normalizeSeed(seed);
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Derive an independent stream for one consumer from the analysis seed
+     * Keeps e.g. PV weather unchanged when the price generator draws more numbers.
+     * @param {number} seed - Analysis seed
+     * @param {string} stream - Consumer name (e.g., 'pv-weather')
+     * @returns {Function} Generator
+     */
+    fork(seed, stream) {
+        let hash = this.normalizeSeed(seed) ^ 0x811C9DC5;
+        for (let i = 0; i < stream.length; i++) {
+            hash = Math.imul(hash ^ stream.charCodeAt(i), 0x01000193) >>> 0;
+        }
+        return this.create(hash);
+    },
+
+    /**
+     * Coerce user input to an unsigned 32-bit integer seed
+     */
+    normalizeSeed(value) {
+        const num = Math.floor(Number(value));
+        return isFinite(num) ? num >>> 0 : CONFIG.RANDOM.DEFAULT_SEED;
+    },
+
+    /**
+     * Random seed for the "new seed" button (not itself reproducible)
+     */
+    randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+};
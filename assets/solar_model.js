@@ -0,0 +1,149 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Solar Model
+ * Solar geometry, clear-sky irradiance and plane-of-array transposition
+ */
+
+const SolarModel = {
+    SOLAR_CONSTANT: 1367, // W/m2
+    DEG: Math.PI / 180,
+
+    /**
+     * Day of year (1-366) in UTC
+     */
+    getDayOfYearUTC(date) {
+        return Math.floor((date.getTime() - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+    },
+
+    /**
+     * Solar position (Spencer declination and equation of time)
+     * @param {Date} date - Instant (UTC)
+     * @param {number} lat - Latitude in degrees
+     * @param {number} lon - Longitude in degrees (east positive)
+     * @returns {Object} {zenith, azimuth, declination, hourAngle} in radians;
+     *   azimuth measured from south, west positive
+     */
+    getSolarPosition(date, lat, lon) {
+        const n = this.getDayOfYearUTC(date);
+        const g = 2 * Math.PI * (n - 1) / 365; // Fractional year
+
+        const declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+            - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+            - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+        // Equation of time in minutes
+        const eot = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+            - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+
+        const utcHours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+        const solarTime = utcHours + lon / 15 + eot / 60;
+        const hourAngle = (solarTime - 12) * 15 * this.DEG;
+
+        const phi = lat * this.DEG;
+        const cosZenith = Math.sin(phi) * Math.sin(declination)
+            + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle);
+        const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith)));
+
+        let azimuth = 0;
+        const sinZenith = Math.sin(zenith);
+        if (sinZenith > 1e-6) {
+            const cosAz = (cosZenith * Math.sin(phi) - Math.sin(declination)) / (sinZenith * Math.cos(phi));
+            azimuth = Math.sign(hourAngle) * Math.acos(Math.max(-1, Math.min(1, cosAz)));
+        }
+
+        return { zenith, azimuth, declination, hourAngle };
+    },
+
+    /**
+     * Clear-sky irradiance (Kasten-Young air mass, Meinel beam attenuation)
+     * @param {number} zenith - Solar zenith (radians)
+     * @param {number} dayOfYear - Day of year for the Earth-Sun distance correction
+     * @returns {Object} {dni, dhi, ghi} in W/m2
+     */
+    getClearSkyIrradiance(zenith, dayOfYear) {
+        const cosZenith = Math.cos(zenith);
+        if (cosZenith <= 0) return { dni: 0, dhi: 0, ghi: 0 };
+
+        const extraterrestrial = this.SOLAR_CONSTANT * (1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365));
+        const zenithDeg = zenith / this.DEG;
+        const airMass = 1 / (cosZenith + 0.50572 * Math.pow(96.07995 - zenithDeg, -1.6364));
+
+        const dni = extraterrestrial * Math.pow(0.7, Math.pow(airMass, 0.678));
+        const dhi = CONFIG.PV.CLEAR_SKY_DIFFUSE_RATIO * dni;
+        const ghi = dni * cosZenith + dhi;
+
+        return { dni, dhi, ghi };
+    },
+
+    /**
+     * Surface orientation of a horizontal N-S single-axis tracker (backtracking ignored)
+     * @param {Object} position - Output of getSolarPosition
+     * @param {number} maxRotationDeg - Rotation limit in degrees
+     * @returns {Object} {tilt, azimuth} in radians
+     */
+    getTrackerOrientation(position, maxRotationDeg = CONFIG.PV.TRACKER_MAX_ROTATION) {
+        const { zenith, azimuth } = position;
+        const ideal = Math.atan(Math.tan(zenith) * Math.sin(azimuth));
+        const limit = maxRotationDeg * this.DEG;
+        const rotation = Math.max(-limit, Math.min(limit, ideal));
+
+        return {
+            tilt: Math.abs(rotation),
+            azimuth: rotation >= 0 ? 90 * this.DEG : -90 * this.DEG
+        };
+    },
+
+    /**
+     * Plane-of-array irradiance (isotropic sky transposition)
+     * @param {Object} irradiance - {dni, dhi, ghi} in W/m2
+     * @param {Object} position - Output of getSolarPosition
+     * @param {Object} surface - {tilt, azimuth} in radians (azimuth from south, west positive)
+     * @returns {number} POA irradiance in W/m2
+     */
+    getPlaneOfArrayIrradiance(irradiance, position, surface) {
+        const { dni, dhi, ghi } = irradiance;
+        if (ghi <= 0) return 0;
+
+        const cosIncidence = Math.cos(position.zenith) * Math.cos(surface.tilt)
+            + Math.sin(position.zenith) * Math.sin(surface.tilt) * Math.cos(position.azimuth - surface.azimuth);
+
+        const beam = dni * Math.max(0, cosIncidence);
+        const sky = dhi * (1 + Math.cos(surface.tilt)) / 2;
+        const ground = ghi * CONFIG.PV.ALBEDO * (1 - Math.cos(surface.tilt)) / 2;
+
+        return beam + sky + ground;
+    },
+
+    /**
+     * AC output per MW of grid (AC) capacity for a given POA irradiance
+     * DC array is sized at dcAcRatio x AC; inverter clips at AC capacity.
+     * @param {number} poa - Plane-of-array irradiance in W/m2
+     * @param {Object} array - {dcAcRatio, loss} (loss in %)
+     * @returns {Object} {output, clipped} per MW AC (0-1)
+     */
+    getACOutputPerMW(poa, array) {
+        const dc = array.dcAcRatio * (poa / 1000) * (1 - array.loss / 100);
+        return {
+            output: Math.min(dc, 1),
+            clipped: Math.max(0, dc - 1)
+        };
+    },
+
+    /**
+     * Clear-sky AC output per MW for a site at an instant
+     * @param {Date} date - Instant (use the interval midpoint)
+     * @param {Object} site - {lat, lon, tilt, azimuth (degrees), mounting, dcAcRatio, loss}
+     * @returns {Object} {output, clipped} per MW AC
+     */
+    getClearSkyOutput(date, site) {
+        const position = this.getSolarPosition(date, site.lat, site.lon);
+        if (position.zenith >= 90 * this.DEG) return { output: 0, clipped: 0 };
+
+        const irradiance = this.getClearSkyIrradiance(position.zenith, this.getDayOfYearUTC(date));
+        const surface = site.mounting === 'tracker'
+            ? this.getTrackerOrientation(position)
+            : { tilt: site.tilt * this.DEG, azimuth: site.azimuth * this.DEG };
+
+        const poa = this.getPlaneOfArrayIrradiance(irradiance, position, surface);
+        return this.getACOutputPerMW(poa, site);
+    }
+};
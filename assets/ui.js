@@ -8,7 +8,13 @@ const UI = {
     state: {
         currentStep: 1,
         isLoading: false,
-        analysisComplete: false
+        analysisComplete: false,
+        uploads: {
+            price: null,
+            production: null,
+            ancillary: {} // "<service>-capacity" / "<service>-energy" -> {fileName, series}
+        },
+        importSession: null
     },
 
     /**
@@ -16,8 +22,12 @@ const UI = {
      */
     init() {
         this.initEnergyMesh();
+        this.initMarketOptions();
+        this.initTechnologyOptions();
+        this.initAncillaryServices();
         this.initNavigation();
         this.initFormHandlers();
+        this.initImportDialog();
         this.initExportHandlers();
         this.initTooltips();
     },
@@ -105,6 +115,146 @@ const UI = {
         };
     },
 
+    /**
+     * Populate bidding zone select from CONFIG.MARKETS
+     */
+    initMarketOptions() {
+        const select = document.getElementById('market');
+        if (!select) return;
+
+        const current = select.value || 'DE-LU';
+        select.innerHTML = '';
+
+        Object.entries(CONFIG.MARKETS).forEach(([code, market]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${code} (${market.name})`;
+            option.selected = code === current;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Populate technology and turbine selects from CONFIG.TECHNOLOGIES / CONFIG.WIND.TURBINES
+     * (the hybrid portfolio entry only labels combined results)
+     */
+    initTechnologyOptions() {
+        const fill = (id, entries, current) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const selected = select.value || current;
+            select.innerHTML = '';
+            entries.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === selected;
+                select.appendChild(option);
+            });
+        };
+
+        fill('technology', Object.entries(CONFIG.TECHNOLOGIES).filter(([, t]) => !t.portfolio).map(([key, t]) => [key, t.name]), 'solar');
+        fill('wind-turbine', Object.entries(CONFIG.WIND.TURBINES).map(([key, t]) => [key, t.name]), CONFIG.WIND.onshore.DEFAULT_TURBINE);
+    },
+
+    /**
+     * Build the reserve market rows (CONFIG.BATTERY.ANCILLARY.SERVICES) with flat prices and series imports
+     */
+    initAncillaryServices() {
+        const list = document.getElementById('ancillary-services');
+        if (!list) return;
+
+        Object.entries(CONFIG.BATTERY.ANCILLARY.SERVICES).forEach(([key, service]) => {
+            const block = document.createElement('div');
+            block.className = 'ancillary-service';
+            block.dataset.service = key;
+            block.innerHTML = `
+                <div class="ancillary-row">
+                    <label class="toggle-label">
+                        <input type="checkbox" class="ancillary-enabled" checked>
+                        <span class="toggle-switch"></span>
+                        <span>${service.name}</span>
+                    </label>
+                    <div class="input-group" title="Capacity price">
+                        <input type="number" class="form-input ancillary-capacity" value="${service.capacityPrice}" min="0" step="0.1">
+                        <span class="input-unit">EUR/MW/h</span>
+                    </div>
+                    <div class="input-group" title="Activation margin over spot">
+                        <input type="number" class="form-input ancillary-energy" value="${service.energyPrice}" step="1">
+                        <span class="input-unit">EUR/MWh</span>
+                    </div>
+                    <div class="input-group" title="Expected activation (share of reserved energy)">
+                        <input type="number" class="form-input ancillary-activation" value="${service.activationPct}" min="0" max="100" step="0.5">
+                        <span class="input-unit">%</span>
+                    </div>
+                    <label class="btn-secondary" title="Import capacity price series">
+                        Capacity CSV
+                        <input type="file" class="ancillary-file" data-kind="capacity" accept=".csv,.json,.txt">
+                    </label>
+                    <label class="btn-secondary" title="Import activation margin series">
+                        Activation CSV
+                        <input type="file" class="ancillary-file" data-kind="energy" accept=".csv,.json,.txt">
+                    </label>
+                </div>
+                <span class="form-hint ancillary-status">Flat prices</span>`;
+            list.appendChild(block);
+
+            block.querySelectorAll('.ancillary-file').forEach(input => {
+                input.addEventListener('change', async (e) => {
+                    const file = e.target.files[0];
+                    if (!file) return;
+
+                    const kind = e.target.dataset.kind;
+                    const result = await this.openImportDialog(file, {
+                        title: `Import ${service.name} ${kind === 'capacity' ? 'Capacity' : 'Activation'} Prices`,
+                        valueLabel: 'Price Column',
+                        valuePattern: /price|preis|eur|value|wert/i,
+                        units: kind === 'capacity' ? CONFIG.BATTERY.ANCILLARY.CAPACITY_UNITS : CONFIG.IMPORT.PRICE_UNITS
+                    });
+                    e.target.value = '';
+                    if (!result) return;
+
+                    this.state.uploads.ancillary[`${key}-${kind}`] = { fileName: file.name, series: result.series };
+                    const uploads = ['capacity', 'energy']
+                        .map(k => this.state.uploads.ancillary[`${key}-${k}`])
+                        .filter(Boolean);
+                    block.querySelector('.ancillary-status').textContent =
+                        `Imported: ${uploads.map(u => `${u.fileName} (${u.series.length} points)`).join(', ')}`;
+                });
+            });
+        });
+    },
+
+    /**
+     * Reserve services selected in step 3 (empty when stacking is disabled)
+     * @returns {Array} [{key, name, headroomHours, capacityPrice, energyPrice, activationPct,
+     *   capacitySeries, energySeries}] - series are imported [{timestamp, value}] or null
+     */
+    getAncillaryServices() {
+        if (!document.getElementById('enable-ancillary')?.checked) return [];
+
+        return Array.from(document.querySelectorAll('#ancillary-services .ancillary-service'))
+            .filter(block => block.querySelector('.ancillary-enabled').checked)
+            .map(block => {
+                const key = block.dataset.service;
+                const defaults = CONFIG.BATTERY.ANCILLARY.SERVICES[key];
+                const value = (selector, fallback) => {
+                    const parsed = parseFloat(block.querySelector(selector).value);
+                    return Number.isFinite(parsed) ? parsed : fallback;
+                };
+                return {
+                    key,
+                    name: defaults.name,
+                    headroomHours: defaults.headroomHours,
+                    capacityPrice: value('.ancillary-capacity', defaults.capacityPrice),
+                    energyPrice: value('.ancillary-energy', defaults.energyPrice),
+                    activationPct: Math.min(Math.max(value('.ancillary-activation', defaults.activationPct), 0), 100),
+                    capacitySeries: this.state.uploads.ancillary[`${key}-capacity`]?.series ?? null,
+                    energySeries: this.state.uploads.ancillary[`${key}-energy`]?.series ?? null
+                };
+            });
+    },
+
     /**
      * Initialize navigation handlers
      */
@@ -189,6 +339,187 @@ const UI = {
             });
         });
 
+        // Price source selection - show/hide file upload
+        document.querySelectorAll('input[name="price-source"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                document.getElementById('price-upload')?.classList.toggle('hidden', e.target.value !== 'upload');
+            });
+        });
+
+        // Price file upload
+        const priceFile = document.getElementById('price-file');
+        if (priceFile) {
+            priceFile.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                const result = await this.openImportDialog(file, {
+                    title: 'Import Price Series',
+                    valueLabel: 'Price Column',
+                    valuePattern: /price|preis|eur|value|wert/i,
+                    units: CONFIG.IMPORT.PRICE_UNITS
+                });
+
+                const status = document.getElementById('price-file-status');
+                if (!result) {
+                    e.target.value = '';
+                    return;
+                }
+
+                this.state.uploads.price = {
+                    fileName: file.name,
+                    timezone: result.mapping.timezone,
+                    report: result.report,
+                    prices: result.series.map(p => ({ timestamp: p.timestamp, price: p.value }))
+                };
+
+                if (status) {
+                    status.textContent = `${file.name}: ${result.report.valid} points, ` +
+                        `${result.report.start.toISOString().split('T')[0]} to ${result.report.end.toISOString().split('T')[0]}`;
+                }
+            });
+        }
+
+        // Production source selection - show/hide metered upload
+        document.querySelectorAll('input[name="production-source"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                document.getElementById('production-upload')?.classList.toggle('hidden', e.target.value !== 'upload');
+                this.syncTechnologyFields();
+            });
+        });
+
+        // Technology selection - site/array for solar, turbine for wind
+        const technologySelect = document.getElementById('technology');
+        if (technologySelect) {
+            ['wind-hub-height', 'wind-loss', 'wind-turbine'].forEach(id => {
+                const el = document.getElementById(id);
+                el?.addEventListener('input', () => { el.dataset.edited = 'true'; });
+            });
+            technologySelect.addEventListener('change', () => this.syncTechnologyFields());
+            document.getElementById('market')?.addEventListener('change', () => this.syncTechnologyFields());
+            this.syncTechnologyFields();
+        }
+
+        // Hybrid portfolio - additional components behind the same grid connection
+        const enableHybrid = document.getElementById('enable-hybrid');
+        const hybridList = document.getElementById('hybrid-components');
+        if (enableHybrid && hybridList) {
+            enableHybrid.addEventListener('change', (e) => {
+                document.getElementById('hybrid-config')?.classList.toggle('hidden', !e.target.checked);
+                if (e.target.checked && hybridList.children.length === 0) {
+                    this.addHybridComponent(CONFIG.HYBRID.DEFAULT_COMPONENT);
+                }
+                this.syncTechnologyFields();
+            });
+            document.getElementById('add-component')?.addEventListener('click', () => {
+                this.addHybridComponent(CONFIG.HYBRID.DEFAULT_COMPONENT);
+                this.syncTechnologyFields();
+            });
+            hybridList.addEventListener('click', (e) => {
+                const remove = e.target.closest('.remove-component');
+                if (!remove) return;
+                remove.closest('.hybrid-component')?.remove();
+                this.syncTechnologyFields();
+            });
+            hybridList.addEventListener('change', () => this.syncTechnologyFields());
+        }
+
+        // Forward price scenarios - one row per forward product
+        const enableForward = document.getElementById('enable-forward');
+        const forwardList = document.getElementById('forward-products');
+        if (enableForward && forwardList) {
+            enableForward.addEventListener('change', (e) => {
+                document.getElementById('forward-config')?.classList.toggle('hidden', !e.target.checked);
+                if (e.target.checked && forwardList.children.length === 0) {
+                    this.addForwardProduct({ ...CONFIG.FORWARD.DEFAULT_PRODUCT, year: new Date().getFullYear() + 1 });
+                }
+            });
+            document.getElementById('add-forward-product')?.addEventListener('click', () => {
+                const years = this.getForwardProducts().map(p => p.year);
+                const year = years.length > 0 ? Math.max(...years) + 1 : new Date().getFullYear() + 1;
+                this.addForwardProduct({ ...CONFIG.FORWARD.DEFAULT_PRODUCT, year: Math.min(year, new Date().getFullYear() + CONFIG.FORWARD.MAX_YEARS) });
+            });
+            forwardList.addEventListener('click', (e) => {
+                e.target.closest('.remove-product')?.closest('.forward-product')?.remove();
+            });
+        }
+
+        // Site coordinates follow the bidding zone until edited by the user
+        const marketSelect = document.getElementById('market');
+        const siteLat = document.getElementById('site-lat');
+        const siteLon = document.getElementById('site-lon');
+        if (marketSelect && siteLat && siteLon) {
+            const syncSite = () => {
+                const market = CONFIG.MARKETS[marketSelect.value];
+                if (!market) return;
+                if (!siteLat.dataset.edited) siteLat.value = market.lat.toFixed(2);
+                if (!siteLon.dataset.edited) siteLon.value = market.lon.toFixed(2);
+            };
+            siteLat.addEventListener('input', () => { siteLat.dataset.edited = 'true'; });
+            siteLon.addEventListener('input', () => { siteLon.dataset.edited = 'true'; });
+            marketSelect.addEventListener('change', syncSite);
+            syncSite();
+        }
+
+        // Random seed - draw a fresh one on request
+        const seedInput = document.getElementById('seed');
+        const newSeed = document.getElementById('new-seed');
+        if (seedInput) {
+            seedInput.value = CONFIG.RANDOM.DEFAULT_SEED;
+            newSeed?.addEventListener('click', () => {
+                seedInput.value = SeededRandom.randomSeed();
+            });
+        }
+
+        // Metered production upload
+        const productionFile = document.getElementById('production-file');
+        if (productionFile) {
+            productionFile.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                const result = await this.openImportDialog(file, {
+                    title: 'Import Metered Production',
+                    valueLabel: 'Production Column',
+                    valuePattern: /power|output|prod|energy|mw|kw|leistung|erzeugung|value/i,
+                    units: CONFIG.IMPORT.PRODUCTION_UNITS
+                });
+
+                const status = document.getElementById('production-file-status');
+                if (!result) {
+                    e.target.value = '';
+                    return;
+                }
+
+                let normalized;
+                try {
+                    normalized = DataSources.normalizeProductionSeries(result.series, {
+                        isEnergy: CONFIG.IMPORT.ENERGY_UNITS.includes(result.mapping.unit),
+                        capacityMW: parseFloat(document.getElementById('capacity')?.value) || null
+                    });
+                } catch (error) {
+                    this.showToast(`Import failed: ${error.message}`, 'error');
+                    e.target.value = '';
+                    return;
+                }
+
+                this.state.uploads.production = {
+                    fileName: file.name,
+                    unit: result.mapping.unit,
+                    report: result.report,
+                    ...normalized
+                };
+
+                const { validation } = normalized;
+                if (status) {
+                    status.textContent = `${file.name}: ${validation.points} points at ${normalized.resolutionMinutes}-min, ` +
+                        `${validation.coverage}% coverage, peak ${validation.peakMW} MW` +
+                        (validation.warnings.length ? ` — ${validation.warnings.join('; ')}` : '');
+                    status.classList.toggle('warning', validation.warnings.length > 0);
+                }
+            });
+        }
+
         // Route-to-market selection
         document.querySelectorAll('input[name="rtm"]').forEach(radio => {
             radio.addEventListener('change', (e) => {
@@ -196,6 +527,8 @@ const UI = {
                 if (ppaConfig) {
                     ppaConfig.classList.toggle('hidden', e.target.value !== 'ppa');
                 }
+                document.getElementById('eeg-config')?.classList.toggle('hidden', e.target.value !== 'eeg');
+                document.getElementById('cfd-config')?.classList.toggle('hidden', e.target.value !== 'cfd');
 
                 // Update card styling
                 document.querySelectorAll('.card-option').forEach(card => {
@@ -205,6 +538,14 @@ const UI = {
             });
         });
 
+        // PPA structure - pay-as-produced has no contracted block
+        const ppaStructure = document.getElementById('ppa-structure');
+        if (ppaStructure) {
+            ppaStructure.addEventListener('change', (e) => {
+                document.getElementById('ppa-volume-config')?.classList.toggle('hidden', e.target.value === 'pay-as-produced');
+            });
+        }
+
         // Floor price toggle
         const useFloor = document.getElementById('use-floor');
         if (useFloor) {
@@ -216,6 +557,15 @@ const UI = {
             });
         }
 
+        // Curtailment policy
+        const curtailmentPolicy = document.getElementById('curtailment-policy');
+        if (curtailmentPolicy) {
+            curtailmentPolicy.addEventListener('change', (e) => {
+                document.getElementById('curtailment-threshold-config')?.classList.toggle('hidden', e.target.value !== 'threshold');
+                document.getElementById('curtailment-support-config')?.classList.toggle('hidden', e.target.value !== 'subsidy');
+            });
+        }
+
         // Battery toggle
         const enableBattery = document.getElementById('enable-battery');
         if (enableBattery) {
@@ -228,6 +578,11 @@ const UI = {
             });
         }
 
+        // Reserve market stacking toggle
+        document.getElementById('enable-ancillary')?.addEventListener('change', (e) => {
+            document.getElementById('ancillary-config')?.classList.toggle('hidden', !e.target.checked);
+        });
+
         // Week selector for overlay chart
         const weekSelect = document.getElementById('week-select');
         if (weekSelect) {
@@ -263,10 +618,67 @@ const UI = {
 
                 if (batteryCard) batteryCard.style.display = e.target.checked ? 'block' : 'none';
                 if (batteryUpliftCard) batteryUpliftCard.style.display = e.target.checked ? 'block' : 'none';
+                if (window.AppState?.batteryResults) {
+                    document.getElementById('battery-lifetime-section')?.classList.toggle('hidden', !e.target.checked);
+                }
+            });
+        }
+
+        // PPA comparison toggle in results - the chart is drawn once its card is visible
+        const togglePPA = document.getElementById('toggle-ppa-compare');
+        if (togglePPA) {
+            togglePPA.addEventListener('change', (e) => {
+                const ppaCard = document.getElementById('ppa-chart-card');
+                if (ppaCard) ppaCard.style.display = e.target.checked ? 'block' : 'none';
+                if (e.target.checked && window.AppState?.ppaComparison) {
+                    Charts.renderPPAChart(window.AppState.ppaComparison);
+                }
+            });
+        }
+
+        // Perfect-foresight dispatch on demand (too slow to run with every analysis)
+        document.getElementById('run-optimizer')?.addEventListener('click', () => {
+            window.dispatchEvent(new CustomEvent('runOptimizer'));
+        });
+
+        // Battery sizing study on the analysed data; the metric only redraws the grid
+        const runSizing = document.getElementById('run-sizing');
+        if (runSizing) {
+            runSizing.addEventListener('click', () => {
+                const { CAPEX_PER_MW, CAPEX_PER_MWH } = CONFIG.BATTERY.SIZING;
+                const capex = (id, fallback) => {
+                    const value = parseFloat(document.getElementById(id)?.value);
+                    return Number.isFinite(value) && value >= 0 ? value : fallback;
+                };
+                window.dispatchEvent(new CustomEvent('runSizingStudy', {
+                    detail: {
+                        capexPerMW: capex('sizing-capex-mw', CAPEX_PER_MW),
+                        capexPerMWh: capex('sizing-capex-mwh', CAPEX_PER_MWH)
+                    }
+                }));
             });
         }
+        // Finance assumptions recompute the cash flows of the last analysis
+        document.querySelectorAll('.finance-inputs input').forEach(input => {
+            input.addEventListener('change', () => {
+                if (window.AppState?.kpis) {
+                    window.dispatchEvent(new CustomEvent('updateFinance', { detail: this.getFinanceInputs() }));
+                }
+            });
+        });
+        // Monte Carlo settings re-simulate on the data of the last analysis
+        ['mc-block', 'mc-sampling', 'mc-simulations'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                if (window.AppState?.kpis) {
+                    window.dispatchEvent(new CustomEvent('updateMonteCarlo', { detail: this.getMonteCarloOptions() }));
+                }
+            });
+        });
+        document.getElementById('sizing-metric')?.addEventListener('change', () => {
+            if (window.AppState?.batterySizing) this.updateBatterySizing(window.AppState.batterySizing);
+        });
 
-        // PV source toggle
+        // PV source toggle - re-runs the analysis with the selected profile model
         document.querySelectorAll('input[name="pv-source"]').forEach(radio => {
             radio.addEventListener('change', async (e) => {
                 const warning = document.getElementById('pv-warning');
@@ -274,14 +686,318 @@ const UI = {
                     if (warning) {
                         warning.textContent = 'PVGIS is in beta. Fallback to synthetic if API fails.';
                     }
-                    // Could trigger re-analysis here
                 } else {
                     if (warning) warning.textContent = '';
                 }
+
+                if (window.AppState?.formData && !this.state.isLoading) {
+                    this.runAnalysis();
+                }
             });
         });
     },
 
+    /**
+     * Show the inputs of the modelled technologies (primary asset and hybrid components)
+     * and apply turbine defaults
+     */
+    syncTechnologyFields() {
+        const metered = document.querySelector('input[name="production-source"]:checked')?.value === 'upload';
+        const market = CONFIG.MARKETS[document.getElementById('market')?.value];
+
+        // Modelled wind needs the zone's wind resource; a metered primary profile does not
+        document.querySelectorAll('#technology, .component-technology').forEach(select => {
+            const exempt = metered && select.id === 'technology';
+            Array.from(select.options).forEach(option => {
+                const site = CONFIG.TECHNOLOGIES[option.value]?.site;
+                option.disabled = !exempt && Boolean(site) && Boolean(market) && !market.wind?.[site];
+            });
+            if (select.selectedOptions[0]?.disabled) {
+                const name = select.selectedOptions[0].textContent;
+                select.value = Array.from(select.options).find(option => !option.disabled).value;
+                this.showToast(`No ${name} resource for ${market.name} - switched to ${select.selectedOptions[0].textContent}`, 'warning');
+            }
+        });
+
+        const [primary, ...others] = this.getComponents();
+        const modelled = metered ? others : [primary, ...others];
+        const windSites = [...new Set(modelled.map(c => CONFIG.TECHNOLOGIES[c.technology]?.site).filter(Boolean))];
+
+        document.getElementById('site-config')?.classList.toggle('hidden', !modelled.some(c => c.technology === 'solar'));
+        document.getElementById('wind-config')?.classList.toggle('hidden', windSites.length === 0);
+
+        const hint = document.getElementById('technology-hint');
+        const missing = ['onshore', 'offshore'].filter(site => market && !market.wind?.[site]);
+        if (hint) {
+            hint.textContent = missing.length > 0
+                ? `No ${missing.join('/')} wind resource for ${market.name} - upload metered production to analyse such a plant.`
+                : '';
+        }
+        if (windSites.length === 0) return;
+
+        // Defaults follow the (first) wind site type until edited by the user
+        const defaults = CONFIG.WIND[windSites[0]];
+        const setDefault = (id, value) => {
+            const el = document.getElementById(id);
+            if (el && !el.dataset.edited) el.value = value;
+        };
+        setDefault('wind-hub-height', defaults.DEFAULT_HUB_HEIGHT);
+        setDefault('wind-loss', defaults.DEFAULT_LOSS);
+        setDefault('wind-turbine', defaults.DEFAULT_TURBINE);
+    },
+
+    /**
+     * Add a hybrid component row (technology + capacity)
+     * @param {Object} component - {technology, capacityMW}
+     */
+    addHybridComponent(component) {
+        const list = document.getElementById('hybrid-components');
+        if (!list || list.children.length >= CONFIG.HYBRID.MAX_COMPONENTS - 1) return;
+
+        const options = Object.entries(CONFIG.TECHNOLOGIES)
+            .filter(([, t]) => !t.portfolio)
+            .map(([key, t]) => `<option value="${key}"${key === component.technology ? ' selected' : ''}>${t.name}</option>`)
+            .join('');
+
+        const row = document.createElement('div');
+        row.className = 'hybrid-component';
+        row.innerHTML = `
+            <select class="form-select component-technology">${options}</select>
+            <div class="input-group">
+                <input type="number" class="form-input component-capacity" value="${component.capacityMW}" min="1" max="500">
+                <span class="input-unit">MW</span>
+            </div>
+            <button type="button" class="btn-icon remove-component" title="Remove component">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            </button>`;
+        list.appendChild(row);
+
+        document.getElementById('add-component')?.classList.toggle('hidden', list.children.length >= CONFIG.HYBRID.MAX_COMPONENTS - 1);
+    },
+
+    /**
+     * Add a forward product row (delivery year, period, baseload and peakload price)
+     * @param {Object} product - {year, period, base, peak}
+     */
+    addForwardProduct(product) {
+        const list = document.getElementById('forward-products');
+        if (!list) return;
+
+        const firstYear = new Date().getFullYear() + 1;
+        const years = Array.from({ length: CONFIG.FORWARD.MAX_YEARS }, (_, i) => firstYear + i)
+            .map(y => `<option value="${y}"${y === product.year ? ' selected' : ''}>${y}</option>`)
+            .join('');
+        const periods = Object.entries(CONFIG.FORWARD.PERIODS)
+            .map(([key, label]) => `<option value="${key}"${key === product.period ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        const row = document.createElement('div');
+        row.className = 'forward-product';
+        row.innerHTML = `
+            <select class="form-select forward-year" title="Delivery year">${years}</select>
+            <select class="form-select forward-period" title="Delivery period">${periods}</select>
+            <div class="input-group" title="Baseload price">
+                <input type="number" class="form-input forward-base" value="${product.base}" step="0.1">
+                <span class="input-unit">Base</span>
+            </div>
+            <div class="input-group" title="Peakload price (optional)">
+                <input type="number" class="form-input forward-peak" value="${product.peak ?? ''}" step="0.1" placeholder="-">
+                <span class="input-unit">Peak</span>
+            </div>
+            <button type="button" class="btn-icon remove-product" title="Remove product">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M18 6L6 18M6 6l12 12"/>
+                </svg>
+            </button>`;
+        list.appendChild(row);
+    },
+
+    /**
+     * Forward products entered in step 2 (empty when scenarios are disabled)
+     * @returns {Array} [{year, period, base, peak}] - peak is NaN when left blank
+     */
+    getForwardProducts() {
+        if (!document.getElementById('enable-forward')?.checked) return [];
+
+        return Array.from(document.querySelectorAll('#forward-products .forward-product'))
+            .map(row => ({
+                year: parseInt(row.querySelector('.forward-year').value),
+                period: row.querySelector('.forward-period').value,
+                base: parseFloat(row.querySelector('.forward-base').value),
+                peak: parseFloat(row.querySelector('.forward-peak').value)
+            }))
+            .filter(p => Number.isFinite(p.base));
+    },
+
+    /**
+     * Portfolio components: the primary asset, followed by hybrid components when enabled
+     * @returns {Array} [{technology, capacityMW}]
+     */
+    getComponents() {
+        const components = [{
+            technology: document.getElementById('technology')?.value || 'solar',
+            capacityMW: parseFloat(document.getElementById('capacity')?.value) || 50
+        }];
+
+        if (document.getElementById('enable-hybrid')?.checked) {
+            document.querySelectorAll('#hybrid-components .hybrid-component').forEach(row => {
+                const capacityMW = parseFloat(row.querySelector('.component-capacity')?.value);
+                if (capacityMW > 0) {
+                    components.push({ technology: row.querySelector('.component-technology').value, capacityMW });
+                }
+            });
+        }
+
+        return components;
+    },
+
+    /**
+     * Initialize the column-mapping import dialog
+     */
+    initImportDialog() {
+        const close = () => this.closeImportDialog(null);
+        document.getElementById('import-close')?.addEventListener('click', close);
+        document.getElementById('import-cancel')?.addEventListener('click', close);
+
+        document.getElementById('import-apply')?.addEventListener('click', () => {
+            const session = this.state.importSession;
+            if (!session || !session.result || session.result.series.length === 0) {
+                this.showToast('No valid rows with the current column mapping', 'warning');
+                return;
+            }
+            this.closeImportDialog(session.result);
+        });
+
+        ['import-time-col', 'import-value-col', 'import-timezone', 'import-unit'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.updateImportPreview());
+        });
+    },
+
+    /**
+     * Open the import dialog for a file and let the user map its columns
+     * @param {File} file - Uploaded file
+     * @param {Object} options - {title, valueLabel, valuePattern, units: {label: scale}}
+     * @returns {Promise<Object|null>} {series, report, mapping} or null if cancelled
+     */
+    async openImportDialog(file, options) {
+        let table;
+        try {
+            const text = await FileImport.readFile(file);
+            table = FileImport.parseTable(text, file.name);
+        } catch (error) {
+            this.showToast(`Import failed: ${error.message}`, 'error');
+            return null;
+        }
+
+        const fillSelect = (id, entries, selected) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.innerHTML = '';
+            entries.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === selected;
+                select.appendChild(option);
+            });
+        };
+
+        const guess = FileImport.guessColumns(table.columns, options.valuePattern);
+        const marketTz = CONFIG.MARKETS[document.getElementById('market')?.value]?.timezone || 'Europe/Berlin';
+        const timezones = [...new Set([marketTz, ...Object.values(CONFIG.MARKETS).map(m => m.timezone)])];
+
+        fillSelect('import-time-col', table.columns.map(c => [c, c]), guess.timeColumn);
+        fillSelect('import-value-col', table.columns.map(c => [c, c]), guess.valueColumn);
+        fillSelect('import-timezone', [...timezones.map(tz => [tz, tz]), ['UTC', 'UTC']], marketTz);
+        fillSelect('import-unit', Object.keys(options.units).map(u => [u, u]), Object.keys(options.units)[0]);
+
+        document.getElementById('import-title').textContent = options.title;
+        document.getElementById('import-value-label').textContent = options.valueLabel;
+        document.getElementById('import-file-name').textContent = `${file.name} — ${table.rows.length} rows, ${table.columns.length} columns`;
+
+        return new Promise(resolve => {
+            this.state.importSession = { table, options, resolve, result: null };
+            this.updateImportPreview();
+            document.getElementById('import-dialog')?.classList.remove('hidden');
+        });
+    },
+
+    /**
+     * Re-parse the current import with the selected mapping and refresh the preview
+     */
+    updateImportPreview() {
+        const session = this.state.importSession;
+        if (!session) return;
+
+        const mapping = {
+            timeColumn: document.getElementById('import-time-col')?.value,
+            valueColumn: document.getElementById('import-value-col')?.value,
+            timezone: document.getElementById('import-timezone')?.value || 'UTC',
+            unit: document.getElementById('import-unit')?.value,
+            scale: session.options.units[document.getElementById('import-unit')?.value] ?? 1
+        };
+        mapping.decimal = FileImport.detectDecimalSeparator(session.table.rows, mapping.valueColumn, session.table.delimiter);
+
+        const { series, report } = FileImport.buildSeries(session.table.rows, mapping);
+        session.result = { series, report, mapping };
+
+        // Preview of the first raw rows with mapped columns highlighted
+        const preview = document.getElementById('import-preview');
+        if (preview) {
+            const rows = session.table.rows.slice(0, CONFIG.IMPORT.PREVIEW_ROWS);
+            const cols = session.table.columns;
+            preview.innerHTML = `<table><thead><tr>${cols.map(c =>
+                `<th class="${c === mapping.timeColumn || c === mapping.valueColumn ? 'mapped' : ''}">${this.escapeHTML(c)}</th>`
+            ).join('')}</tr></thead><tbody>${rows.map(r =>
+                `<tr>${cols.map(c => `<td>${this.escapeHTML(String(r[c] ?? ''))}</td>`).join('')}</tr>`
+            ).join('')}</tbody></table>`;
+        }
+
+        // Values as read, so a wrong decimal separator guess shows before the series is used
+        const sampleEl = document.getElementById('import-sample');
+        if (sampleEl) {
+            const values = session.table.rows.slice(0, CONFIG.IMPORT.PREVIEW_ROWS)
+                .map(r => FileImport.parseNumber(r[mapping.valueColumn], mapping.decimal))
+                .map(v => (isFinite(v) ? String(v) : 'invalid'));
+            sampleEl.textContent = `${mapping.valueColumn} read as ${values.join(', ')} (decimal ${mapping.decimal === ',' ? 'comma' : 'point'})`;
+        }
+
+        const reportEl = document.getElementById('import-report');
+        if (reportEl) {
+            const issues = [];
+            if (report.invalidTime) issues.push(`${report.invalidTime} unparsed timestamps`);
+            if (report.invalidValue) issues.push(`${report.invalidValue} invalid values`);
+            if (report.duplicates) issues.push(`${report.duplicates} duplicates dropped`);
+            if (report.dstRepeated) issues.push(`${report.dstRepeated} unresolved rows in repeated DST hours dropped`);
+            if (report.dstSkipped) issues.push(`${report.dstSkipped} rows in non-existent DST hours dropped`);
+
+            reportEl.textContent = report.valid > 0
+                ? `${report.valid} of ${report.rows} rows usable (${report.start.toISOString()} to ${report.end.toISOString()})` +
+                  (issues.length ? ` — ${issues.join(', ')}` : '')
+                : 'No usable rows — check the timestamp and value columns.';
+            reportEl.classList.toggle('warning', issues.length > 0 || report.valid === 0);
+        }
+    },
+
+    /**
+     * Close the import dialog and settle its promise
+     */
+    closeImportDialog(result) {
+        document.getElementById('import-dialog')?.classList.add('hidden');
+        const session = this.state.importSession;
+        this.state.importSession = null;
+        if (session) session.resolve(result);
+    },
+
+    /**
+     * Escape text for innerHTML
+     */
+    escapeHTML(text) {
+        return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    },
+
     /**
      * Initialize export handlers
      */
@@ -398,16 +1114,120 @@ const UI = {
             period: document.querySelector('input[name="period"]:checked')?.value || '12',
             dateStart: document.getElementById('date-start')?.value || null,
             dateEnd: document.getElementById('date-end')?.value || null,
+            resolution: document.getElementById('resolution')?.value || CONFIG.RESOLUTION.DEFAULT,
+            seed: SeededRandom.normalizeSeed(document.getElementById('seed')?.value ?? CONFIG.RANDOM.DEFAULT_SEED),
+            gapFill: document.getElementById('gap-fill')?.value || CONFIG.QUALITY.GAP_FILL_DEFAULT,
             demoMode: document.getElementById('demo-mode')?.checked ?? true,
+            priceSource: document.querySelector('input[name="price-source"]:checked')?.value || 'live',
+            priceUpload: this.state.uploads.price,
+            productionSource: document.querySelector('input[name="production-source"]:checked')?.value || 'synthetic',
+            productionUpload: this.state.uploads.production,
+            pvModel: document.querySelector('input[name="pv-source"]:checked')?.value || 'synthetic',
+            site: {
+                lat: parseFloat(document.getElementById('site-lat')?.value) || CONFIG.MARKETS['DE-LU'].lat,
+                lon: parseFloat(document.getElementById('site-lon')?.value) || CONFIG.MARKETS['DE-LU'].lon,
+                tilt: parseFloat(document.getElementById('site-tilt')?.value) || 0,
+                azimuth: parseFloat(document.getElementById('site-azimuth')?.value) || 0,
+                mounting: document.getElementById('site-mounting')?.value || CONFIG.PV.DEFAULT_MOUNTING,
+                loss: parseFloat(document.getElementById('site-loss')?.value),
+                dcAcRatio: parseFloat(document.getElementById('site-dcac')?.value) || CONFIG.PV.DEFAULT_DC_AC_RATIO
+            },
+            wind: {
+                site: CONFIG.TECHNOLOGIES[document.getElementById('technology')?.value]?.site || 'onshore',
+                hubHeight: parseFloat(document.getElementById('wind-hub-height')?.value) || null,
+                turbine: document.getElementById('wind-turbine')?.value || null,
+                loss: parseFloat(document.getElementById('wind-loss')?.value)
+            },
+            components: this.getComponents(),
+            gridConnectionMW: parseFloat(document.getElementById('grid-connection')?.value) || null,
+            forwardProducts: this.getForwardProducts(),
             routeToMarket: document.querySelector('input[name="rtm"]:checked')?.value || 'merchant',
-            ppaPrice: parseFloat(document.getElementById('ppa-price')?.value) || 70,
+            ppa: {
+                structure: document.getElementById('ppa-structure')?.value || CONFIG.PPA.DEFAULT_STRUCTURE,
+                price: parseFloat(document.getElementById('ppa-price')?.value) || CONFIG.PPA.DEFAULT_PRICE,
+                volumeMW: parseFloat(document.getElementById('ppa-volume')?.value) || null,
+                indexShare: Math.min(Math.max(parseFloat(document.getElementById('ppa-index')?.value) || 0, 0), 100) / 100,
+                negativeClause: document.getElementById('ppa-negative')?.value || 'none'
+            },
+            eegValue: parseFloat(document.getElementById('eeg-value')?.value) || CONFIG.EEG.DEFAULT_APPLICABLE_VALUE,
+            cfd: {
+                strikePrice: parseFloat(document.getElementById('cfd-strike')?.value) || CONFIG.CFD.DEFAULT_STRIKE,
+                reference: document.getElementById('cfd-reference')?.value || 'hourly',
+                negativePrice: document.getElementById('cfd-negative')?.value || 'settle'
+            },
             useFloor: document.getElementById('use-floor')?.checked ?? false,
             floorPrice: parseFloat(document.getElementById('floor-price')?.value) || 0,
+            curtailment: {
+                policy: document.getElementById('curtailment-policy')?.value || CONFIG.CURTAILMENT.DEFAULT_POLICY,
+                threshold: parseFloat(document.getElementById('curtailment-threshold')?.value) || 0,
+                supportPayment: parseFloat(document.getElementById('curtailment-support')?.value) || 0
+            },
             enableBattery: document.getElementById('enable-battery')?.checked ?? true,
             batteryPower: parseFloat(document.getElementById('battery-power')?.value) || 25,
             batteryEnergy: parseFloat(document.getElementById('battery-energy')?.value) || 50,
             efficiency: parseFloat(document.getElementById('efficiency')?.value) / 100 || 0.88,
-            oneCyclePerDay: document.getElementById('one-cycle')?.checked ?? true
+            oneCyclePerDay: document.getElementById('one-cycle')?.checked ?? true,
+            batteryMode: document.getElementById('battery-mode')?.value || CONFIG.BATTERY.DEFAULT_MODE,
+            batteryCycleCap: parseFloat(document.getElementById('battery-cycle-cap')?.value) || null,
+            batteryLifetime: {
+                years: parseInt(document.getElementById('battery-life')?.value) || CONFIG.BATTERY.LIFETIME.YEARS,
+                calendarFadePct: parseFloat(document.getElementById('battery-calendar-fade')?.value) || 0,
+                cycleFadePct: parseFloat(document.getElementById('battery-cycle-fade')?.value) || 0,
+                augmentationSOH: parseFloat(document.getElementById('battery-augmentation')?.value) || null
+            },
+            ancillaryServices: this.getAncillaryServices()
+        };
+    },
+
+    /**
+     * Finance panel inputs (see App.runFinance)
+     * @returns {Object} {capexPerMW, degradationPct (null = technology default), batteryCapexPerMWh,
+     *   assumptions: {lifeYears, opexPct, inflationPct, discountPct, taxPct, depreciationYears,
+     *   maxGearingPct, debtRatePct, tenorYears, targetDSCR}}
+     */
+    getFinanceInputs() {
+        const F = CONFIG.FINANCE;
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        const years = (id, fallback) => Math.max(1, Math.round(number(id, fallback)));
+
+        return {
+            capexPerMW: number('finance-capex', null),
+            degradationPct: number('finance-degradation', null),
+            batteryCapexPerMWh: number('finance-battery-capex', F.BATTERY_CAPEX_PER_MWH),
+            assumptions: {
+                lifeYears: years('finance-life', F.LIFE_YEARS),
+                opexPct: number('finance-opex', F.OPEX_PCT),
+                inflationPct: number('finance-inflation', F.INFLATION_PCT),
+                discountPct: number('finance-discount', F.DISCOUNT_PCT),
+                taxPct: number('finance-tax', F.TAX_PCT),
+                depreciationYears: years('finance-depreciation', F.DEPRECIATION_YEARS),
+                maxGearingPct: Math.min(Math.max(number('finance-gearing', F.MAX_GEARING_PCT), 0), 100),
+                debtRatePct: number('finance-debt-rate', F.DEBT_RATE_PCT),
+                tenorYears: years('finance-tenor', F.TENOR_YEARS),
+                targetDSCR: Math.max(number('finance-dscr', F.TARGET_DSCR), 1)
+            }
+        };
+    },
+
+    /**
+     * Read the Monte Carlo settings
+     * @returns {Object} {simulations, blockType, sampling} (see MonteCarlo.simulate)
+     */
+    getMonteCarloOptions() {
+        const MC = CONFIG.MONTE_CARLO;
+        const select = (id, options, fallback) => {
+            const value = document.getElementById(id)?.value;
+            return value in options ? value : fallback;
+        };
+        const simulations = parseInt(document.getElementById('mc-simulations')?.value);
+
+        return {
+            simulations: MC.SIMULATION_OPTIONS.includes(simulations) ? simulations : MC.SIMULATIONS,
+            blockType: select('mc-block', MC.BLOCK_TYPES, 'week'),
+            sampling: select('mc-sampling', MC.SAMPLING, 'joint')
         };
     },
 
@@ -425,16 +1245,76 @@ const UI = {
      * Update parameter summary in results
      */
     updateParamSummary(formData) {
-        document.getElementById('summary-market').textContent = formData.market;
-        document.getElementById('summary-capacity').textContent = `${formData.capacityMW} MW`;
+        const marketConfig = CONFIG.MARKETS[formData.market];
+        document.getElementById('summary-market').textContent = marketConfig
+            ? `${formData.market} (${marketConfig.name})`
+            : formData.market;
+        document.getElementById('summary-capacity').textContent = formData.components.length > 1
+            ? formData.components.map(c => `${c.capacityMW} MW ${CONFIG.TECHNOLOGIES[c.technology].short}`).join(' + ')
+            : `${formData.capacityMW} MW ${(CONFIG.TECHNOLOGIES[formData.technology] || CONFIG.TECHNOLOGIES.solar).short}`;
 
         let periodText = 'Last 12 months';
         if (formData.period === '24') periodText = 'Last 24 months';
         else if (formData.period === 'custom') periodText = `${formData.dateStart} to ${formData.dateEnd}`;
         document.getElementById('summary-period').textContent = periodText;
 
-        document.getElementById('summary-route').textContent =
-            formData.routeToMarket === 'merchant' ? 'Merchant' : `PPA (${formData.ppaPrice} EUR/MWh)`;
+        const resolutionMinutes = window.AppState?.resolutionMinutes || 60;
+        document.getElementById('summary-resolution').textContent =
+            `${resolutionMinutes === 60 ? 'Hourly' : `${resolutionMinutes}-min`}${formData.resolution === 'native' ? ' (native)' : ''}`;
+
+        const seedValue = document.getElementById('summary-seed');
+        if (seedValue) seedValue.textContent = formData.seed;
+
+        const sourceLabel = document.getElementById('price-source-label');
+        const sourceIcon = document.getElementById('price-source-icon');
+        if (sourceLabel) sourceLabel.textContent = `Day-ahead: ${window.AppState?.dataSourceLabel || 'Energy-Charts / SMARD'}`;
+        if (sourceIcon) sourceIcon.className = `source-icon ${window.AppState?.dataSource === 'upload' ? 'upload' : 'live'}`;
+
+        const pvLabel = document.getElementById('pv-source-label');
+        const pvIcon = document.getElementById('pv-source-icon');
+        const overlaySource = document.getElementById('overlay-source');
+        const profileLabel = window.AppState?.pvSourceLabel || 'Synthetic model';
+        const technology = CONFIG.TECHNOLOGIES[formData.components.length > 1 ? 'hybrid' : formData.technology] || CONFIG.TECHNOLOGIES.solar;
+        if (pvLabel) pvLabel.textContent = `${technology.short} Profile: ${profileLabel}`;
+        if (pvIcon) pvIcon.className = `source-icon ${window.AppState?.pvSource === 'metered' ? 'live' : 'synthetic'}`;
+        if (overlaySource) overlaySource.textContent = `Source: ${window.AppState?.dataSourceLabel || 'Energy-Charts (SMARD)'} + ${profileLabel}`;
+        const benchmarkSource = document.getElementById('benchmark-source');
+        if (benchmarkSource) {
+            const benchmark = window.AppState?.marketBenchmark;
+            benchmarkSource.textContent = !benchmark || benchmark.source === 'none'
+                ? `Market solar benchmark unavailable${benchmark ? `: ${benchmark.label}` : ''}`
+                : `Market solar: ${benchmark.label}`;
+        }
+        document.querySelectorAll('.tech-short').forEach(el => { el.textContent = technology.short; });
+        // PVGIS only models solar
+        document.querySelector('.pv-profile-toggle')?.classList.toggle('hidden', !formData.components.some(c => c.technology === 'solar'));
+
+        document.getElementById('summary-route').textContent = this.describeRouteToMarket(formData);
+    },
+
+    /**
+     * Route-to-market label (e.g., "Pay-as-produced PPA (70 EUR/MWh)")
+     */
+    describeRouteToMarket(formData) {
+        switch (formData.routeToMarket) {
+            case 'ppa':
+                return `${this.describePPA(formData.ppa)} PPA (${formData.ppa.price} EUR/MWh)`;
+            case 'eeg':
+                return `EEG Market Premium (${formData.eegValue} EUR/MWh)`;
+            case 'cfd':
+                return `CfD (${formData.cfd.strikePrice} EUR/MWh, ${formData.cfd.reference} reference)`;
+            default:
+                return 'Merchant';
+        }
+    },
+
+    /**
+     * Short PPA structure label (e.g., "Baseload 20% indexed")
+     * @param {Object} ppa - {structure, indexShare}
+     */
+    describePPA(ppa) {
+        const name = CONFIG.PPA.STRUCTURES[ppa.structure];
+        return ppa.indexShare > 0 ? `${name} ${Math.round(ppa.indexShare * 100)}% indexed` : name;
     },
 
     /**
@@ -461,10 +1341,35 @@ const UI = {
         // Update sub-values
         document.getElementById('kpi-negpct').textContent = `${kpis.negativePercentage.toFixed(1)}% of production`;
 
+        // Support-scheme revenue next to merchant revenue
+        const supportRevenue = document.getElementById('kpi-revenue-support');
+        if (supportRevenue) {
+            const premium = kpis.marketPremium;
+            const cfd = kpis.cfd;
+            supportRevenue.classList.toggle('hidden', !premium && !cfd);
+            if (premium) {
+                supportRevenue.textContent = `EEG: ${(premium.totalRevenue / 1000).toFixed(0)} kEUR (premium +${(premium.premiumRevenue / 1000).toFixed(0)} kEUR)`;
+            } else if (cfd) {
+                supportRevenue.textContent = `CfD: ${(cfd.netRevenue / 1000).toFixed(0)} kEUR (+${(cfd.payout / 1000).toFixed(0)} / -${(cfd.clawback / 1000).toFixed(0)} kEUR)`;
+            }
+        }
+
+        // Premium/discount against the market solar profile
+        const rateTrend = document.getElementById('trend-rate');
+        if (rateTrend) {
+            const benchmark = kpis.marketBenchmark;
+            rateTrend.textContent = benchmark
+                ? `${benchmark.ratePoints >= 0 ? '+' : ''}${benchmark.ratePoints.toFixed(1)} pp vs market solar (${benchmark.marketRate.toFixed(1)}%)`
+                : '';
+            rateTrend.classList.toggle('positive', !!benchmark && benchmark.ratePoints >= 0);
+            rateTrend.classList.toggle('negative', !!benchmark && benchmark.ratePoints < 0);
+        }
+
         // Battery KPIs
         if (batteryResults) {
             updateKPI('kpi-uplift', `+${(batteryResults.totalUplift / 1000).toFixed(0)}`);
             document.getElementById('kpi-uplift-pct').textContent = `+${batteryResults.upliftPercentage}% revenue`;
+            this.updateBatteryOptimal(batteryResults);
         }
 
         // Risk metrics
@@ -477,6 +1382,415 @@ const UI = {
             document.getElementById('battery-shifted').textContent = `${batteryResults.totalShiftedMWh} MWh`;
             document.getElementById('battery-neg-reduction').textContent = `${batteryResults.negativeReduction.toFixed(0)}%`;
             document.getElementById('battery-eff-capture').textContent = `${batteryResults.effectiveCapturePrice.toFixed(1)} EUR/MWh`;
+            this.updateBatteryModes(batteryResults);
+        }
+        this.updateBatteryStack(batteryResults?.ancillary ?? null);
+    },
+
+    /**
+     * Fill the revenue stack (reserve markets next to arbitrage; hidden when stacking is off)
+     * @param {Object|null} ancillary - From Compute.stackAncillaryServices
+     */
+    updateBatteryStack(ancillary) {
+        document.getElementById('battery-stack')?.classList.toggle('hidden', !ancillary);
+        const rows = document.getElementById('battery-stack-rows');
+        if (!ancillary || !rows) return;
+
+        const kEUR = value => `${(value / 1000).toFixed(0)} kEUR`;
+        rows.innerHTML = `
+            <tr>
+                <td>Energy arbitrage</td>
+                <td>-</td>
+                <td>-</td>
+                <td>-</td>
+                <td>-</td>
+                <td>${kEUR(ancillary.arbitrageUplift)}</td>
+            </tr>
+            ${ancillary.services.map(s => `
+            <tr>
+                <td>${s.name}</td>
+                <td>${s.days}</td>
+                <td>${s.days > 0 ? `${s.avgReservedMW} MW` : '-'}</td>
+                <td>${kEUR(s.capacityRevenue)}</td>
+                <td>${kEUR(s.energyRevenue)}</td>
+                <td>${kEUR(s.revenue)}</td>
+            </tr>`).join('')}
+            <tr class="combined">
+                <td>Stacked total</td>
+                <td></td>
+                <td></td>
+                <td></td>
+                <td></td>
+                <td>${kEUR(ancillary.totalRevenue)}</td>
+            </tr>
+            <tr>
+                <td>Arbitrage only</td>
+                <td></td>
+                <td></td>
+                <td></td>
+                <td></td>
+                <td>${kEUR(ancillary.arbitrageOnlyUplift)} (stacking ${ancillary.stackGain >= 0 ? '+' : ''}${kEUR(ancillary.stackGain)})</td>
+            </tr>`;
+    },
+
+    /**
+     * Fill the battery mode comparison (daily heuristic in each mode, selected mode highlighted)
+     * @param {Object} batteryResults - With modes from Compute.compareBatteryModes
+     */
+    updateBatteryModes(batteryResults) {
+        const rows = document.getElementById('battery-mode-rows');
+        if (!rows) return;
+
+        const kEUR = value => `${(value / 1000).toFixed(0)} kEUR`;
+        rows.innerHTML = batteryResults.modes.map(m => `
+            <tr class="${m.mode === batteryResults.config.mode ? 'selected' : ''}">
+                <td>${CONFIG.BATTERY.MODES[m.mode]}</td>
+                <td>${m.chargeSources.curtailed.toLocaleString()} / ${m.chargeSources.plant.toLocaleString()} / ${m.chargeSources.grid.toLocaleString()} MWh</td>
+                <td>${kEUR(m.shiftingRevenue)}</td>
+                <td>${kEUR(m.arbitrageRevenue)}</td>
+                <td>${kEUR(m.totalUplift)}</td>
+                <td>${m.cyclesPerYear}</td>
+            </tr>`).join('');
+    },
+
+    /**
+     * Update the curtailment panel (hidden when the plant produces into every price)
+     * @param {Object|null} curtailment - kpis.curtailment
+     * @param {Object|null} batteryResults - From Compute.simulateBattery
+     */
+    updateCurtailment(curtailment, batteryResults) {
+        const section = document.getElementById('curtailment-section');
+        section?.classList.toggle('hidden', !curtailment);
+        if (!curtailment) return;
+
+        document.getElementById('curtailment-policy-label').textContent =
+            `${CONFIG.CURTAILMENT.POLICIES[curtailment.policy]} (below ${curtailment.threshold} EUR/MWh)`;
+        document.getElementById('curtailment-hours').textContent = `${curtailment.curtailedHours} h`;
+        document.getElementById('curtailment-lost').textContent = `${curtailment.lostMWh.toLocaleString()} MWh`;
+        document.getElementById('curtailment-saved').textContent = `${(curtailment.revenueSaved / 1000).toFixed(1)} kEUR`;
+        document.getElementById('curtailment-capture').textContent = `${curtailment.uncurtailedCapturePrice.toFixed(1)} EUR/MWh`;
+        document.getElementById('curtailment-absorbed').textContent = batteryResults
+            ? `${batteryResults.absorbedCurtailedMWh.toLocaleString()} MWh`
+            : 'No battery';
+    },
+
+    /**
+     * Update the merchant-vs-PPA card; the comparison is shown by default when the route is a PPA
+     * @param {Object} ppa - From Compute.calculatePPA
+     * @param {string} routeToMarket - Selected route to market
+     */
+    updatePPA(ppa, routeToMarket) {
+        const toggle = document.getElementById('toggle-ppa-compare');
+        if (toggle && routeToMarket === 'ppa') toggle.checked = true;
+        const card = document.getElementById('ppa-chart-card');
+        if (card) card.style.display = toggle?.checked ? 'block' : 'none';
+
+        const volume = ppa.volumeMW !== null ? `, ${ppa.volumeMW} MW` : '';
+        document.getElementById('ppa-structure-label').textContent =
+            `${this.describePPA(ppa)}${volume} at ${ppa.price} EUR/MWh — ${CONFIG.PPA.NEGATIVE_CLAUSES[ppa.negativeClause].toLowerCase()}`;
+        document.getElementById('ppa-realised').textContent = `${ppa.realisedPrice.toFixed(1)} EUR/MWh`;
+
+        const setCost = (id, value) => {
+            const el = document.getElementById(id);
+            el.textContent = `${(value / 1000).toFixed(1)} kEUR`;
+            el.classList.toggle('negative', value > 0);
+            el.classList.toggle('positive', value < 0);
+        };
+        setCost('ppa-profile-cost', ppa.profileCost);
+        setCost('ppa-volume-cost', ppa.volumeCost);
+        document.getElementById('ppa-imbalance').textContent =
+            `${ppa.shortfallMWh.toLocaleString()} / ${ppa.excessMWh.toLocaleString()} MWh`;
+    },
+
+    /**
+     * Show the perfect-foresight dispatch in the Battery Uplift card, or offer to compute it
+     * @param {Object} batteryResults - From Compute.simulateBattery, with `optimal` once optimised
+     */
+    updateBatteryOptimal(batteryResults) {
+        const { optimal } = batteryResults;
+        const label = document.getElementById('kpi-uplift-optimal');
+        if (label) {
+            label.textContent = optimal
+                ? `Optimal: +${(optimal.totalUplift / 1000).toFixed(0)} kEUR (+${optimal.upliftPercentage}%)`
+                : 'Optimal: not computed';
+        }
+        document.getElementById('run-optimizer')?.classList.toggle('hidden', Boolean(optimal));
+    },
+
+    /**
+     * Update the battery lifetime panel (hidden without a battery)
+     * @param {Object|null} lifetime - From Compute.simulateBatteryLifetime
+     * @param {number|null} codYear - Commercial operation year, labels operating years
+     */
+    updateBatteryLifetime(lifetime, codYear) {
+        const section = document.getElementById('battery-lifetime-section');
+        section?.classList.toggle('hidden', !lifetime || document.getElementById('toggle-battery')?.checked === false);
+        if (!lifetime) return;
+
+        document.getElementById('battery-lifetime-label').textContent =
+            `${(lifetime.totalUplift / 1000).toFixed(0)} kEUR over ${lifetime.years.length} years ` +
+            `(${(lifetime.averageUplift / 1000).toFixed(0)} kEUR/yr), ${lifetime.endSOH}% SOH at end of life`;
+
+        const rows = document.getElementById('battery-lifetime-rows');
+        if (rows) {
+            rows.innerHTML = lifetime.years.map(y => `
+                <tr>
+                    <td>${y.year}${codYear ? ` (${codYear + y.year - 1})` : ''}</td>
+                    <td>${y.soh.toFixed(1)}%</td>
+                    <td>${y.energyMWh} MWh</td>
+                    <td>${y.cycles}</td>
+                    <td>${y.cyclesPerDay.toFixed(2)}</td>
+                    <td>${(y.uplift / 1000).toFixed(0)} kEUR</td>
+                    <td>${y.augmentedMWh > 0 ? `+${y.augmentedMWh} MWh` : '-'}</td>
+                </tr>`).join('');
+        }
+    },
+
+    /**
+     * Update the battery sizing panel
+     * @param {Object|null} sizing - From Compute.sweepBatterySizes, null clears the grid
+     */
+    updateBatterySizing(sizing) {
+        const label = document.getElementById('battery-sizing-label');
+        const grid = document.getElementById('battery-sizing-grid');
+        if (!sizing) {
+            if (label) label.textContent = 'Power and duration sweep on the analysed data';
+            if (grid) grid.innerHTML = '';
+            return;
+        }
+
+        const { best } = sizing;
+        if (label) {
+            label.textContent = `Best: ${best.powerMW} MW / ${best.energyMWh} MWh (${best.durationH} h), ` +
+                `net ${(best.netValue / 1000).toFixed(0)} kEUR/yr after ${(best.capex / 1e6).toFixed(1)} MEUR CAPEX over ${sizing.years} years`;
+        }
+        Charts.renderSizingHeatmap(sizing, document.getElementById('sizing-metric')?.value || 'netValue');
+    },
+
+    /**
+     * Update the project finance panel
+     * @param {Object|null} finance - From Finance.evaluate
+     */
+    updateFinance(finance) {
+        if (!finance) return;
+
+        const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+        const kEUR = value => `${(value / 1000).toFixed(0)}`;
+        const npv = document.getElementById('finance-npv');
+        if (npv) {
+            npv.textContent = `${kEUR(finance.projectNPV)} kEUR`;
+            npv.classList.toggle('negative', finance.projectNPV < 0);
+            npv.classList.toggle('positive', finance.projectNPV >= 0);
+        }
+        document.getElementById('finance-project-irr').textContent = percent(finance.projectIRR);
+        document.getElementById('finance-equity-irr').textContent = percent(finance.equityIRR);
+        document.getElementById('finance-lcoe').textContent = finance.lcoe === null ? 'n/a' : `${finance.lcoe.toFixed(1)} EUR/MWh`;
+        document.getElementById('finance-dscr-min').textContent = finance.minDSCR === null ? 'no debt' : `${finance.minDSCR.toFixed(2)}x`;
+
+        document.getElementById('finance-label').textContent =
+            `CAPEX ${(finance.capex.total / 1e6).toFixed(1)} MEUR` +
+            (finance.capex.battery > 0 ? ` (battery ${(finance.capex.battery / 1e6).toFixed(1)} MEUR)` : '') +
+            `, debt ${(finance.debt.amount / 1e6).toFixed(1)} MEUR (${finance.debt.gearingPct}% gearing)`;
+
+        const rows = document.getElementById('finance-rows');
+        if (rows) {
+            rows.innerHTML = finance.years.map(y => `
+                <tr>
+                    <td>${y.year}</td>
+                    <td>${y.production.toLocaleString()} MWh</td>
+                    <td>${kEUR(y.revenue)}</td>
+                    <td>${kEUR(y.opex)}</td>
+                    <td>${kEUR(y.ebitda)}</td>
+                    <td>${kEUR(y.tax)}</td>
+                    <td>${kEUR(y.cfads)}</td>
+                    <td>${kEUR(y.debtService)}</td>
+                    <td>${y.dscr === null ? '-' : `${y.dscr.toFixed(2)}x`}</td>
+                    <td>${kEUR(y.equityCashFlow)}</td>
+                </tr>`).join('');
+        }
+    },
+
+    /**
+     * Update the Monte Carlo revenue distribution panel
+     * @param {Object|null} monteCarlo - From MonteCarlo.simulate
+     */
+    updateMonteCarlo(monteCarlo) {
+        const label = document.getElementById('mc-label');
+        if (!monteCarlo) {
+            if (label) label.textContent = 'Not enough complete days or weeks to bootstrap';
+            ['mc-p10', 'mc-p50', 'mc-p90'].forEach(id => { document.getElementById(id).textContent = '--'; });
+            return;
+        }
+
+        const kEUR = value => `${(value / 1000).toFixed(0)} kEUR`;
+        document.getElementById('mc-p10').textContent = kEUR(monteCarlo.p10);
+        document.getElementById('mc-p50').textContent = kEUR(monteCarlo.p50);
+        document.getElementById('mc-p90').textContent = kEUR(monteCarlo.p90);
+
+        if (label) {
+            const blocks = monteCarlo.blockType === 'week' ? 'weeks' : 'days';
+            label.textContent = `${monteCarlo.simulations.toLocaleString()} synthetic years from ${monteCarlo.blockCount} historical ${blocks}, ` +
+                `${monteCarlo.sampling} sampling - historical ${kEUR(monteCarlo.historical)}/yr`;
+        }
+        if (monteCarlo.pooledSeasons.length > 0) {
+            const names = ['winter', 'spring', 'summer', 'autumn'];
+            this.showToast(`No complete ${monteCarlo.blockType === 'week' ? 'weeks' : 'days'} in ${monteCarlo.pooledSeasons.map(s => names[s]).join(', ')} - drawn from all seasons`, 'warning');
+        }
+
+        Charts.renderRevenueHistogram(monteCarlo);
+        Charts.renderRevenueFan(monteCarlo);
+    },
+
+    /**
+     * Update the hybrid portfolio panel (hidden for single-technology runs)
+     * @param {Object|null} portfolio - From Compute.calculatePortfolio
+     */
+    updatePortfolio(portfolio) {
+        const section = document.getElementById('portfolio-section');
+        section?.classList.toggle('hidden', !portfolio);
+        if (!portfolio) return;
+
+        const kpis = window.AppState.kpis;
+        const setValue = (id, text, warn = false) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.textContent = text;
+            el.classList.toggle('warning', warn);
+        };
+        const row = (name, capacityMW, k, producingPct, className = '') => `
+            <tr class="${className}">
+                <td>${this.escapeHTML(name)}</td>
+                <td>${capacityMW} MW</td>
+                <td>${k.totalProduction.toLocaleString()} MWh</td>
+                <td>${k.capturePrice.toFixed(1)} EUR/MWh</td>
+                <td>${k.captureRate.toFixed(1)}%</td>
+                <td>${k.negativePercentage}%</td>
+                <td>${producingPct}%</td>
+            </tr>`;
+
+        document.getElementById('portfolio-grid').textContent = portfolio.gridConnectionMW
+            ? `Grid connection: ${portfolio.gridConnectionMW} MW for ${portfolio.totalCapacityMW} MW installed`
+            : 'Grid connection: not limited';
+
+        const rows = document.getElementById('portfolio-rows');
+        if (rows) {
+            rows.innerHTML = portfolio.components
+                .map(c => row(CONFIG.TECHNOLOGIES[c.technology].name, c.capacityMW, c.kpis, c.producingPct))
+                .join('') + row('Combined', portfolio.totalCapacityMW, kpis, portfolio.producingPct, 'combined');
+        }
+
+        const minCorrelation = Math.min(...portfolio.correlations.map(c => c.value));
+        const maxCorrelation = Math.max(...portfolio.correlations.map(c => c.value));
+        setValue('portfolio-correlation', minCorrelation === maxCorrelation
+            ? minCorrelation.toFixed(2)
+            : `${minCorrelation.toFixed(2)} to ${maxCorrelation.toFixed(2)}`, maxCorrelation > 0.5);
+        setValue('portfolio-negative', `${portfolio.negativeExposure.combined}% vs ${portfolio.negativeExposure.worstComponent}%`);
+        setValue('portfolio-neghours', `${portfolio.negativeHours.combined} / ${portfolio.negativeHours.standaloneSum}`);
+        setValue('portfolio-utilisation', `${portfolio.gridUtilisation}%`);
+        setValue('portfolio-clipped', `${portfolio.clippedMWh.toLocaleString()} MWh`, portfolio.clippedMWh > 0);
+    },
+
+    /**
+     * Update the forward scenario panel (hidden when no forward products were entered)
+     * @param {Array|null} scenarios - AppState.forwardScenarios
+     */
+    updateForwardScenarios(scenarios) {
+        const section = document.getElementById('forward-section');
+        section?.classList.toggle('hidden', !scenarios || scenarios.length === 0);
+        if (!scenarios || scenarios.length === 0) return;
+
+        const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const rows = document.getElementById('forward-rows');
+        if (rows) {
+            rows.innerHTML = scenarios.map(s => {
+                const levels = s.products
+                    .map(p => `${p.period === 'cal' ? 'Cal' : p.period} ${p.base}${p.peak !== null ? ` / ${p.peak}` : ''}`)
+                    .join(', ');
+                return `
+                <tr>
+                    <td>${s.year}</td>
+                    <td>${this.escapeHTML(levels)}</td>
+                    <td>${s.kpis.capturePrice.toFixed(1)} EUR/MWh</td>
+                    <td>${s.kpis.captureRate.toFixed(1)}%</td>
+                    <td>${s.kpis.negativeHoursCount}</td>
+                    <td>${(s.kpis.merchantRevenue / 1000).toFixed(0)} kEUR</td>
+                    <td>${s.battery ? `+${s.battery.upliftPercentage}%` : '-'}</td>
+                </tr>`;
+            }).join('');
+        }
+
+        const notes = [];
+        scenarios.forEach(s => {
+            const cal = s.products.find(p => p.period === 'cal');
+            if (cal && s.products.length > 1 && cal.applied) {
+                notes.push(`${s.year}: months outside the quarters priced at ${cal.applied.base} EUR/MWh base so the year averages Cal ${cal.base}`);
+            }
+            if (s.substitutedMonths.length > 0) {
+                notes.push(`${s.year}: ${s.substitutedMonths.map(m => months[m]).join(', ')} use shapes from a neighbouring month (no history)`);
+            }
+        });
+        const list = document.getElementById('forward-notes');
+        if (list) list.innerHTML = notes.map(text => `<li>${this.escapeHTML(text)}</li>`).join('');
+    },
+
+    /**
+     * Update the data-quality panel
+     * @param {Object} report - From DataQuality.buildReport
+     */
+    updateDataQuality(report) {
+        if (!report) return;
+        const { QUALITY } = CONFIG;
+        const setValue = (id, text, warn = false) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.textContent = text;
+            el.classList.toggle('warning', warn);
+        };
+        const formatTime = ts => {
+            const t = DataSources.getLocalTime(new Date(ts * 1000), report.timezone);
+            return `${t.dayKey} ${String(t.hour).padStart(2, '0')}:${String(t.minute).padStart(2, '0')}`;
+        };
+
+        const missing = report.missing.prices + report.missing.production;
+        const filled = report.filled.prices + report.filled.production;
+
+        document.getElementById('quality-policy').textContent = `Policy: ${QUALITY.GAP_FILL_POLICIES[report.policy] || report.policy}`;
+        setValue('quality-coverage', `${report.coveragePct}%`, report.coveragePct < QUALITY.LOW_COVERAGE_PCT);
+        setValue('quality-missing', `${missing} (${filled})`, missing > filled);
+        setValue('quality-duplicates', report.duplicates, report.duplicates > 0);
+        setValue('quality-dst', report.dst.anomalies, report.dst.anomalies > 0);
+        setValue('quality-outliers', report.outliers.length, report.outliers.length > 0);
+
+        const months = document.getElementById('quality-months');
+        if (months) {
+            months.innerHTML = report.monthlyCoverage.map(m => {
+                const low = m.coveragePct < QUALITY.LOW_COVERAGE_PCT;
+                return `<span class="quality-month${low ? ' low' : ''}" title="Prices ${m.prices}/${m.expected}, production ${m.production}/${m.expected}">${m.month}: ${m.coveragePct}%</span>`;
+            }).join('');
+        }
+
+        // Largest gaps, DST changeover checks and outliers
+        const issues = [];
+        const describeGaps = (gaps, label) => [...gaps]
+            .sort((a, b) => b.intervals - a.intervals)
+            .slice(0, QUALITY.MAX_LISTED_GAPS)
+            .forEach(g => issues.push(`${label} gap: ${formatTime(g.start)} to ${formatTime(g.end)} (${g.intervals} intervals)`));
+        describeGaps(report.gaps.prices, 'Price');
+        describeGaps(report.gaps.production, 'Production');
+
+        report.dst.days.forEach(d => {
+            issues.push(`DST ${d.day}: ${d.actualHours} of ${d.expectedHours} hours present${d.ok ? '' : ' - check'}`);
+        });
+
+        report.outliers.slice(0, QUALITY.MAX_LISTED_GAPS).forEach(o => {
+            issues.push(`Outlier ${formatTime(o.timestamp)}: ${o.price.toFixed(2)} EUR/MWh (${o.reason})`);
+        });
+
+        const list = document.getElementById('quality-issues');
+        if (list) {
+            list.innerHTML = issues.length > 0
+                ? issues.map(text => `<li>${this.escapeHTML(text)}</li>`).join('')
+                : '<li>No gaps, duplicates or outliers found.</li>';
         }
     },
 
@@ -486,8 +1800,8 @@ const UI = {
     updateMemo(memoMarkdown) {
         const memoContent = document.getElementById('memo-content');
         if (memoContent) {
-            // Simple markdown to HTML conversion
-            let html = memoMarkdown
+            // Simple markdown to HTML conversion (escaped first: file names reach the memo)
+            let html = this.escapeHTML(memoMarkdown)
                 .replace(/### (.*)/g, '<h3>$1</h3>')
                 .replace(/## (.*)/g, '<h3>$1</h3>')
                 .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
@@ -557,13 +1871,15 @@ const UI = {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.innerHTML = `
-            <span class="toast-message">${message}</span>
+            <span class="toast-message"></span>
             <button class="toast-close" onclick="this.parentElement.remove()">
                 <svg viewBox="0 0 24 24" width="18" height="18" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M18 6L6 18M6 6l12 12"/>
                 </svg>
             </button>
         `;
+        // Messages can carry file names and error text, so never as markup
+        toast.querySelector('.toast-message').textContent = message;
 
         container.appendChild(toast);
 
@@ -589,27 +1905,259 @@ const UI = {
         // Build CSV content
         let csv = 'Metric,Value,Unit\n';
         csv += `Market,${formData.market},\n`;
-        csv += `Capacity,${formData.capacityMW},MW\n`;
+        csv += `Price Source,"${window.AppState.dataSourceLabel}",\n`;
+        csv += `Technology,"${CONFIG.TECHNOLOGIES[kpis.technology]?.name || kpis.technology}",\n`;
+        csv += `Capacity,${window.AppState.portfolio?.totalCapacityMW ?? formData.capacityMW},MW\n`;
+        csv += `Price Resolution,${window.AppState.resolutionMinutes},minutes\n`;
+        csv += `Production Profile,"${window.AppState.pvSourceLabel}",\n`;
+        csv += `Random Seed,${formData.seed},\n`;
+        if (window.AppState.dataQuality) {
+            const quality = window.AppState.dataQuality;
+            csv += `Gap Filling,"${CONFIG.QUALITY.GAP_FILL_POLICIES[quality.policy]}",\n`;
+            csv += `Data Coverage,${quality.coveragePct},%\n`;
+            csv += `Missing Intervals (prices/production),${quality.missing.prices}/${quality.missing.production},\n`;
+            csv += `Filled Intervals (prices/production),${quality.filled.prices}/${quality.filled.production},\n`;
+            csv += `Price Outliers,${quality.outliers.length},\n`;
+        }
+        if (window.AppState.pvCapacityFactor) {
+            csv += `Model Capacity Factor,${(window.AppState.pvCapacityFactor.model * 100).toFixed(1)},%\n`;
+            csv += `Reference Capacity Factor,${(window.AppState.pvCapacityFactor.reference * 100).toFixed(1)},%\n`;
+        }
         csv += `Baseload Avg Price,${kpis.baseloadAvg},EUR/MWh\n`;
         csv += `Capture Price,${kpis.capturePrice},EUR/MWh\n`;
         csv += `Capture Rate,${kpis.captureRate},%\n`;
         csv += `Negative Hours,${kpis.negativeHoursCount},hours\n`;
         csv += `Negative Exposure,${kpis.negativePercentage},%\n`;
         csv += `Total Production,${kpis.totalProduction},MWh\n`;
+        csv += `Capacity Factor,${kpis.capacityFactor},%\n`;
         csv += `Merchant Revenue,${kpis.merchantRevenue},EUR\n`;
         csv += `P5 Monthly Revenue,${kpis.riskMetrics.p5},EUR\n`;
         csv += `P50 Monthly Revenue,${kpis.riskMetrics.p50},EUR\n`;
         csv += `P95 Monthly Revenue,${kpis.riskMetrics.p95},EUR\n`;
 
+        const monteCarlo = window.AppState?.monteCarlo;
+        if (monteCarlo) {
+            csv += `\nMonte Carlo Annual Revenue\n`;
+            csv += `Synthetic Years,${monteCarlo.simulations},\n`;
+            csv += `Bootstrap Blocks,"${CONFIG.MONTE_CARLO.BLOCK_TYPES[monteCarlo.blockType]}",${monteCarlo.blockCount}\n`;
+            csv += `Sampling,"${CONFIG.MONTE_CARLO.SAMPLING[monteCarlo.sampling]}",\n`;
+            csv += `Historical (annualised),${monteCarlo.historical},EUR\n`;
+            csv += `P10 / P50 / P90,${monteCarlo.p10}/${monteCarlo.p50}/${monteCarlo.p90},EUR\n`;
+            csv += `Mean / Std. Dev.,${monteCarlo.mean}/${monteCarlo.stdDev},EUR\n`;
+            csv += `Month,Cumulative P10 (EUR),Cumulative P25 (EUR),Cumulative P50 (EUR),Cumulative P75 (EUR),Cumulative P90 (EUR)\n`;
+            monteCarlo.fan.forEach(m => {
+                csv += `${m.month + 1},${m.p10},${m.p25},${m.p50},${m.p75},${m.p90}\n`;
+            });
+        }
+
+        if (kpis.marketPremium) {
+            const premium = kpis.marketPremium;
+            csv += `\nEEG Market Premium\n`;
+            csv += `Applicable Value,${premium.applicableValue},EUR/MWh\n`;
+            csv += `Negative-Price Rule,"${premium.rule ? premium.rule.label : 'None (COD before 2016)'}",\n`;
+            csv += `Market Value Weighting,"${premium.marketValueSource === 'market' ? 'National solar generation' : 'Asset production'}",\n`;
+            csv += `Premium Revenue,${premium.premiumRevenue},EUR\n`;
+            csv += `EEG Revenue (spot + premium),${premium.totalRevenue},EUR\n`;
+            csv += `Hours without Premium (§51),${premium.suspendedHours},hours\n`;
+            csv += `Production without Premium (§51),${premium.suspendedMWh},MWh\n`;
+            csv += `Premium Lost (§51),${premium.premiumLost},EUR\n`;
+            premium.months.forEach(m => {
+                csv += `${m.month} Market Value / Premium,${m.marketValue}/${m.premium},EUR/MWh\n`;
+            });
+        }
+
+        // PPA settlement is exported when it is the route to market or the comparison is shown
+        const ppa = window.AppState.ppaComparison;
+        if (ppa && (formData.routeToMarket === 'ppa' || document.getElementById('toggle-ppa-compare')?.checked)) {
+            csv += `\nPower Purchase Agreement\n`;
+            csv += `PPA Structure,"${CONFIG.PPA.STRUCTURES[ppa.structure]}",\n`;
+            csv += `PPA Price,${ppa.price},EUR/MWh\n`;
+            if (ppa.volumeMW !== null) csv += `Contracted Volume,${ppa.volumeMW},MW\n`;
+            csv += `Spot Indexation,${Math.round(ppa.indexShare * 100)},%\n`;
+            csv += `Negative Prices,"${CONFIG.PPA.NEGATIVE_CLAUSES[ppa.negativeClause]}",\n`;
+            csv += `Contracted Energy,${ppa.contractMWh},MWh\n`;
+            csv += `Contract Payments,${ppa.contractPayment},EUR\n`;
+            csv += `Spot Settlement (excess - shortfall),${ppa.spotSettlement},EUR\n`;
+            csv += `PPA Revenue,${ppa.revenue},EUR\n`;
+            csv += `Merchant Revenue (same production),${ppa.merchantRevenue},EUR\n`;
+            csv += `Realised PPA Price,${ppa.realisedPrice},EUR/MWh\n`;
+            csv += `Profile Cost,${ppa.profileCost},EUR\n`;
+            csv += `Volume Cost,${ppa.volumeCost},EUR\n`;
+            csv += `Shortfall / Excess,${ppa.shortfallMWh}/${ppa.excessMWh},MWh\n`;
+            csv += `Hours without Contract Volume,${ppa.excludedHours},hours\n`;
+            ppa.months.forEach(m => {
+                csv += `${m.month} Contract Payment / Spot Settlement / Merchant,${m.contractPayment}/${m.spotSettlement}/${m.merchant},EUR\n`;
+            });
+            ppa.hours.forEach(h => {
+                csv += `Hour ${String(h.hour).padStart(2, '0')} Contract Payment / Spot Settlement,${h.contractPayment}/${h.spotSettlement},EUR\n`;
+            });
+        }
+
+        if (kpis.cfd) {
+            const cfd = kpis.cfd;
+            csv += `\nContract for Difference\n`;
+            csv += `Strike Price,${cfd.strikePrice},EUR/MWh\n`;
+            csv += `Reference Price,"${CONFIG.CFD.REFERENCES[cfd.reference]}",\n`;
+            csv += `Negative Prices,"${CONFIG.CFD.NEGATIVE_PRICE[cfd.negativePrice]}",\n`;
+            csv += `CfD Payout,${cfd.payout},EUR\n`;
+            csv += `CfD Clawback,${cfd.clawback},EUR\n`;
+            csv += `CfD Net Revenue (spot + difference),${cfd.netRevenue},EUR\n`;
+            csv += `Production without Difference Payment,${cfd.suspendedMWh},MWh\n`;
+            csv += `Fixed Price at Strike Revenue (${cfd.strikePrice} EUR/MWh),${cfd.comparison.fixedAtStrike},EUR\n`;
+            cfd.months.forEach(m => {
+                csv += `${m.month} CfD Payout / Clawback,${m.payout}/${m.clawback},EUR\n`;
+            });
+        }
+
+        if (kpis.curtailment) {
+            const curtailment = kpis.curtailment;
+            csv += `\nCurtailment\n`;
+            csv += `Curtailment Policy,"${CONFIG.CURTAILMENT.POLICIES[curtailment.policy]}",\n`;
+            csv += `Curtailment Threshold,${curtailment.threshold},EUR/MWh\n`;
+            csv += `Curtailed Hours,${curtailment.curtailedHours},hours\n`;
+            csv += `Curtailed Energy,${curtailment.lostMWh},MWh\n`;
+            csv += `Revenue Saved by Curtailment,${curtailment.revenueSaved},EUR\n`;
+            csv += `Capture Price without Curtailment,${curtailment.uncurtailedCapturePrice},EUR/MWh\n`;
+            if (batteryResults) csv += `Curtailed Energy Absorbed by Battery,${batteryResults.absorbedCurtailedMWh},MWh\n`;
+        }
+
+        const benchmark = kpis.marketBenchmark;
+        if (benchmark) {
+            csv += `\nMarket Solar Benchmark\n`;
+            csv += `Benchmark Source,"${window.AppState.marketBenchmark?.label || ''}",\n`;
+            csv += `Market Solar Capture Price,${benchmark.marketCapture},EUR/MWh\n`;
+            csv += `Market Solar Capture Rate,${benchmark.marketRate},%\n`;
+            csv += `Asset Premium vs Market Solar,${benchmark.premium},EUR/MWh\n`;
+            csv += `Asset Capture Rate vs Market Solar,${benchmark.ratePoints},pp\n`;
+            csv += `Benchmark Coverage,${benchmark.coveragePct},%\n`;
+            kpis.monthlyCaptureRates.filter(m => m.marketCapture !== null).forEach(m => {
+                csv += `${m.month} Capture Rate (asset/market),${m.rate}/${m.marketRate},%\n`;
+                csv += `${m.month} Premium vs Market Solar,${m.premium},EUR/MWh\n`;
+            });
+        } else if (window.AppState.marketBenchmark?.source === 'none') {
+            csv += `\nMarket Solar Benchmark\n`;
+            csv += `Benchmark Skipped,"${window.AppState.marketBenchmark.label}",\n`;
+        }
+
+        const portfolio = window.AppState.portfolio;
+        if (portfolio) {
+            csv += `\nHybrid Portfolio\n`;
+            portfolio.components.forEach((c, i) => {
+                const name = `Component ${i + 1} (${CONFIG.TECHNOLOGIES[c.technology].name})`;
+                csv += `${name} Capacity,${c.capacityMW},MW\n`;
+                csv += `${name} Production,${c.kpis.totalProduction},MWh\n`;
+                csv += `${name} Capture Price,${c.kpis.capturePrice},EUR/MWh\n`;
+                csv += `${name} Capture Rate,${c.kpis.captureRate},%\n`;
+                csv += `${name} Negative Exposure,${c.kpis.negativePercentage},%\n`;
+            });
+            portfolio.correlations.forEach(c => {
+                csv += `Output Correlation Component ${c.a + 1} / ${c.b + 1},${c.value},\n`;
+            });
+            csv += `Grid Connection,${portfolio.gridConnectionMW ?? ''},MW\n`;
+            csv += `Clipped Energy,${portfolio.clippedMWh},MWh\n`;
+            csv += `Grid Utilisation,${portfolio.gridUtilisation},%\n`;
+        }
+
+        const forwardScenarios = window.AppState.forwardScenarios;
+        if (forwardScenarios?.length > 0) {
+            csv += `\nForward Scenarios\n`;
+            forwardScenarios.forEach(s => {
+                csv += `${s.year} Capture Price,${s.kpis.capturePrice},EUR/MWh\n`;
+                csv += `${s.year} Capture Rate,${s.kpis.captureRate},%\n`;
+                csv += `${s.year} Baseload Avg Price,${s.kpis.baseloadAvg},EUR/MWh\n`;
+                csv += `${s.year} Negative Hours,${s.kpis.negativeHoursCount},hours\n`;
+                csv += `${s.year} Merchant Revenue,${s.kpis.merchantRevenue},EUR\n`;
+                if (s.battery) csv += `${s.year} Battery Uplift,${s.battery.totalUplift},EUR\n`;
+            });
+        }
+
         if (batteryResults) {
             csv += `\nBattery Analysis\n`;
             csv += `Battery Power,${batteryResults.config.powerMW},MW\n`;
             csv += `Battery Energy,${batteryResults.config.energyMWh},MWh\n`;
+            csv += `Battery Charging,"${CONFIG.BATTERY.MODES[batteryResults.config.mode]}",\n`;
             csv += `Revenue Uplift,${batteryResults.totalUplift},EUR\n`;
             csv += `Uplift Percentage,${batteryResults.upliftPercentage},%\n`;
             csv += `Shifted MWh,${batteryResults.totalShiftedMWh},MWh\n`;
             csv += `Neg Exposure Reduction,${batteryResults.negativeReduction},%\n`;
             csv += `Effective Capture Price,${batteryResults.effectiveCapturePrice},EUR/MWh\n`;
+            if (batteryResults.optimal) {
+                csv += `Optimal Revenue Uplift (perfect foresight),${batteryResults.optimal.totalUplift},EUR\n`;
+                csv += `Optimal Uplift Percentage,${batteryResults.optimal.upliftPercentage},%\n`;
+                csv += `Optimal Shifted MWh,${batteryResults.optimal.totalShiftedMWh},MWh\n`;
+                csv += `Optimal Cycles per Year,${batteryResults.optimal.cyclesPerYear},\n`;
+                csv += `Optimal Effective Capture Price,${batteryResults.optimal.effectiveCapturePrice},EUR/MWh\n`;
+            }
+            if (batteryResults.config.annualCycleCap !== null) csv += `Annual Cycle Cap,${batteryResults.config.annualCycleCap},cycles\n`;
+            csv += `Cycles per Day,${batteryResults.cyclesPerDay},cycles\n`;
+            csv += `Cycles per Year,${batteryResults.cyclesPerYear},cycles\n`;
+            batteryResults.modes.forEach(m => {
+                const label = CONFIG.BATTERY.MODES[m.mode];
+                csv += `${label} Charged (curtailed/plant/grid),${m.chargeSources.curtailed}/${m.chargeSources.plant}/${m.chargeSources.grid},MWh\n`;
+                csv += `${label} Shifting / Arbitrage Revenue,${m.shiftingRevenue}/${m.arbitrageRevenue},EUR\n`;
+                csv += `${label} Revenue Uplift,${m.totalUplift},EUR\n`;
+                csv += `${label} Cycles per Year,${m.cyclesPerYear},\n`;
+            });
+            if (batteryResults.lifetime) {
+                const { lifetime } = batteryResults;
+                csv += `Lifetime Uplift,${lifetime.totalUplift},EUR\n`;
+                csv += `End-of-Life State of Health,${lifetime.endSOH},%\n`;
+                lifetime.years.forEach(y => {
+                    csv += `Year ${y.year} SOH / Energy / Cycles,${y.soh}/${y.energyMWh}/${y.cycles},%/MWh/cycles\n`;
+                    csv += `Year ${y.year} Battery Uplift,${y.uplift},EUR\n`;
+                });
+                lifetime.augmentations.forEach(a => {
+                    csv += `Augmentation Year ${a.year},${a.addedMWh},MWh\n`;
+                });
+            }
+        }
+
+        if (batteryResults?.ancillary) {
+            const { ancillary } = batteryResults;
+            csv += `\nBattery Revenue Stack\n`;
+            csv += `Energy Arbitrage (with reserve),${ancillary.arbitrageUplift},EUR\n`;
+            ancillary.services.forEach(s => {
+                csv += `${s.name} Days / Avg Reserved,${s.days}/${s.avgReservedMW},days/MW\n`;
+                csv += `${s.name} Capacity / Activation Revenue,${s.capacityRevenue}/${s.energyRevenue},EUR\n`;
+            });
+            csv += `Stacked Total,${ancillary.totalRevenue},EUR\n`;
+            csv += `Arbitrage Only,${ancillary.arbitrageOnlyUplift},EUR\n`;
+            csv += `Stacking Gain,${ancillary.stackGain},EUR\n`;
+        }
+
+        const finance = window.AppState?.finance;
+        if (finance) {
+            const a = finance.assumptions;
+            csv += `\nProject Finance\n`;
+            csv += `CAPEX (plant / battery),${finance.capex.plant}/${finance.capex.battery},EUR\n`;
+            csv += `Asset Life,${a.lifeYears},years\n`;
+            csv += `OPEX,${a.opexPct},% of CAPEX per year\n`;
+            csv += `Degradation,${Math.round(a.degradationPct * 100) / 100},% per year\n`;
+            csv += `Inflation,${a.inflationPct},% per year\n`;
+            csv += `Discount Rate,${a.discountPct},%\n`;
+            csv += `Tax Rate / Depreciation,${a.taxPct}/${a.depreciationYears},%/years\n`;
+            csv += `Debt (max gearing / rate / tenor / target DSCR),${a.maxGearingPct}/${a.debtRatePct}/${a.tenorYears}/${a.targetDSCR},%/%/years/x\n`;
+            csv += `Debt Amount,${finance.debt.amount},EUR\n`;
+            csv += `Project NPV,${finance.projectNPV},EUR\n`;
+            csv += `Project IRR,${finance.projectIRR === null ? '' : Math.round(finance.projectIRR * 1000) / 10},%\n`;
+            csv += `Equity IRR,${finance.equityIRR === null ? '' : Math.round(finance.equityIRR * 1000) / 10},%\n`;
+            csv += `LCOE (plant),${finance.lcoe ?? ''},EUR/MWh\n`;
+            csv += `Minimum DSCR,${finance.minDSCR ?? ''},x\n`;
+            csv += `Year,Production (MWh),Revenue (EUR),OPEX (EUR),EBITDA (EUR),Augmentation (EUR),Augmentation Reserve (EUR),Tax (EUR),CFADS (EUR),Debt Service (EUR),DSCR,Equity Cash Flow (EUR)\n`;
+            finance.years.forEach(y => {
+                csv += `${y.year},${y.production},${y.revenue},${y.opex},${y.ebitda},${y.augmentation},${y.reserve},${y.tax},${y.cfads},${y.debtService},${y.dscr ?? ''},${y.equityCashFlow}\n`;
+            });
+        }
+
+        const sizing = window.AppState?.batterySizing;
+        if (sizing) {
+            csv += `\nBattery Sizing (per year)\n`;
+            csv += `CAPEX per MW / per MWh,${sizing.capexPerMW}/${sizing.capexPerMWh},EUR\n`;
+            csv += `Power,Energy,Duration,Uplift (EUR),Uplift per MW (EUR),Uplift per MWh (EUR),CAPEX (EUR),Net Value (EUR),Cycles per Year\n`;
+            sizing.cells.flat().forEach(c => {
+                csv += `${c.powerMW},${c.energyMWh},${c.durationH},${c.uplift},${c.upliftPerMW},${c.upliftPerMWh},${c.capex},${c.netValue},${c.cyclesPerYear}\n`;
+            });
+            csv += `Best Size,${sizing.best.powerMW} MW / ${sizing.best.energyMWh} MWh,\n`;
         }
 
         // Download
@@ -0,0 +1,105 @@
+/**
+ * CVA | IPP Revenue & Capture Lab - Wind Model
+ * Wind speed statistics, shear and turbine power curves
+ */
+
+const WindModel = {
+    /**
+     * Extrapolate wind speed to hub height (power-law shear)
+     * @param {number} speed - Wind speed at reference height (m/s)
+     * @param {number} hubHeight - Hub height (m)
+     * @param {number} shearExponent - Hellmann exponent (~0.2 onshore, ~0.1 offshore)
+     * @returns {number} Wind speed at hub height (m/s)
+     */
+    toHubHeight(speed, hubHeight, shearExponent) {
+        return speed * Math.pow(hubHeight / CONFIG.WIND.REFERENCE_HEIGHT, shearExponent);
+    },
+
+    /**
+     * Rated wind speed for a turbine class (where Cp-limited output reaches rated power)
+     * @param {number} specificPower - Rated power per rotor area (W/m2)
+     * @returns {number} Rated speed (m/s)
+     */
+    getRatedSpeed(specificPower) {
+        const { AIR_DENSITY, POWER_COEFFICIENT } = CONFIG.WIND;
+        return Math.cbrt(specificPower / (0.5 * AIR_DENSITY * POWER_COEFFICIENT));
+    },
+
+    /**
+     * Per-unit turbine output for a hub-height wind speed
+     * Cubic region between cut-in and rated speed, flat to cut-out, zero above.
+     * @param {number} speed - Hub-height wind speed (m/s)
+     * @param {number} specificPower - Rated power per rotor area (W/m2)
+     * @returns {number} Output as a fraction of rated power (0-1)
+     */
+    getPowerCurveOutput(speed, specificPower) {
+        const { AIR_DENSITY, POWER_COEFFICIENT, CUT_IN_SPEED, CUT_OUT_SPEED } = CONFIG.WIND;
+        if (speed < CUT_IN_SPEED || speed >= CUT_OUT_SPEED) return 0;
+
+        const power = 0.5 * AIR_DENSITY * POWER_COEFFICIENT * Math.pow(speed, 3);
+        return Math.min(1, power / specificPower);
+    },
+
+    /**
+     * Standard normal draw (Box-Muller)
+     * @param {Function} random - Seeded generator (see SeededRandom)
+     */
+    normal(random) {
+        const u = Math.max(random(), 1e-12);
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+
+    /**
+     * Standard normal CDF (Abramowitz-Stegun 7.1.26 erf approximation)
+     */
+    normalCDF(z) {
+        const x = Math.abs(z) / Math.SQRT2;
+        const t = 1 / (1 + 0.3275911 * x);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741
+            + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    },
+
+    /**
+     * Map a standard normal weather state to a Weibull wind speed factor with mean 1
+     * @param {number} z - Standard normal value
+     * @param {number} shape - Weibull shape parameter k
+     * @returns {number} Speed relative to the mean
+     */
+    weibullFactor(z, shape) {
+        const p = Math.min(this.normalCDF(z), 1 - 1e-9);
+        const scale = 1 / this.gamma(1 + 1 / shape); // Unit mean
+        return scale * Math.pow(-Math.log(1 - p), 1 / shape);
+    },
+
+    /**
+     * Gamma function (Lanczos approximation, x > 0)
+     */
+    gamma(x) {
+        const g = 7;
+        const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        if (x < 0.5) return Math.PI / (Math.sin(Math.PI * x) * this.gamma(1 - x));
+
+        x -= 1;
+        let a = c[0];
+        const t = x + g + 0.5;
+        for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+        return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+    },
+
+    /**
+     * Seasonal and diurnal shape of the mean wind speed
+     * @param {number} dayOfYear - Day of year
+     * @param {number} localHour - Market-local hour (fractional)
+     * @param {Object} params - CONFIG.WIND.onshore / offshore
+     * @returns {number} Multiplier on the annual mean speed
+     */
+    getMeanShape(dayOfYear, localHour, params) {
+        // Winter maximum around mid-January
+        const seasonal = 1 + params.SEASONAL_AMPLITUDE * Math.cos(2 * Math.PI * (dayOfYear - 15) / 365);
+        const diurnal = 1 + params.DIURNAL_AMPLITUDE * Math.cos(2 * Math.PI * (localHour - params.DIURNAL_PEAK_HOUR) / 24);
+        return seasonal * diurnal;
+    }
+};
@@ -1,6 +1,6 @@
 /**
  * CVA IPP Revenue & Capture Lab - OpenAI Proxy Worker
- * Cloudflare Worker to securely proxy OpenAI API calls
+ * Cloudflare Worker to securely proxy OpenAI API calls (and PVGIS, which lacks CORS)
  *
  * Environment Variables Required:
  * - OPENAI_API_KEY: Your OpenAI API key
@@ -16,6 +16,13 @@ const ALLOWED_ORIGINS = [
     'http://127.0.0.1:5500' // VS Code Live Server
 ];
 
+// PVGIS hourly series endpoint and the query parameters the proxy forwards
+const PVGIS_SERIES_URL = 'https://re.jrc.ec.europa.eu/api/v5_2/seriescalc';
+const PVGIS_PARAMS = [
+    'lat', 'lon', 'peakpower', 'loss', 'angle', 'aspect', 'mountingplace',
+    'trackingtype', 'pvcalculation', 'startyear', 'endyear'
+];
+
 const CORS_HEADERS = {
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Access-Control-Allow-Headers': 'Content-Type',
@@ -50,6 +57,10 @@ export default {
             return handleInsightsRequest(request, env, origin);
         }
 
+        if (url.pathname === '/api/pvgis') {
+            return handlePVGISRequest(request, origin);
+        }
+
         return new Response('Not found', { status: 404 });
     }
 };
@@ -165,6 +176,45 @@ async function handleInsightsRequest(request, env, origin) {
     }
 }
 
+/**
+ * Handle /api/pvgis requests
+ * PVGIS does not send CORS headers, so the browser cannot call it directly.
+ */
+async function handlePVGISRequest(request, origin) {
+    try {
+        const body = await request.json();
+        const params = body.params || {};
+
+        if (params.lat === undefined || params.lon === undefined) {
+            return jsonResponse({ error: 'Missing lat/lon' }, 400, origin);
+        }
+
+        const url = new URL(PVGIS_SERIES_URL);
+        for (const key of PVGIS_PARAMS) {
+            if (params[key] !== undefined && params[key] !== null) {
+                url.searchParams.set(key, String(params[key]));
+            }
+        }
+        url.searchParams.set('outputformat', 'json');
+
+        const pvgisResponse = await fetch(url.toString(), {
+            cf: { cacheTtl: 86400, cacheEverything: true } // Historical series do not change
+        });
+
+        if (!pvgisResponse.ok) {
+            const errorText = await pvgisResponse.text();
+            console.error('PVGIS API error:', pvgisResponse.status, errorText);
+            return jsonResponse({ error: 'PVGIS service error' }, 502, origin);
+        }
+
+        return jsonResponse(await pvgisResponse.json(), 200, origin);
+
+    } catch (error) {
+        console.error('PVGIS proxy error:', error);
+        return jsonResponse({ error: 'Internal server error' }, 500, origin);
+    }
+}
+
 /**
  * Helper to create JSON responses with CORS headers
  */